@@ -0,0 +1,94 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { ConfigManager } from '../../utils/ConfigManager.js';
+import { ProviderFactory } from '../../api/ProviderFactory.js';
+import { GeminiClient } from '../../api/GeminiClient.js';
+import { OpenAIClient } from '../../api/OpenAIClient.js';
+import { OllamaClient } from '../../api/OllamaClient.js';
+
+describe('ProviderFactory', () => {
+  let config;
+  let tempDir;
+  const originalFetch = global.fetch;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'genesis-test-'));
+    config = ConfigManager.getInstance();
+    config.configPath = path.join(tempDir, 'config.json');
+    await config.load();
+  });
+
+  afterEach(async () => {
+    global.fetch = originalFetch;
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should default to the Gemini provider', async () => {
+    const provider = await ProviderFactory.create();
+    expect(provider).toBeInstanceOf(GeminiClient);
+  });
+
+  it('should select the provider from config', async () => {
+    config.set('provider', 'ollama');
+    expect(await ProviderFactory.create()).toBeInstanceOf(OllamaClient);
+
+    config.set('provider', 'openai');
+    expect(await ProviderFactory.create()).toBeInstanceOf(OpenAIClient);
+  });
+
+  it('should reject unknown providers', async () => {
+    await expect(ProviderFactory.create('nope')).rejects.toThrow('Unknown provider');
+  });
+
+  it('should call an OpenAI-compatible endpoint', async () => {
+    config.set('openai.baseUrl', 'http://localhost:8080/v1/');
+    config.set('openai.apiKey', 'secret');
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({ choices: [{ message: { content: '{"ok":true}' } }] })
+    });
+
+    const provider = new OpenAIClient();
+    const response = await provider.generateStructuredResponse('system', 'user', { json: true });
+
+    expect(response).toBe('{"ok":true}');
+    const [url, request] = global.fetch.mock.calls[0];
+    const body = JSON.parse(request.body);
+    expect(url).toBe('http://localhost:8080/v1/chat/completions');
+    expect(request.headers.Authorization).toBe('Bearer secret');
+    expect(body.messages[0]).toEqual({ role: 'system', content: 'system' });
+    expect(body.response_format).toEqual({ type: 'json_object' });
+  });
+
+  it('should call the Ollama chat endpoint', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({ message: { content: 'hello there' } })
+    });
+
+    const provider = new OllamaClient();
+    const response = await provider.generateResponse('hi', { maxTokens: 10 });
+
+    expect(response).toBe('hello there');
+    const [url, request] = global.fetch.mock.calls[0];
+    const body = JSON.parse(request.body);
+    expect(url).toBe('http://localhost:11434/api/chat');
+    expect(body.stream).toBe(false);
+    expect(body.options.num_predict).toBe(10);
+  });
+
+  it('should not retry client errors', async () => {
+    config.set('ollama.maxRetries', 3);
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: false,
+      status: 404,
+      text: () => Promise.resolve('model not found')
+    });
+
+    const provider = new OllamaClient();
+    await expect(provider.generateResponse('hi')).rejects.toThrow('HTTP 404');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { ConfigManager } from '../../utils/ConfigManager.js';
+import { ReplayClient } from '../../api/ReplayClient.js';
+import { ProviderFactory } from '../../api/ProviderFactory.js';
+import { Planner } from '../../core/Planner.js';
+
+const PLAN_RESPONSE = JSON.stringify({
+  intent: 'Say hello',
+  steps: [
+    { id: 'step-1', description: 'Print a greeting', command: 'echo hello', riskLevel: 'none' }
+  ],
+  riskLevel: 'none'
+});
+
+function fakeUpstream(response) {
+  return {
+    name: 'fake',
+    getModelName: () => 'fake-model',
+    generateStructuredResponse: jest.fn().mockResolvedValue(response),
+    generateResponse: jest.fn().mockResolvedValue(response)
+  };
+}
+
+describe('ReplayClient', () => {
+  let config;
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'genesis-test-'));
+    config = ConfigManager.getInstance();
+    config.configPath = path.join(tempDir, 'config.json');
+    await config.load();
+    config.set('replay.fixturesDir', path.join(tempDir, 'fixtures'));
+  });
+
+  afterEach(async () => {
+    delete process.env.EL_PROVIDER;
+    delete process.env.EL_REPLAY_MODE;
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should record upstream responses and replay them offline', async () => {
+    config.set('replay.mode', 'record');
+    const upstream = fakeUpstream('recorded answer');
+    const recorder = new ReplayClient(upstream);
+
+    expect(await recorder.generateResponse('What is up?')).toBe('recorded answer');
+    expect(upstream.generateResponse).toHaveBeenCalledTimes(1);
+
+    config.set('replay.mode', 'replay');
+    const player = new ReplayClient();
+    expect(await player.generateResponse('What is up?')).toBe('recorded answer');
+    expect(await player.validateConnection()).toBe(true);
+  });
+
+  it('should key conversations by their history too', async () => {
+    config.set('replay.mode', 'record');
+    const recorder = new ReplayClient(fakeUpstream('first answer'));
+    await recorder.generateResponse('And then?');
+    recorder.upstream = fakeUpstream('follow-up answer');
+    await recorder.generateResponse('And then?', { history: [{ role: 'user', content: 'Start' }, { role: 'assistant', content: 'Ok' }] });
+
+    config.set('replay.mode', 'replay');
+    const player = new ReplayClient();
+    expect(await player.generateResponse('And then?', { history: [] })).toBe('first answer');
+    expect(await player.generateResponse('And then?', { history: [{ role: 'user', content: 'Start' }, { role: 'assistant', content: 'Ok' }] })).toBe('follow-up answer');
+  });
+
+  it('should fail clearly when no recording exists', async () => {
+    const player = new ReplayClient();
+    await expect(player.generateResponse('never recorded')).rejects.toThrow('No recorded response');
+  });
+
+  it('should key recordings by prompt', () => {
+    const a = ReplayClient.hashRequest('generateResponse', { prompt: 'a' });
+    const b = ReplayClient.hashRequest('generateResponse', { prompt: 'b' });
+    expect(a).not.toBe(b);
+    expect(ReplayClient.hashRequest('generateResponse', { prompt: 'a' })).toBe(a);
+  });
+
+  it('should be selectable through EL_PROVIDER', async () => {
+    process.env.EL_PROVIDER = 'replay';
+    const provider = await ProviderFactory.create();
+    expect(provider).toBeInstanceOf(ReplayClient);
+  });
+
+  it('should drive Planner.createPlan without a network', async () => {
+    config.set('replay.mode', 'record');
+    const recordingPlanner = new Planner();
+    recordingPlanner.provider = new ReplayClient(fakeUpstream(PLAN_RESPONSE));
+    await recordingPlanner.createPlan('say hello');
+
+    process.env.EL_PROVIDER = 'replay';
+    process.env.EL_REPLAY_MODE = 'replay';
+    const plan = await new Planner().createPlan('say hello');
+
+    expect(plan.intent).toBe('Say hello');
+    expect(plan.steps[0].command).toBe('echo hello');
+  });
+});
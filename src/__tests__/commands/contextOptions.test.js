@@ -0,0 +1,29 @@
+import { describe, it, expect, afterAll, jest } from '@jest/globals';
+import { ContextCollector } from '../../core/ContextCollector.js';
+import { SandboxIsolation } from '../../core/SandboxIsolation.js';
+import { collectContext } from '../../commands/contextOptions.js';
+
+describe('collectContext', () => {
+  // Let the un-awaited log calls finish before Jest tears down
+  afterAll(() => new Promise(resolve => setTimeout(resolve, 100)));
+
+  it('should refuse --context-cmd before collecting where isolation is unavailable', async () => {
+    const saved = new Map(SandboxIsolation.availability);
+    SandboxIsolation.getBackends().forEach(backend => SandboxIsolation.availability.set(backend, false));
+    const collect = jest.spyOn(ContextCollector.prototype, 'collect');
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    try {
+      await expect(collectContext({ file: [], contextCmd: ['git status'] })).resolves.toBeNull();
+
+      expect(collect).not.toHaveBeenCalled();
+      expect(error.mock.calls.flat().join('\n')).toContain('--context-cmd needs sandbox isolation');
+      expect(process.exitCode).toBe(1);
+    } finally {
+      SandboxIsolation.availability = saved;
+      collect.mockRestore();
+      error.mockRestore();
+      process.exitCode = undefined;
+    }
+  });
+});
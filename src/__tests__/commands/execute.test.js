@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { ConfigManager } from '../../utils/ConfigManager.js';
+import { ReplayClient } from '../../api/ReplayClient.js';
+import { SandboxExecutor } from '../../core/SandboxExecutor.js';
+import { SandboxIsolation } from '../../core/SandboxIsolation.js';
+import { Planner } from '../../core/Planner.js';
+import { Plan } from '../../models/Plan.js';
+import { handleExecute, executePlan } from '../../commands/execute.js';
+
+describe('handleExecute (replayed provider)', () => {
+  let config;
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'genesis-test-'));
+    config = ConfigManager.getInstance();
+    config.configPath = path.join(tempDir, 'config.json');
+    await config.load();
+    config.set('replay.fixturesDir', path.join(tempDir, 'fixtures'));
+    config.set('sandbox.workdir', path.join(tempDir, 'sandbox'));
+    config.set('logging.auditDir', path.join(tempDir, 'logs'));
+
+    // Record the planner response once, as `EL_REPLAY_MODE=record` would
+    config.set('replay.mode', 'record');
+    const recorder = new ReplayClient({
+      name: 'fake',
+      getModelName: () => 'fake-model',
+      generateStructuredResponse: jest.fn().mockResolvedValue(JSON.stringify({
+        intent: 'Print a greeting',
+        steps: [
+          { id: 'step-1', description: 'Say hello', command: 'echo hello', riskLevel: 'none' }
+        ]
+      }))
+    });
+    const planner = new Planner();
+    planner.provider = recorder;
+    await planner.createPlan('say hello');
+
+    config.set('replay.mode', 'replay');
+    process.env.EL_PROVIDER = 'replay';
+  });
+
+  afterEach(async () => {
+    delete process.env.EL_PROVIDER;
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should plan, run and log a task end to end', async () => {
+    await handleExecute('say hello', { autoApprove: true });
+
+    const logFiles = (await fs.readdir(path.join(tempDir, 'logs'))).filter(f => f.startsWith('task-'));
+    expect(logFiles).toHaveLength(1);
+
+    const log = JSON.parse(await fs.readFile(path.join(tempDir, 'logs', logFiles[0]), 'utf8'));
+    expect(log.status).toBe('success');
+    expect(log.executionResults[0].stdout).toBe('hello');
+  });
+
+  it('should replay a fixture recorded in another directory', async () => {
+    const elsewhere = path.join(tempDir, 'elsewhere');
+    await fs.mkdir(elsewhere);
+    await fs.writeFile(path.join(elsewhere, 'notes.txt'), 'not there when recording');
+    const cwd = process.cwd();
+
+    process.chdir(elsewhere);
+    try {
+      await handleExecute('say hello', { autoApprove: true });
+    } finally {
+      process.chdir(cwd);
+    }
+
+    const logFiles = (await fs.readdir(path.join(tempDir, 'logs'))).filter(f => f.startsWith('task-'));
+    expect(logFiles).toHaveLength(1);
+  });
+
+  it('should report executor errors without exiting, so the shell can go on', async () => {
+    const initialize = jest.spyOn(SandboxExecutor.prototype, 'initialize').mockRejectedValue(new Error('no sandbox'));
+    const plan = new Plan({ intent: 'Greet', steps: [{ id: 'step-1', description: 'Say hello', command: 'echo hello' }] });
+
+    try {
+      await expect(executePlan(plan, { query: 'say hello', options: { autoApprove: true } })).resolves.toBeNull();
+      expect(process.exitCode).toBe(1);
+    } finally {
+      initialize.mockRestore();
+      process.exitCode = undefined;
+    }
+  });
+
+  it('should refuse --simulate before planning where isolation is unavailable', async () => {
+    const saved = new Map(SandboxIsolation.availability);
+    SandboxIsolation.getBackends().forEach(backend => SandboxIsolation.availability.set(backend, false));
+    const createPlan = jest.spyOn(Planner.prototype, 'createPlan');
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    try {
+      await handleExecute('say hello', { simulate: true });
+
+      expect(createPlan).not.toHaveBeenCalled();
+      expect(error.mock.calls.flat().join('\n')).toContain('--simulate needs sandbox isolation');
+      expect(process.exitCode).toBe(1);
+    } finally {
+      SandboxIsolation.availability = saved;
+      createPlan.mockRestore();
+      error.mockRestore();
+      process.exitCode = undefined;
+    }
+  });
+
+  it('should not offer a rollback when the files could not be backed up', async () => {
+    config.set('sandbox.maxSnapshotMB', 0);
+    const project = path.join(tempDir, 'project');
+    await fs.mkdir(path.join(project, 'build'), { recursive: true });
+    await fs.writeFile(path.join(project, 'build', 'out.txt'), 'built');
+    const plan = new Plan({ intent: 'Clean', steps: [{ id: 'step-1', description: 'Remove build', command: 'rm -r build', workingDirectory: project }] });
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    try {
+      await executePlan(plan, { query: 'clean', options: { autoApprove: true } });
+      const printed = log.mock.calls.map(args => args.join(' ')).join('\n');
+
+      expect(printed).toContain('Nothing was backed up, so rollback can\'t undo this step: Affected files exceed the 0MB snapshot limit');
+      expect(printed).not.toContain('were backed up. Undo with');
+    } finally {
+      log.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import prompts from 'prompts';
+import { Plan } from '../../models/Plan.js';
+import { Validator } from '../../core/Validator.js';
+import { editPlan } from '../../commands/planEditor.js';
+
+describe('editPlan', () => {
+  let plan;
+  let planner;
+
+  beforeEach(() => {
+    plan = new Plan({
+      intent: 'Tidy up logs',
+      steps: [
+        { id: 'step-1', description: 'List logs', command: 'ls *.log' },
+        { id: 'step-2', description: 'Remove old logs', command: 'rm old.log' }
+      ]
+    });
+    planner = { refinePlan: jest.fn() };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should apply edits, deletions and confirmation toggles', async () => {
+    prompts.inject([
+      'edit', 'step-1', 'ls -la *.log',
+      'confirm', 'step-1',
+      'delete', 'step-2',
+      'accept'
+    ]);
+
+    const edited = await editPlan(plan, { planner, validator: new Validator() });
+
+    expect(edited.steps).toHaveLength(1);
+    expect(edited.steps[0].command).toBe('ls -la *.log');
+    expect(edited.steps[0].requiresConfirmation).toBe(true);
+  });
+
+  it('should not accept a plan that is blocked', async () => {
+    prompts.inject(['edit', 'step-2', 'rm -rf /', 'accept', 'cancel']);
+
+    expect(await editPlan(plan, { planner, validator: new Validator() })).toBeNull();
+  });
+
+  it('should hand feedback to the planner', async () => {
+    const refined = new Plan({
+      intent: 'Tidy up logs',
+      steps: [{ id: 'step-1', description: 'Compress logs', command: 'gzip old.log' }]
+    });
+    planner.refinePlan.mockResolvedValue(refined);
+    prompts.inject(['feedback', 'compress instead of deleting', 'accept']);
+
+    const edited = await editPlan(plan, { planner, validator: new Validator() });
+
+    expect(planner.refinePlan).toHaveBeenCalledWith(plan, 'compress instead of deleting');
+    expect(edited).toBe(refined);
+  });
+});
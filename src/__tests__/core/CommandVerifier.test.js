@@ -0,0 +1,109 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { CommandVerifier } from '../../core/CommandVerifier.js';
+import { EnvironmentProbe } from '../../core/EnvironmentProbe.js';
+import { Plan } from '../../models/Plan.js';
+
+describe('CommandVerifier', () => {
+  let tempDir;
+  let originalPath;
+
+  const makePlan = (commands, prerequisites = []) => new Plan({
+    intent: 'Test plan',
+    prerequisites,
+    steps: commands.map((command, index) => ({ id: `step-${index + 1}`, description: 'Step', command }))
+  });
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'genesis-test-'));
+    for (const tool of ['ls', 'grep', 'fdfind', 'sudo']) {
+      await fs.writeFile(path.join(tempDir, tool), '#!/bin/sh\n', { mode: 0o755 });
+    }
+    originalPath = process.env.PATH;
+    process.env.PATH = tempDir;
+
+    const probe = new EnvironmentProbe();
+    probe.system = { os: {}, shell: '/bin/sh', packageManagers: ['apt', 'npm'], binaries: [] };
+    EnvironmentProbe.instance = probe;
+  });
+
+  afterEach(async () => {
+    process.env.PATH = originalPath;
+    EnvironmentProbe.instance = null;
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should flag programs that are not on PATH with install hints', async () => {
+    const verification = await new CommandVerifier().verify(makePlan([
+      'ls -la | grep txt',
+      'rg TODO src',
+      'sudo rg -l FIXME . && ffmpeg -i a.mp4 a.mp3'
+    ]));
+
+    expect(verification.missing).toEqual([
+      { program: 'rg', stepIds: ['step-2', 'step-3'], alternative: null, installHints: ['sudo apt install ripgrep'] },
+      { program: 'ffmpeg', stepIds: ['step-3'], alternative: null, installHints: ['sudo apt install ffmpeg'] }
+    ]);
+  });
+
+  it('should skip builtins, paths and step variables', async () => {
+    const verification = await new CommandVerifier().verify(makePlan([
+      'cd /tmp && export X=1 && echo "$X"',
+      './build.sh --release',
+      '/opt/tool/bin/run',
+      '{{script}} --check'
+    ]));
+
+    expect(verification.missing).toEqual([]);
+  });
+
+  it('should suggest installed alternatives', async () => {
+    const verification = await new CommandVerifier().verify(makePlan(['fd -e jpg']));
+
+    expect(verification.missing).toEqual([
+      { program: 'fd', stepIds: ['step-1'], alternative: 'fdfind', installHints: ['sudo apt install fd-find'] }
+    ]);
+  });
+
+  it('should count programs that another step installs', async () => {
+    const verification = await new CommandVerifier().verify(makePlan([
+      'sudo apt install -y ripgrep jq',
+      'rg TODO && jq . data.json'
+    ]));
+
+    expect(verification.missing.map(entry => entry.program)).toEqual(['apt']);
+  });
+
+  it('should cross-check prerequisites that name a program', async () => {
+    const verification = await new CommandVerifier().verify(makePlan(
+      ['ls | grep txt'],
+      ['ffmpeg installed', 'grep', 'A working internet connection']
+    ));
+
+    expect(verification.prerequisites).toEqual([
+      { text: 'ffmpeg installed', program: 'ffmpeg', found: false },
+      { text: 'grep', program: 'grep', found: true },
+      { text: 'A working internet connection', program: null, found: null }
+    ]);
+  });
+
+  it('should give install hints per package manager', () => {
+    expect(CommandVerifier.installHints('7z', ['apt', 'brew', 'winget'])).toEqual([
+      'sudo apt install p7zip-full',
+      'brew install p7zip',
+      'winget install 7zip.7zip'
+    ]);
+    expect(CommandVerifier.installHints('tree', [])).toEqual(['install the tree package']);
+  });
+
+  it('should show missing programs with the plan', async () => {
+    const plan = makePlan(['rg TODO'], ['rg']);
+    plan.verification = await new CommandVerifier().verify(plan);
+
+    const output = plan.toString();
+    expect(output).toContain('Prerequisites: rg (not installed)');
+    expect(output).toContain('Not installed:\n  rg (used by step-1)\n     sudo apt install ripgrep');
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it, expect } from '@jest/globals';
+import { Conversation } from '../../core/Conversation.js';
+import { Plan } from '../../models/Plan.js';
+
+describe('Conversation', () => {
+  const plan = new Plan({
+    intent: 'List logs',
+    steps: [{ id: 'step-1', description: 'List logs', command: 'ls *.log' }]
+  });
+  const execution = {
+    taskId: 'task-1',
+    status: 'success',
+    executionResults: [{ stepId: 'step-1', command: 'ls *.log', exitCode: 0, output: 'a.log\nb.log\n' }]
+  };
+
+  it('should describe earlier turns with their commands and output', () => {
+    const conversation = new Conversation({ maxTurns: 5 });
+    conversation.addTurn('list the logs', plan, execution);
+    conversation.addTurn('what about temp files', plan);
+
+    const prompt = conversation.toPrompt();
+
+    expect(prompt).toContain('1. User: "list the logs"');
+    expect(prompt).toContain('$ ls *.log (exit 0)\n     a.log\n     b.log');
+    expect(prompt).toContain('Plan: List logs - not run');
+    expect(conversation.getLastTask().taskId).toBe('task-1');
+  });
+
+  it('should keep only the most recent turns and the tail of long output', () => {
+    const conversation = new Conversation({ maxTurns: 1 });
+    const lines = Array.from({ length: 50 }, (_, i) => `file-${i}`).join('\n');
+    conversation.addTurn('list everything', plan, execution);
+    conversation.addTurn('second', plan, { ...execution, executionResults: [{ ...execution.executionResults[0], output: lines }] });
+
+    const prompt = conversation.toPrompt();
+
+    expect(prompt).not.toContain('list everything');
+    expect(prompt).toContain('[...]');
+    expect(prompt).toContain('file-49');
+    expect(prompt).not.toContain('file-29\n');
+  });
+
+  it('should have no context once cleared', () => {
+    const conversation = new Conversation();
+    conversation.addTurn('list the logs', plan, execution);
+    conversation.clear();
+
+    expect(conversation.toPrompt()).toBe('');
+    expect(conversation.getLastTask()).toBeNull();
+  });
+});
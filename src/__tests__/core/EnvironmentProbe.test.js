@@ -0,0 +1,55 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { EnvironmentProbe } from '../../core/EnvironmentProbe.js';
+import { PlatformUtils } from '../../utils/PlatformUtils.js';
+
+describe('EnvironmentProbe', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'genesis-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should summarize the directory and spot project files', async () => {
+    await fs.writeFile(path.join(tempDir, 'package.json'), '{}');
+    await fs.writeFile(path.join(tempDir, 'notes.txt'), '');
+    await fs.writeFile(path.join(tempDir, '.env'), '');
+    await fs.mkdir(path.join(tempDir, 'src'));
+
+    const environment = await new EnvironmentProbe().probe(tempDir);
+
+    expect(environment.directory).toEqual({
+      path: tempDir,
+      files: 2,
+      dirs: 1,
+      projectFiles: ['package.json'],
+      entries: ['notes.txt', 'package.json', 'src/']
+    });
+    expect(EnvironmentProbe.toPrompt(environment)).toContain('- Contents: notes.txt, package.json, src/');
+  });
+
+  it('should probe the system once and reuse it', async () => {
+    const probe = new EnvironmentProbe();
+    const first = await probe.probe(tempDir);
+    const second = await probe.probe(tempDir);
+
+    expect(second.binaries).toBe(first.binaries);
+    expect(first.os.platform).toBe(process.platform);
+  });
+
+  it('should find executables on a given PATH', async () => {
+    const tool = path.join(tempDir, 'mytool');
+    await fs.writeFile(tool, '#!/bin/sh\n', { mode: 0o755 });
+    await fs.writeFile(path.join(tempDir, 'notexec'), '', { mode: 0o644 });
+
+    expect(PlatformUtils.findExecutable('mytool', tempDir)).toBe(tool);
+    expect(PlatformUtils.findExecutable('notexec', tempDir)).toBeNull();
+    expect(PlatformUtils.findExecutable('missing', tempDir)).toBeNull();
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { CommandAnalyzer } from '../../core/CommandAnalyzer.js';
+import { FileImpactAnalyzer } from '../../core/FileImpactAnalyzer.js';
+
+const describeUnix = process.platform === 'win32' ? describe.skip : describe;
+
+describeUnix('FileImpactAnalyzer', () => {
+  let analyzer;
+  let tempDir;
+  let projectDir;
+
+  const analyze = command => analyzer.analyze(CommandAnalyzer.analyze(command), projectDir);
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'genesis-test-'));
+    projectDir = path.join(tempDir, 'project');
+    await fs.mkdir(path.join(projectDir, 'logs'), { recursive: true });
+    await fs.writeFile(path.join(projectDir, 'logs', 'a.log'), 'aaaa');
+    await fs.writeFile(path.join(projectDir, 'logs', 'b.log'), 'bb');
+    await fs.writeFile(path.join(projectDir, 'notes.txt'), 'notes');
+    analyzer = new FileImpactAnalyzer({ homeDir: path.join(tempDir, 'home') });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should count files and bytes under a recursive deletion', async () => {
+    const impact = await analyze('rm -rf logs');
+
+    expect(impact.targets).toHaveLength(1);
+    expect(impact.targets[0]).toMatchObject({ kind: 'delete', path: path.join(projectDir, 'logs'), files: 2, bytes: 6 });
+    expect(impact.outsideProject).toHaveLength(0);
+  });
+
+  it('should expand globs against the working directory and follow cd', async () => {
+    const impact = await analyze('cd logs && rm *.log');
+
+    expect(impact.targets.map(target => path.basename(target.path))).toEqual(['a.log', 'b.log']);
+    expect(impact.totalFiles).toBe(2);
+  });
+
+  it('should include output redirections and tee but skip /dev/null', async () => {
+    const impact = await analyze('echo hi | tee -a notes.txt > out.txt 2>/dev/null');
+
+    expect(impact.targets.map(target => [target.kind, path.basename(target.path), target.exists])).toEqual([
+      ['write', 'notes.txt', true],
+      ['write', 'out.txt', false]
+    ]);
+  });
+
+  it('should flag paths outside the project and home directory', async () => {
+    const impact = await analyze('chmod 644 ../elsewhere.txt notes.txt');
+
+    expect(impact.targets).toHaveLength(2);
+    expect(impact.outsideProject).toEqual([path.join(tempDir, 'elsewhere.txt')]);
+    expect(impact.outsideHome).toContain(path.join(tempDir, 'elsewhere.txt'));
+  });
+
+  it('should report operands that depend on run-time values', async () => {
+    const impact = await analyze('rm -f "$TARGET"');
+
+    expect(impact.targets).toHaveLength(0);
+    expect(impact.unresolved).toEqual(['$TARGET']);
+  });
+});
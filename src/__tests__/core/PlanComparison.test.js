@@ -0,0 +1,57 @@
+import { describe, it, expect } from '@jest/globals';
+import { PlanComparison } from '../../core/PlanComparison.js';
+import { Plan } from '../../models/Plan.js';
+
+describe('PlanComparison', () => {
+  const makePlan = (intent, commands) => new Plan({
+    intent,
+    steps: commands.map((command, index) => ({ id: `step-${index + 1}`, description: 'Step', command }))
+  });
+
+  it('should list the tools a plan runs without builtins', () => {
+    const plan = makePlan('Convert', ['cd photos && sudo magick mogrify -resize 50% *.jpg', 'ls | grep jpg']);
+
+    expect(PlanComparison.tools(plan)).toEqual(['sudo', 'magick', 'ls', 'grep']);
+  });
+
+  it('should describe existing files a plan deletes, moves or overwrites', () => {
+    const fileImpact = {
+      workingDirectory: '/home/user/project',
+      targets: [
+        { path: '/home/user/project/old', kind: 'delete', exists: true, files: 12 },
+        { path: '/home/user/project/new.txt', kind: 'write', exists: false, files: 0 },
+        { path: '/home/user/other.txt', kind: 'move', exists: true, files: 1 },
+        { path: '/home/user/project/copy.txt', kind: 'append', exists: true, files: 1 }
+      ]
+    };
+
+    expect(PlanComparison.destructiveActions(fileImpact)).toEqual([
+      'deletes old (12 files)',
+      'moves /home/user/other.txt'
+    ]);
+  });
+
+  it('should summarize each plan with its validation', () => {
+    const safe = makePlan('Archive with tar', ['tar czf logs.tgz logs']);
+    const risky = makePlan('Delete and recreate', ['rm -rf logs', 'mkdir logs']);
+    risky.verification = { missing: [{ program: 'zstd' }], prerequisites: [] };
+
+    const comparison = PlanComparison.compare([safe, risky], [
+      { allowed: true, riskLevel: 'low', stepResults: [{ riskLevel: 'low', fileImpact: null }] },
+      {
+        allowed: false,
+        riskLevel: 'high',
+        stepResults: [
+          { riskLevel: 'high', fileImpact: { workingDirectory: '/p', targets: [{ path: '/p/logs', kind: 'delete', exists: true, files: 3 }] } },
+          { riskLevel: 'low', fileImpact: null }
+        ]
+      }
+    ]);
+
+    expect(comparison[1].plan).toBe(risky);
+    expect(comparison.map(({ plan: _plan, ...summary }) => summary)).toEqual([
+      { intent: 'Archive with tar', riskLevel: 'low', allowed: true, stepCount: 1, highRiskSteps: 0, tools: ['tar'], missingTools: [], destructive: [] },
+      { intent: 'Delete and recreate', riskLevel: 'high', allowed: false, stepCount: 2, highRiskSteps: 1, tools: ['rm', 'mkdir'], missingTools: ['zstd'], destructive: ['deletes logs (3 files)'] }
+    ]);
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { Plan } from '../../models/Plan.js';
+import { PlanFile } from '../../core/PlanFile.js';
+
+describe('PlanFile', () => {
+  let tempDir;
+  let plan;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'genesis-test-'));
+    plan = new Plan({
+      intent: 'Compress the biggest log',
+      steps: [
+        { id: 'find', description: 'Find it', command: 'ls -S *.log | head -1', workingDirectory: path.join(tempDir, 'logs'), outputs: { biggest: 'stdout' } },
+        { id: 'zip', description: 'Compress it', command: 'gzip {{biggest}}', workingDirectory: path.join(tempDir, 'logs'), dependsOn: ['find'] }
+      ]
+    });
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it.each(['plan.yaml', 'plan.json'])('should round-trip a plan through %s', async name => {
+    const file = path.join(tempDir, name);
+    await PlanFile.save(plan, file, { query: 'zip the biggest log' });
+
+    const { plan: loaded, query } = await PlanFile.load(file);
+
+    expect(query).toBe('zip the biggest log');
+    expect(loaded.steps.map(step => step.toJSON())).toEqual(plan.steps.map(step => step.toJSON()));
+  });
+
+  it('should store working directories relative to the plan file', async () => {
+    const file = path.join(tempDir, 'plan.yaml');
+    await PlanFile.save(plan, file);
+
+    expect(await fs.readFile(file, 'utf8')).toContain('workingDirectory: logs');
+  });
+
+  it('should list every problem with an invalid plan', async () => {
+    const file = path.join(tempDir, 'broken.json');
+    await fs.writeFile(file, JSON.stringify({ intent: 'x', steps: [{ id: 'a', command: 'ls' }, { id: 'b', description: 'B' }] }));
+
+    await expect(PlanFile.load(file)).rejects.toMatchObject({
+      blockedReasons: ['steps[0].description is required', 'steps[1].command is required']
+    });
+  });
+
+  it('should check plan files with the same rules as planner responses', async () => {
+    const file = path.join(tempDir, 'risky.yaml');
+    await fs.writeFile(file, 'version: 2\nintent: x\nsteps:\n  - id: a\n    description: A\n    command: ls\n    riskLevel: extreme\n    timeout: soon\n');
+
+    await expect(PlanFile.load(file)).rejects.toMatchObject({
+      blockedReasons: [
+        'Plan file version 2 is newer than this CLI supports (1)',
+        'steps[0].riskLevel must be one of [none, low, medium, high]',
+        'steps[0].timeout must be a number'
+      ]
+    });
+  });
+});
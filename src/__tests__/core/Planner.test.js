@@ -0,0 +1,210 @@
+import { describe, it, expect, afterAll, jest } from '@jest/globals';
+import { Planner } from '../../core/Planner.js';
+import { Plan, Step } from '../../models/Plan.js';
+import { PlatformUtils } from '../../utils/PlatformUtils.js';
+import { ExecutionResult } from '../../models/ExecutionResult.js';
+
+describe('Planner', () => {
+  // Let the un-awaited log calls finish before Jest tears down
+  afterAll(() => new Promise(resolve => setTimeout(resolve, 100)));
+
+  describe('createPlan', () => {
+    it('should put session context ahead of the request', async () => {
+      const planner = new Planner();
+      planner.provider = {
+        generateStructuredResponse: jest.fn().mockResolvedValue(JSON.stringify({
+          intent: 'Delete old logs',
+          steps: [{ id: 'step-1', description: 'Delete', command: 'rm a.log' }]
+        }))
+      };
+
+      await planner.createPlan('now delete them', { context: 'Earlier in this session:\n$ ls *.log' });
+
+      const prompt = planner.provider.generateStructuredResponse.mock.calls[0][1];
+      expect(prompt.indexOf('$ ls *.log')).toBeLessThan(prompt.indexOf('User request: "now delete them"'));
+    });
+
+    it('should describe the environment in the system prompt', async () => {
+      const planner = new Planner();
+      planner.provider = {
+        generateStructuredResponse: jest.fn().mockResolvedValue(JSON.stringify({
+          intent: 'List files',
+          steps: [{ id: 'step-1', description: 'List', command: 'ls' }]
+        }))
+      };
+
+      await planner.createPlan('list files');
+
+      const systemPrompt = planner.provider.generateStructuredResponse.mock.calls[0][0];
+      expect(systemPrompt).toContain('Installed tools:');
+      expect(systemPrompt).toContain(`Current directory: ${process.cwd()}`);
+    });
+  });
+
+  describe('invalid plan responses', () => {
+    const validPlan = JSON.stringify({
+      intent: 'Clean up',
+      steps: [{ id: 'step-1', description: 'Remove temp files', command: 'rm -f *.tmp', riskLevel: 'HIGH' }]
+    });
+
+    it('should send the problems back and use the corrected plan', async () => {
+      const planner = new Planner();
+      planner.provider = {
+        generateStructuredResponse: jest.fn()
+          .mockResolvedValueOnce('Sure! Here is the plan: {"intent": "Clean up", "steps": [{"id": "step-1", "command": "rm -f *.tmp", "riskLevel": "extreme"}]}')
+          .mockResolvedValueOnce(validPlan)
+      };
+
+      const plan = await planner.createPlan('clean up temp files');
+
+      const [, retryPrompt, options] = planner.provider.generateStructuredResponse.mock.calls[1];
+      expect(options).toEqual({ json: true });
+      expect(retryPrompt).toContain('- steps[0].description is required');
+      expect(retryPrompt).toContain('- steps[0].riskLevel must be one of [none, low, medium, high]');
+      expect(plan.steps[0].riskLevel).toBe('high');
+      expect(plan.steps[0].requiresConfirmation).toBe(false);
+    });
+
+    it('should give up after planner.maxFormatRetries', async () => {
+      const planner = new Planner();
+      planner.provider = {
+        generateStructuredResponse: jest.fn().mockResolvedValue('I cannot help with that')
+      };
+
+      await expect(planner.createPlan('do something')).rejects.toThrow('Plan response is not valid JSON');
+      expect(planner.provider.generateStructuredResponse).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('createAlternatives', () => {
+    const alternative = (intent, command) => ({
+      intent,
+      steps: [{ id: 'step-1', description: intent, command }]
+    });
+
+    it('should return each distinct approach as a plan', async () => {
+      const planner = new Planner();
+      planner.provider = {
+        generateStructuredResponse: jest.fn().mockResolvedValue(JSON.stringify({
+          alternatives: [
+            alternative('Archive with tar', 'tar czf logs.tgz logs'),
+            alternative('Archive with zip', 'zip -r logs.zip logs'),
+            alternative('Archive with tar again', 'tar czf logs.tgz logs'),
+            alternative('Archive with 7z', '7z a logs.7z logs')
+          ]
+        }))
+      };
+
+      const plans = await planner.createAlternatives('archive the logs', 3);
+
+      expect(plans.map(plan => plan.intent)).toEqual(['Archive with tar', 'Archive with zip']);
+      expect(planner.provider.generateStructuredResponse.mock.calls[0][1]).toContain('up to 3 alternative execution plans');
+    });
+
+    it('should send problems with any alternative back', async () => {
+      const planner = new Planner();
+      planner.provider = {
+        generateStructuredResponse: jest.fn()
+          .mockResolvedValueOnce(JSON.stringify({ alternatives: [alternative('Archive with tar', 'tar czf logs.tgz logs'), { intent: 'Zip' }] }))
+          .mockResolvedValueOnce(JSON.stringify({ alternatives: [alternative('Archive with tar', 'tar czf logs.tgz logs')] }))
+      };
+
+      const plans = await planner.createAlternatives('archive the logs', 2);
+
+      expect(planner.provider.generateStructuredResponse.mock.calls[1][1]).toContain('- alternatives[1]: steps is required');
+      expect(plans).toHaveLength(1);
+    });
+  });
+
+  describe('suggestCommand', () => {
+    it('should ask again until the plan is a single command', async () => {
+      const planner = new Planner();
+      planner.provider = {
+        generateStructuredResponse: jest.fn()
+          .mockResolvedValueOnce(JSON.stringify({
+            intent: 'Count files',
+            steps: [
+              { id: 'step-1', description: 'List', command: 'ls' },
+              { id: 'step-2', description: 'Count', command: 'wc -l' }
+            ]
+          }))
+          .mockResolvedValueOnce(JSON.stringify({
+            intent: 'Count files',
+            steps: [{ id: 'step-1', description: 'Count the files here', command: 'ls | wc -l' }]
+          }))
+      };
+
+      const plan = await planner.suggestCommand('how many files are here');
+
+      expect(planner.provider.generateStructuredResponse.mock.calls[0][1]).toContain('exactly one step');
+      expect(planner.provider.generateStructuredResponse.mock.calls[1][1]).toContain('- steps must contain exactly one step, not 2');
+      expect(plan.steps.map(step => step.command)).toEqual(['ls | wc -l']);
+    });
+  });
+
+  describe('refinePlan', () => {
+    it('should normalize and verify the refined plan like a new one', async () => {
+      const planner = new Planner();
+      planner.provider = {
+        generateStructuredResponse: jest.fn().mockResolvedValue(JSON.stringify({
+          intent: 'Archive logs',
+          steps: [{ id: 'step-1', description: 'Archive', command: 'tar czf logs.tgz logs' }]
+        }))
+      };
+      const normalize = jest.spyOn(PlatformUtils, 'normalizeCommand');
+      const original = new Plan({ intent: 'Delete logs', steps: [{ id: 'step-1', description: 'Delete', command: 'rm -r logs' }] });
+
+      const refined = await planner.refinePlan(original, 'archive instead');
+
+      expect(normalize).toHaveBeenCalledWith('tar czf logs.tgz logs');
+      expect(refined.verification).toBeDefined();
+      normalize.mockRestore();
+    });
+  });
+
+  describe('repairStep', () => {
+    const failedStep = new Step({
+      id: 'step-2',
+      description: 'Convert the image',
+      command: 'convert in.heic out.jpg',
+      dependsOn: ['step-1'],
+      outputs: { converted: 'stdout' }
+    });
+    const failure = new ExecutionResult({
+      stepId: 'step-2',
+      command: 'convert in.heic out.jpg',
+      exitCode: 127,
+      stderr: 'sh: 1: convert: not found'
+    });
+
+    it('should send the failure with hints and keep the step wiring', async () => {
+      const planner = new Planner();
+      planner.provider = {
+        generateStructuredResponse: jest.fn().mockResolvedValue(JSON.stringify({
+          explanation: 'ImageMagick 7 is called magick',
+          step: { command: 'magick in.heic out.jpg', riskLevel: 'low' }
+        }))
+      };
+
+      const { step, explanation } = await planner.repairStep(failedStep, failure);
+
+      const prompt = planner.provider.generateStructuredResponse.mock.calls[0][1];
+      expect(prompt).toContain('Exit code: 127');
+      expect(prompt).toContain('The program was not found');
+      expect(explanation).toBe('ImageMagick 7 is called magick');
+      expect(step.command).toBe('magick in.heic out.jpg');
+      expect(step.id).toBe('step-2');
+      expect(step.dependsOn).toEqual(['step-1']);
+      expect(step.outputs).toEqual({ converted: 'stdout' });
+    });
+
+    it('should fail when the response has no command', async () => {
+      const planner = new Planner();
+      planner.provider = {
+        generateStructuredResponse: jest.fn().mockResolvedValue('{"explanation": "no idea"}')
+      };
+
+      await expect(planner.repairStep(failedStep, failure)).rejects.toThrow('Failed to repair step');
+    });
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { RecipeLibrary } from '../../core/RecipeLibrary.js';
+
+describe('RecipeLibrary', () => {
+  let tempDir;
+  let library;
+  let recipe;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'genesis-test-'));
+    library = new RecipeLibrary(tempDir);
+    recipe = {
+      name: 'cleanup',
+      description: 'Delete old logs',
+      parameters: {
+        days: { type: 'number', default: 7 },
+        pattern: { type: 'string' }
+      },
+      intent: 'Delete {{pattern}} files older than {{days}} days',
+      steps: [
+        { id: 'step-1', description: 'Delete old logs', command: 'find . -name {{pattern}} -mtime +{{days}} -delete' }
+      ]
+    };
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should fill parameters into the plan, quoting commands only', () => {
+    const { plan, values } = library.instantiate(recipe, { pattern: '*.log' });
+
+    expect(values).toEqual({ days: 7, pattern: '*.log' });
+    expect(plan.intent).toBe('Delete *.log files older than 7 days');
+    expect(plan.steps[0].command).toBe('find . -name \'*.log\' -mtime +7 -delete');
+    expect(plan.steps[0].workingDirectory).toBe(process.cwd());
+  });
+
+  it('should report missing, unknown and badly typed parameters together', () => {
+    expect(() => library.instantiate(recipe, { days: 'soon', force: true })).toThrow(expect.objectContaining({
+      blockedReasons: ['Unknown parameter --force', '--days must be a number, got soon', 'Missing --pattern']
+    }));
+  });
+
+  it('should save, list and get recipes', async () => {
+    const file = await library.save(recipe);
+
+    expect(file).toBe(path.join(tempDir, 'cleanup.yaml'));
+    expect((await library.list()).map(entry => entry.name)).toEqual(['cleanup']);
+    expect(await library.get('cleanup')).toMatchObject({ name: 'cleanup', parameters: recipe.parameters, steps: recipe.steps });
+    expect(await library.get('missing')).toBeNull();
+    await expect(library.save(recipe)).rejects.toThrow('already exists');
+  });
+
+  it('should turn literal values from a logged execution into parameters', () => {
+    const execution = {
+      taskId: 'task-1',
+      userQuery: 'delete logs older than 30 days',
+      plan: {
+        intent: 'Delete old logs',
+        steps: [{ id: 'step-1', description: 'Delete', command: 'find /var/log -mtime +30 -name \'*.old\' -delete', workingDirectory: '/srv', dependsOn: null, outputs: {} }]
+      }
+    };
+
+    const created = RecipeLibrary.fromExecution(execution, 'old-logs', { params: { days: '30', dir: '/var/log', pattern: '*.old' } });
+
+    expect(created.steps).toEqual([{ id: 'step-1', description: 'Delete', command: 'find {{dir}} -mtime +{{days}} -name {{pattern}} -delete' }]);
+    expect(created.parameters).toEqual({
+      days: { type: 'number', default: 30 },
+      dir: { type: 'string', default: '/var/log' },
+      pattern: { type: 'string', default: '*.old' }
+    });
+    expect(RecipeLibrary.findErrors(created)).toEqual([]);
+    expect(() => RecipeLibrary.fromExecution(execution, 'x', { params: { n: '99' } })).toThrow('does not appear');
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { SandboxExecutor } from '../../core/SandboxExecutor.js';
+
+const describeUnix = process.platform === 'win32' ? describe.skip : describe;
+
+describeUnix('SandboxExecutor', () => {
+  let executor;
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'genesis-test-'));
+    executor = new SandboxExecutor();
+    executor.workDir = path.join(tempDir, 'sandbox');
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should pass quoted arguments through intact', async () => {
+    const result = await executor.executeStep({
+      id: 'quoted',
+      command: 'printf "%s|" "hello world" \'a  b\'',
+      workingDirectory: tempDir
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.stdout).toBe('hello world|a  b|');
+  });
+
+  it('should run pipelines, globs and redirections through the shell', async () => {
+    await fs.writeFile(path.join(tempDir, 'a.log'), 'x');
+    await fs.writeFile(path.join(tempDir, 'b.log'), 'y');
+
+    const result = await executor.executeStep({
+      id: 'pipeline',
+      command: 'ls *.log | wc -l > count.txt && cat count.txt',
+      workingDirectory: tempDir
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.stdout.trim()).toBe('2');
+  });
+
+  it('should fail steps with invalid syntax', async () => {
+    const result = await executor.executeStep({
+      id: 'broken',
+      command: 'echo "unterminated',
+      workingDirectory: tempDir
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('Invalid command syntax');
+  });
+
+  it('should stream output line by line and keep the full output', async () => {
+    const lines = [];
+    const result = await executor.executeStep({
+      id: 'stream',
+      command: 'echo one; sleep 0.1; echo two >&2; printf "three"',
+      workingDirectory: tempDir
+    }, { onOutput: (line, stream) => lines.push([stream, line]) });
+
+    expect(result.success).toBe(true);
+    expect(lines).toEqual([['stdout', 'one'], ['stderr', 'two'], ['stdout', 'three']]);
+    expect(result.output).toBe('one\ntwo\nthree');
+    expect(result.stdout).toBe('one\nthree');
+  });
+
+  describe('resource limits', () => {
+    const itLinux = process.platform === 'linux' ? it : it.skip;
+
+    itLinux('should apply ulimits and record peak memory', async () => {
+      executor.maxOpenFiles = 256;
+
+      const result = await executor.executeStep({ id: 'limits', command: 'sh -c "ulimit -n"', workingDirectory: tempDir });
+
+      expect(result.stdout).toBe('256');
+      expect(result.memoryUsage.peakRss).toBeGreaterThan(0);
+    });
+
+    itLinux('should report CPU time breaches as resource limit failures', async () => {
+      executor.maxCpuSeconds = 1;
+
+      const result = await executor.executeStep({ id: 'spin', command: 'sh -c "while :; do :; done"', workingDirectory: tempDir });
+
+      expect(result.success).toBe(false);
+      expect(result.limitExceeded).toBe('cpu');
+      expect(result.isResourceLimit()).toBe(true);
+    });
+
+    it('should stop commands whose output exceeds the limit', async () => {
+      executor.maxOutputMB = 0.1;
+
+      const result = await executor.executeStep({ id: 'chatty', command: 'yes', workingDirectory: tempDir });
+
+      expect(result.limitExceeded).toBe('output');
+      expect(result.stdout.length).toBeLessThanOrEqual(0.1 * 1024 * 1024);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import { promises as fs } from 'fs';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import path from 'path';
+import os from 'os';
+import { SandboxIsolation } from '../../core/SandboxIsolation.js';
+
+const execFileAsync = promisify(execFile);
+
+describe('SandboxIsolation', () => {
+  it('should not isolate when turned off', async () => {
+    const isolation = new SandboxIsolation('none');
+    const wrapped = await isolation.wrap({ cmd: 'ls', args: ['-la'] }, { writablePaths: ['/tmp/work'] });
+
+    expect(wrapped).toEqual({ cmd: 'ls', args: ['-la'], isolation: null });
+  });
+
+  it('should build a read-only bubblewrap sandbox with writable binds', () => {
+    const wrapped = new SandboxIsolation('bubblewrap')._wrap('bubblewrap', { cmd: 'ls', args: ['-la'] }, {
+      writablePaths: ['/tmp/work'],
+      workingDir: '/tmp/work',
+      network: false
+    });
+
+    expect(wrapped.cmd).toBe('bwrap');
+    expect(wrapped.args.slice(0, 3)).toEqual(['--ro-bind', '/', '/']);
+    expect(wrapped.args).toEqual(expect.arrayContaining(['--bind', '/tmp/work', '--unshare-all', '--chdir']));
+    expect(wrapped.args).not.toContain('--share-net');
+    expect(wrapped.args.slice(-3)).toEqual(['--', 'ls', '-la']);
+  });
+
+  it('should keep the network for approved steps', () => {
+    const wrapped = new SandboxIsolation('bubblewrap')._wrap('bubblewrap', { cmd: 'curl', args: [] }, {
+      writablePaths: [],
+      network: true
+    });
+
+    expect(wrapped.args).toContain('--share-net');
+  });
+
+  it('should fall back to no isolation when the backend is unavailable', async () => {
+    SandboxIsolation.availability.set('bubblewrap', false);
+    const isolation = new SandboxIsolation('bubblewrap');
+
+    expect(await isolation.resolve()).toBeNull();
+    SandboxIsolation.availability.delete('bubblewrap');
+  });
+
+  it('should refuse to go on without isolation where it is mandatory', async () => {
+    const saved = new Map(SandboxIsolation.availability);
+    SandboxIsolation.getBackends().forEach(backend => SandboxIsolation.availability.set(backend, false));
+
+    await expect(SandboxIsolation.mandatory('none', 'Simulating')).rejects.toThrow('Simulating needs sandbox isolation');
+    SandboxIsolation.availability = saved;
+  });
+});
+
+const canUnshare = process.platform === 'linux' && await SandboxIsolation.isAvailable('unshare');
+const describeUnshare = canUnshare ? describe : describe.skip;
+
+describeUnshare('SandboxIsolation (unshare)', () => {
+  let tempDir;
+  let isolation;
+
+  const run = async (script, network = false) => {
+    const wrapped = await isolation.wrap({ cmd: '/bin/sh', args: ['-c', script] }, {
+      writablePaths: [tempDir],
+      workingDir: tempDir,
+      network
+    });
+    return execFileAsync(wrapped.cmd, wrapped.args, { cwd: tempDir, timeout: 10000 })
+      .then(({ stdout }) => ({ ok: true, stdout }), error => ({ ok: false, stderr: error.stderr }));
+  };
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'genesis-test-'));
+    isolation = new SandboxIsolation('unshare');
+  });
+
+  afterAll(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should only allow writes to the writable paths', async () => {
+    expect((await run('echo hi > inside.txt && cat inside.txt')).stdout).toBe('hi\n');
+    expect((await run(`touch ${path.join(os.homedir(), '.genesis-isolation-test')}`)).ok).toBe(false);
+  });
+
+  it('should have no network interfaces besides loopback', async () => {
+    const { stdout } = await run('cat /proc/net/dev');
+    const interfaces = stdout.split('\n').slice(2).filter(Boolean).map(line => line.split(':')[0].trim());
+
+    expect(interfaces.every(name => name === 'lo')).toBe(true);
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { SessionStore } from '../../core/SessionStore.js';
+
+describe('SessionStore', () => {
+  let tempDir;
+  let store;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'genesis-test-'));
+    store = new SessionStore(tempDir);
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should save turns and load them back', async () => {
+    const session = store.create('docker');
+    await store.addTurn(session, 'How do I list containers?', 'docker ps');
+
+    const loaded = await store.get('docker');
+
+    expect(loaded.turns.map(turn => [turn.role, turn.content])).toEqual([
+      ['user', 'How do I list containers?'],
+      ['assistant', 'docker ps']
+    ]);
+    expect(await store.get('missing')).toBeNull();
+  });
+
+  it('should list sessions newest first and continue the latest', async () => {
+    await store.addTurn(store.create('newer'), 'q1', 'a1');
+    await fs.writeFile(path.join(tempDir, 'older.json'), JSON.stringify({ ...store.create('older'), updatedAt: '2020-01-01T00:00:00.000Z' }));
+
+    expect((await store.list()).map(session => session.name)).toEqual(['newer', 'older']);
+    expect((await store.latest()).name).toBe('newer');
+  });
+
+  it('should feed back only the most recent turns as history', async () => {
+    const session = store.create('long');
+    for (let i = 1; i <= 3; i++) {
+      await store.addTurn(session, `q${i}`, `a${i}`);
+    }
+
+    expect(SessionStore.toHistory(session, 2)).toEqual([
+      { role: 'user', content: 'q2' },
+      { role: 'assistant', content: 'a2' },
+      { role: 'user', content: 'q3' },
+      { role: 'assistant', content: 'a3' }
+    ]);
+  });
+
+  it('should delete sessions and reject unsafe names', async () => {
+    await store.addTurn(store.create('gone'), 'q', 'a');
+
+    expect(await store.delete('gone')).toBe(true);
+    expect(await store.delete('gone')).toBe(false);
+    expect(() => store.create('../escape')).toThrow('Invalid session name');
+  });
+});
@@ -0,0 +1,32 @@
+import { describe, it, expect } from '@jest/globals';
+import { ShellIntegration } from '../../core/ShellIntegration.js';
+
+describe('ShellIntegration', () => {
+  it('should define a function that asks el suggest for the command', () => {
+    for (const shell of ShellIntegration.getShells()) {
+      const script = ShellIntegration.script(shell, 'ai');
+
+      expect(script).toContain('command el suggest --raw --');
+      expect(script).toContain('usage: ai <what you want to do>');
+      expect(script).not.toContain('{{name}}');
+    }
+  });
+
+  it('should leave the suggestion on the command line for editing', () => {
+    expect(ShellIntegration.script('bash')).toContain('read -r -e -i "$suggestion"');
+    expect(ShellIntegration.script('zsh')).toContain('print -z -- "$suggestion"');
+    expect(ShellIntegration.script('fish')).toContain('read --command "$suggestion"');
+  });
+
+  it('should detect the shell from its path', () => {
+    expect(ShellIntegration.detect('/usr/bin/zsh')).toBe('zsh');
+    expect(ShellIntegration.detect('/opt/homebrew/bin/fish')).toBe('fish');
+    expect(ShellIntegration.detect('/bin/tcsh')).toBeNull();
+    expect(ShellIntegration.detect('')).toBeNull();
+  });
+
+  it('should reject unknown shells and unsafe function names', () => {
+    expect(() => ShellIntegration.script('tcsh')).toThrow('Unsupported shell: tcsh');
+    expect(() => ShellIntegration.script('bash', 'x; rm -rf ~')).toThrow('Invalid function name');
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, expect } from '@jest/globals';
+import { ShellParser } from '../../core/ShellParser.js';
+import { ShellParseException } from '../../exceptions/ShellParseException.js';
+
+function commandLines(command) {
+  return ShellParser.getSimpleCommands(ShellParser.parse(command))
+    .map(node => [node.name, ...node.args].join(' '));
+}
+
+describe('ShellParser', () => {
+  it('should remove quotes and honour escapes', () => {
+    const [command] = ShellParser.getSimpleCommands(
+      ShellParser.parse(`grep -r "hello world" 'single $quoted' back\\ slash`)
+    );
+
+    expect(command.name).toBe('grep');
+    expect(command.args).toEqual(['-r', 'hello world', 'single $quoted', 'back slash']);
+    expect(command.words[3].expansions).toHaveLength(0);
+  });
+
+  it('should split pipelines and command lists', () => {
+    const ast = ShellParser.parse('find . -name "*.log" | wc -l && echo done; ls &');
+
+    expect(ast.items.map(item => item.operator)).toEqual(['&&', ';', '&']);
+    expect(ast.items[0].node.commands).toHaveLength(2);
+    expect(commandLines('find . -name "*.log" | wc -l')).toEqual(['find . -name *.log', 'wc -l']);
+  });
+
+  it('should only treat unquoted glob characters as globs', () => {
+    const [find] = ShellParser.getSimpleCommands(ShellParser.parse('find . -name "*.log" *.txt'));
+    expect(find.words[3].glob).toBe(false);
+    expect(find.words[4].glob).toBe(true);
+  });
+
+  it('should parse redirections with file descriptors', () => {
+    const [command] = ShellParser.getSimpleCommands(ShellParser.parse('make 2>&1 >build.log <<<input'));
+
+    expect(command.args).toEqual([]);
+    expect(command.redirects.map(r => [r.fd, r.op, r.target.value])).toEqual([
+      [2, '>&', '1'],
+      [null, '>', 'build.log'],
+      [null, '<<<', 'input']
+    ]);
+  });
+
+  it('should parse commands inside substitutions', () => {
+    expect(commandLines('echo "today is $(date +%F)" `whoami`')).toEqual([
+      'echo today is $(date +%F) `whoami`',
+      'date +%F',
+      'whoami'
+    ]);
+    expect(commandLines('bash <(curl -s https://example.com/install.sh)')).toEqual([
+      'bash <(curl -s https://example.com/install.sh)',
+      'curl -s https://example.com/install.sh'
+    ]);
+  });
+
+  it('should parse compound commands', () => {
+    expect(commandLines('if [ -f a ]; then rm a; else touch a; fi')).toEqual(['[ -f a ]', 'rm a', 'touch a']);
+    expect(commandLines('for f in *.txt; do gzip "$f"; done')).toEqual(['gzip $f']);
+    expect(commandLines('( cd /tmp && ls ) > out.txt')).toEqual(['cd /tmp', 'ls']);
+    expect(commandLines('case "$1" in a|b) echo ab;; *) echo other;; esac')).toEqual(['echo ab', 'echo other']);
+  });
+
+  it('should parse function definitions such as a fork bomb', () => {
+    const ast = ShellParser.parse(':(){ :|:& };:');
+    expect(ast.items[0].node.commands[0].type).toBe('function');
+    expect(commandLines(':(){ :|:& };:')).toEqual([':', ':', ':']);
+  });
+
+  it('should collect heredoc bodies', () => {
+    const [command] = ShellParser.getSimpleCommands(ShellParser.parse('cat <<EOF > notes.txt\nline one\nEOF'));
+    expect(command.redirects[0].heredoc).toBe('line one');
+    expect(command.redirects[1].target.value).toBe('notes.txt');
+  });
+
+  it('should identify plain commands that need no shell', () => {
+    expect(ShellParser.getPlainCommand(ShellParser.parse('git commit -m "a message"')).args)
+      .toEqual(['commit', '-m', 'a message']);
+    expect(ShellParser.getPlainCommand(ShellParser.parse('ls *.js'))).toBeNull();
+    expect(ShellParser.getPlainCommand(ShellParser.parse('echo $HOME'))).toBeNull();
+    expect(ShellParser.getPlainCommand(ShellParser.parse('ls | wc -l'))).toBeNull();
+  });
+
+  it('should report syntax errors with a position', () => {
+    expect(() => ShellParser.parse('echo "unterminated')).toThrow(ShellParseException);
+    expect(() => ShellParser.parse('ls &&')).toThrow('Expected a command');
+    expect(() => ShellParser.parse('if true; then echo')).toThrow('Expected "fi"');
+
+    try {
+      ShellParser.parse('echo ok | | wc');
+    } catch (error) {
+      expect(error.position).toBe(10);
+    }
+  });
+});
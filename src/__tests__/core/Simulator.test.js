@@ -0,0 +1,93 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { Plan } from '../../models/Plan.js';
+import { Simulator } from '../../core/Simulator.js';
+import { SandboxIsolation } from '../../core/SandboxIsolation.js';
+
+// Simulations only run isolated
+const canIsolate = process.platform === 'linux' &&
+  (await SandboxIsolation.isAvailable('bubblewrap') || await SandboxIsolation.isAvailable('unshare'));
+const describeIsolated = canIsolate ? describe : describe.skip;
+
+describeIsolated('Simulator', () => {
+  let tempDir;
+  let projectDir;
+  let simulator;
+
+  const planOf = commands => new Plan({
+    intent: 'Test plan',
+    steps: commands.map((command, index) => ({
+      id: `step-${index + 1}`,
+      description: command,
+      command,
+      workingDirectory: projectDir
+    }))
+  });
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'genesis-test-'));
+    projectDir = path.join(tempDir, 'project');
+    await fs.mkdir(path.join(projectDir, 'old'), { recursive: true });
+    await fs.writeFile(path.join(projectDir, 'old', 'a.txt'), 'a');
+    await fs.writeFile(path.join(projectDir, 'notes.txt'), 'one\ntwo\n');
+    simulator = new Simulator();
+  });
+
+  afterEach(async () => {
+    await simulator.cleanup();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should report created, modified and deleted files without touching the originals', async () => {
+    const simulation = await simulator.run(planOf([
+      'rm -r old',
+      'echo three >> notes.txt',
+      'echo hi > new.txt && cat new.txt'
+    ]));
+
+    expect(simulation.steps.map(entry => entry.result.success)).toEqual([true, true, true]);
+    expect(simulation.steps[2].result.stdout).toBe('hi');
+    expect(simulation.changes.map(change => [change.type, path.relative(projectDir, change.path)])).toEqual([
+      ['created', 'new.txt'],
+      ['modified', 'notes.txt'],
+      ['deleted', 'old'],
+      ['deleted', path.join('old', 'a.txt')]
+    ]);
+    expect(simulation.changes[1]).toMatchObject({ linesAdded: 1, linesRemoved: 0 });
+
+    expect(await fs.readFile(path.join(projectDir, 'notes.txt'), 'utf8')).toBe('one\ntwo\n');
+    await expect(fs.access(path.join(projectDir, 'new.txt'))).rejects.toThrow();
+  });
+
+  it('should skip steps that would touch files outside the copy', async () => {
+    const outside = path.join(tempDir, 'outside.txt');
+    const simulation = await simulator.run(planOf([`echo x > ${outside}`]));
+
+    expect(simulation.steps[0].skipped).toContain(outside);
+    await expect(fs.access(outside)).rejects.toThrow();
+  });
+
+  it('should keep commands that name paths outside the copy from changing them', async () => {
+    const escaped = path.join(tempDir, 'escaped');
+    const simulation = await simulator.run(planOf([
+      `touch ${escaped}`,
+      `mkdir -p ${escaped}-dir`,
+      `sed -i s/one/CHANGED/ ${path.join(projectDir, 'notes.txt')}`
+    ]));
+
+    expect(simulation.steps.map(entry => entry.result.success)).toEqual([false, false, false]);
+    expect(await fs.readFile(path.join(projectDir, 'notes.txt'), 'utf8')).toBe('one\ntwo\n');
+    await expect(fs.access(escaped)).rejects.toThrow();
+    await expect(fs.access(`${escaped}-dir`)).rejects.toThrow();
+    expect(simulation.changes).toEqual([]);
+  });
+
+  it('should skip steps that act on other processes or need the network', async () => {
+    const simulation = await simulator.run(planOf(['kill 12345', 'git clone https://example.com/repo.git']));
+
+    expect(simulation.steps[0].skipped).toBe('Can\'t be confined to the copy: kill');
+    expect(simulation.steps[1].skipped).toContain('Needs network access');
+  });
+});
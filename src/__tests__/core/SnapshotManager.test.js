@@ -0,0 +1,76 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { CommandAnalyzer } from '../../core/CommandAnalyzer.js';
+import { FileImpactAnalyzer } from '../../core/FileImpactAnalyzer.js';
+import { SnapshotManager } from '../../core/SnapshotManager.js';
+import { SandboxExecutor } from '../../core/SandboxExecutor.js';
+
+const describeUnix = process.platform === 'win32' ? describe.skip : describe;
+
+describeUnix('SnapshotManager', () => {
+  let tempDir;
+  let projectDir;
+  let snapshots;
+
+  const impactOf = command =>
+    new FileImpactAnalyzer().analyze(CommandAnalyzer.analyze(command), projectDir);
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'genesis-test-'));
+    projectDir = path.join(tempDir, 'project');
+    await fs.mkdir(path.join(projectDir, 'src'), { recursive: true });
+    await fs.writeFile(path.join(projectDir, 'src', 'index.js'), 'original');
+    await fs.writeFile(path.join(projectDir, 'README.md'), 'readme');
+    snapshots = new SnapshotManager(path.join(tempDir, 'backup'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should restore deleted directories and remove created files', async () => {
+    const impact = await impactOf('rm -rf src && echo new > notes.txt');
+    const manifest = await snapshots.snapshot('task-1', 'step-1', impact);
+
+    await fs.rm(path.join(projectDir, 'src'), { recursive: true });
+    await fs.writeFile(path.join(projectDir, 'notes.txt'), 'new');
+
+    const result = await snapshots.restore(manifest);
+
+    expect(result.failed).toHaveLength(0);
+    expect(await fs.readFile(path.join(projectDir, 'src', 'index.js'), 'utf8')).toBe('original');
+    await expect(fs.access(path.join(projectDir, 'notes.txt'))).rejects.toThrow();
+  });
+
+  it('should restore permissions changed by chmod', async () => {
+    const file = path.join(projectDir, 'README.md');
+    await fs.chmod(file, 0o644);
+
+    const manifest = await snapshots.snapshot('task-1', 'step-1', await impactOf('chmod 600 README.md'));
+    await fs.chmod(file, 0o600);
+    await snapshots.restore(manifest);
+
+    expect((await fs.stat(file)).mode & 0o777).toBe(0o644);
+    expect(manifest.entries[0].backup).toBeUndefined();
+  });
+
+  it('should snapshot before SandboxExecutor runs a file-changing step', async () => {
+    const executor = new SandboxExecutor();
+    executor.workDir = path.join(tempDir, 'sandbox');
+    const step = { id: 'step-1', command: 'echo changed > README.md', workingDirectory: projectDir };
+
+    const result = await executor.executeStep(step, {
+      taskId: 'task-2',
+      validation: { fileImpact: await impactOf(step.command) }
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.snapshot.dir).toBe(path.join(tempDir, 'sandbox', 'backup', 'task-2', 'step-1'));
+    expect(await fs.readFile(path.join(projectDir, 'README.md'), 'utf8')).toBe('changed\n');
+
+    await new SnapshotManager().restore(result.toJSON().snapshot);
+    expect(await fs.readFile(path.join(projectDir, 'README.md'), 'utf8')).toBe('readme');
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect } from '@jest/globals';
+import { Plan } from '../../models/Plan.js';
+import { StepScheduler } from '../../core/StepScheduler.js';
+
+const planOf = steps => new Plan({
+  intent: 'Test plan',
+  steps: steps.map(step => ({ description: step.id, command: 'true', ...step }))
+});
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('StepScheduler', () => {
+  it('should run independent steps side by side up to the concurrency limit', async () => {
+    const plan = planOf([
+      { id: 'a', dependsOn: [] },
+      { id: 'b', dependsOn: [] },
+      { id: 'c', dependsOn: [] },
+      { id: 'd', dependsOn: ['a', 'b', 'c'] }
+    ]);
+    let active = 0;
+    let peak = 0;
+    const order = [];
+
+    const outcomes = await new StepScheduler(plan, { concurrency: 2 }).run(async step => {
+      active++;
+      peak = Math.max(peak, active);
+      await delay(20);
+      active--;
+      order.push(step.id);
+      return { success: true };
+    });
+
+    expect(peak).toBe(2);
+    expect(order[3]).toBe('d');
+    expect(outcomes.map(outcome => outcome.status)).toEqual(['success', 'success', 'success', 'success']);
+  });
+
+  it('should skip steps that need a failed step and keep the rest going', async () => {
+    const plan = planOf([
+      { id: 'build', dependsOn: [] },
+      { id: 'test', dependsOn: ['build'] },
+      { id: 'lint', dependsOn: [] }
+    ]);
+    const ran = [];
+
+    const outcomes = await new StepScheduler(plan, { concurrency: 1 }).run(step => {
+      ran.push(step.id);
+      return { success: step.id !== 'build' };
+    }, { onFailure: () => true });
+
+    expect(ran).toEqual(['build', 'lint']);
+    expect(outcomes[1]).toMatchObject({ status: 'skipped', reason: 'Needs build, which failed' });
+  });
+
+  it('should stop starting steps when onFailure says so', async () => {
+    const plan = planOf([{ id: 'a' }, { id: 'b' }, { id: 'c' }]);
+
+    const outcomes = await new StepScheduler(plan).run(
+      step => ({ success: step.id !== 'a' }),
+      { onFailure: () => false }
+    );
+
+    expect(outcomes.map(outcome => outcome.status)).toEqual(['failed', 'skipped', 'skipped']);
+  });
+
+  it('should refuse plans with circular dependencies', async () => {
+    const plan = planOf([{ id: 'a', dependsOn: ['b'] }, { id: 'b', dependsOn: ['a'] }]);
+
+    await expect(new StepScheduler(plan).run(() => ({ success: true })))
+      .rejects.toThrow('Circular dependency');
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, it, expect } from '@jest/globals';
+import { Plan } from '../../models/Plan.js';
+import { StepVariables } from '../../core/StepVariables.js';
+
+describe('StepVariables', () => {
+  const capture = (outputs, stdout) =>
+    new StepVariables().capture({ id: 'step-1', command: 'true', outputs }, { stdout, stderr: '' });
+
+  it('should capture whole output, lines, regex groups and JSON fields', () => {
+    expect(capture({ all: 'stdout' }, '  /var/log/big.log\n')).toEqual({ all: '/var/log/big.log' });
+    expect(capture({ last: { line: -1 } }, 'a\nb\nc')).toEqual({ last: 'c' });
+    expect(capture({ version: { regex: 'v(\\d+\\.\\d+)', group: 1 } }, 'node v20.11.0')).toEqual({ version: '20.11' });
+    expect(capture({ name: { json: 'items[1].name' } }, '{"items":[{"name":"a"},{"name":"b"}]}')).toEqual({ name: 'b' });
+  });
+
+  it('should fail when the output does not have the value', () => {
+    expect(() => capture({ version: { regex: 'v(\\d+)' } }, 'no version here')).toThrow('Could not capture {{version}}');
+  });
+
+  it('should substitute values shell-quoted', () => {
+    const variables = new StepVariables({ file: 'my logs/app.log', dir: '/var/log' });
+
+    expect(variables.substitute('gzip {{file}} && ls {{ dir }}')).toBe('gzip \'my logs/app.log\' && ls /var/log');
+    expect(new StepVariables({ x: '$(rm -rf ~)' }).substitute('echo {{x}}')).toBe('echo \'$(rm -rf ~)\'');
+    expect(() => variables.substitute('cat {{missing}}')).toThrow('Variable {{missing}} has no value');
+  });
+
+  it('should report variables that no earlier step captures', () => {
+    const plan = new Plan({
+      intent: 'Compress the biggest log',
+      steps: [
+        { id: 'find', description: 'Find it', command: 'ls -S *.log | head -1', outputs: { biggest: 'stdout' } },
+        { id: 'zip', description: 'Compress it', command: 'gzip {{biggest}} {{other}}' },
+        { id: 'early', description: 'Too early', command: 'echo {{biggest}}', dependsOn: [] }
+      ]
+    });
+
+    expect(StepVariables.findReferenceErrors(plan)).toEqual([
+      'zip uses {{other}}, which no earlier step captures',
+      'early uses {{biggest}}, which no earlier step captures'
+    ]);
+  });
+});
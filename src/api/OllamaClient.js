@@ -0,0 +1,70 @@
+import { LLMProvider } from './LLMProvider.js';
+import { ApiException } from '../exceptions/ApiException.js';
+
+/**
+ * Client for a local Ollama server. No API key is needed, which makes this the
+ * provider of choice on air-gapped machines.
+ */
+export class OllamaClient extends LLMProvider {
+  constructor() {
+    super('ollama');
+  }
+
+  getModelName() {
+    return this.config.get('ollama.model', 'llama3.1');
+  }
+
+  getBaseUrl() {
+    return this.config.get('ollama.baseUrl', 'http://localhost:11434').replace(/\/+$/, '');
+  }
+
+  async generateStructuredResponse(systemPrompt, userPrompt, options = {}) {
+    await this._ensureConfigLoaded();
+
+    return this._executeWithRetry(() => this._chat([
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt }
+    ], {
+      temperature: options.temperature ?? 0.1,
+      maxTokens: options.maxTokens || 2048,
+      json: options.json
+    }));
+  }
+
+  async generateResponse(prompt, options = {}) {
+    await this._ensureConfigLoaded();
+
+    return this._executeWithRetry(() => this._chat([
+      ...(options.history || []).map(({ role, content }) => ({ role, content })),
+      { role: 'user', content: prompt }
+    ], {
+      temperature: options.temperature ?? 0.7,
+      maxTokens: options.maxTokens || 1024
+    }));
+  }
+
+  async _chat(messages, options) {
+    const body = {
+      model: this.getModelName(),
+      messages,
+      stream: false,
+      options: {
+        temperature: options.temperature,
+        num_predict: options.maxTokens
+      }
+    };
+
+    if (options.json) {
+      body.format = 'json';
+    }
+
+    const data = await this._postJson(`${this.getBaseUrl()}/api/chat`, body);
+    const content = data?.message?.content;
+
+    if (typeof content !== 'string') {
+      throw new ApiException('Ollama response did not contain a message');
+    }
+
+    return content;
+  }
+}
@@ -0,0 +1,73 @@
+import { LLMProvider } from './LLMProvider.js';
+import { ApiException } from '../exceptions/ApiException.js';
+
+/**
+ * Client for any OpenAI-compatible chat completions endpoint (OpenAI itself,
+ * Azure-style gateways, vLLM, LM Studio, llama.cpp server, ...).
+ */
+export class OpenAIClient extends LLMProvider {
+  constructor() {
+    super('openai');
+  }
+
+  getModelName() {
+    return this.config.get('openai.model', 'gpt-4o-mini');
+  }
+
+  getBaseUrl() {
+    return this.config.get('openai.baseUrl', 'https://api.openai.com/v1').replace(/\/+$/, '');
+  }
+
+  async generateStructuredResponse(systemPrompt, userPrompt, options = {}) {
+    await this._ensureConfigLoaded();
+
+    return this._executeWithRetry(() => this._chat([
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt }
+    ], {
+      temperature: options.temperature ?? 0.1,
+      maxTokens: options.maxTokens || 2048,
+      json: options.json
+    }));
+  }
+
+  async generateResponse(prompt, options = {}) {
+    await this._ensureConfigLoaded();
+
+    return this._executeWithRetry(() => this._chat([
+      ...(options.history || []).map(({ role, content }) => ({ role, content })),
+      { role: 'user', content: prompt }
+    ], {
+      temperature: options.temperature ?? 0.7,
+      maxTokens: options.maxTokens || 1024
+    }));
+  }
+
+  async _chat(messages, options) {
+    const body = {
+      model: this.getModelName(),
+      messages,
+      temperature: options.temperature,
+      max_tokens: options.maxTokens
+    };
+
+    if (options.json) {
+      body.response_format = { type: 'json_object' };
+    }
+
+    const headers = {};
+    const apiKey = this.config.get('openai.apiKey', '') || process.env.OPENAI_API_KEY;
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    const data = await this._postJson(`${this.getBaseUrl()}/chat/completions`, body, headers);
+    const content = data?.choices?.[0]?.message?.content;
+
+    if (typeof content !== 'string') {
+      throw new ApiException('OpenAI-compatible response did not contain a message');
+    }
+
+    return content;
+  }
+}
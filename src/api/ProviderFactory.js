@@ -0,0 +1,53 @@
+import { ConfigManager } from '../utils/ConfigManager.js';
+import { ApiException } from '../exceptions/ApiException.js';
+import { GeminiClient } from './GeminiClient.js';
+import { OpenAIClient } from './OpenAIClient.js';
+import { OllamaClient } from './OllamaClient.js';
+import { ReplayClient } from './ReplayClient.js';
+
+const PROVIDERS = {
+  gemini: GeminiClient,
+  openai: OpenAIClient,
+  ollama: OllamaClient,
+  replay: ReplayClient
+};
+
+export class ProviderFactory {
+  static getAvailableProviders() {
+    return Object.keys(PROVIDERS);
+  }
+
+  static async getProviderName() {
+    const config = ConfigManager.getInstance();
+    if (!config.loaded) {
+      await config.load();
+    }
+    return process.env.EL_PROVIDER || config.get('provider', 'gemini');
+  }
+
+  /**
+   * Create the LLM provider selected by the EL_PROVIDER environment variable
+   * or the `provider` config key, or the one named explicitly.
+   */
+  static async create(name = null) {
+    const providerName = (name || await ProviderFactory.getProviderName()).toLowerCase();
+    const ProviderClass = PROVIDERS[providerName];
+
+    if (!ProviderClass) {
+      throw new ApiException(
+        `Unknown provider "${providerName}". Available: ${ProviderFactory.getAvailableProviders().join(', ')}`
+      );
+    }
+
+    if (ProviderClass === ReplayClient) {
+      const config = ConfigManager.getInstance();
+      const upstreamName = process.env.EL_REPLAY_UPSTREAM || config.get('replay.upstream', 'gemini');
+      if (upstreamName === 'replay') {
+        throw new ApiException('The replay provider cannot record from itself');
+      }
+      return new ReplayClient(await ProviderFactory.create(upstreamName));
+    }
+
+    return new ProviderClass();
+  }
+}
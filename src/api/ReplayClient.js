@@ -0,0 +1,120 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import { LLMProvider } from './LLMProvider.js';
+import { ApiException } from '../exceptions/ApiException.js';
+
+/**
+ * Fixture-backed provider for tests, demos and offline runs.
+ *
+ * In `record` mode every request is forwarded to the upstream provider and the
+ * request/response pair is written to the fixtures directory. In `replay` mode
+ * responses are served from those files only, keyed by a hash of the prompt,
+ * so no network or API key is needed.
+ */
+export class ReplayClient extends LLMProvider {
+  constructor(upstream = null) {
+    super('replay');
+    this.upstream = upstream;
+  }
+
+  getMode() {
+    return (process.env.EL_REPLAY_MODE || this.config.get('replay.mode', 'replay')).toLowerCase();
+  }
+
+  getFixturesDir() {
+    return process.env.EL_FIXTURES_DIR ||
+      this.config.get('replay.fixturesDir', path.join(os.homedir(), '.genesis-eleven', 'fixtures'));
+  }
+
+  getModelName() {
+    return this.upstream ? `${this.getMode()} of ${this.upstream.name}/${this.upstream.getModelName()}` : this.getMode();
+  }
+
+  generateStructuredResponse(systemPrompt, userPrompt, options = {}) {
+    return this._handle('generateStructuredResponse', { systemPrompt, userPrompt }, () =>
+      this.upstream.generateStructuredResponse(systemPrompt, userPrompt, options)
+    );
+  }
+
+  generateResponse(prompt, options = {}) {
+    // Only conversations carry history, so single prompts keep their old keys
+    const request = options.history?.length ? { prompt, history: options.history } : { prompt };
+    return this._handle('generateResponse', request, () =>
+      this.upstream.generateResponse(prompt, options)
+    );
+  }
+
+  async validateConnection() {
+    if (this.getMode() === 'record') {
+      return this.upstream ? this.upstream.validateConnection() : false;
+    }
+
+    try {
+      const files = await fs.readdir(this.getFixturesDir());
+      return files.some(file => file.endsWith('.json'));
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Stable key for a request. Only the method and prompt text take part, so
+   * sampling options can change without invalidating recordings.
+   */
+  static hashRequest(method, request) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify({ method, ...request }))
+      .digest('hex')
+      .substring(0, 16);
+  }
+
+  async _handle(method, request, callUpstream) {
+    await this._ensureConfigLoaded();
+
+    const key = ReplayClient.hashRequest(method, request);
+    const fixturePath = path.join(this.getFixturesDir(), `${key}.json`);
+    const mode = this.getMode();
+
+    if (mode === 'replay') {
+      let fixture;
+      try {
+        fixture = JSON.parse(await fs.readFile(fixturePath, 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw new ApiException(`No recorded response for request ${key} in ${this.getFixturesDir()}. Record it with EL_REPLAY_MODE=record`);
+        }
+        throw new ApiException(`Failed to read fixture ${fixturePath}: ${error.message}`);
+      }
+
+      this.logger.debug('Replayed recorded response', { key, method });
+      return fixture.response;
+    }
+
+    if (mode !== 'record') {
+      throw new ApiException(`Unknown replay mode "${mode}". Use "record" or "replay"`);
+    }
+
+    if (!this.upstream) {
+      throw new ApiException('Record mode needs an upstream provider (replay.upstream)');
+    }
+
+    const response = await callUpstream();
+
+    await fs.mkdir(this.getFixturesDir(), { recursive: true });
+    await fs.writeFile(fixturePath, JSON.stringify({
+      key,
+      method,
+      request,
+      response,
+      provider: this.upstream.name,
+      model: this.upstream.getModelName(),
+      recordedAt: new Date().toISOString()
+    }, null, 2));
+
+    this.logger.info('Recorded provider response', { key, method, fixturePath });
+    return response;
+  }
+}
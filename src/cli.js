@@ -14,6 +14,14 @@ import { validateCommand } from './commands/validate.js';
 import { statusCommand } from './commands/status.js';
 import { askCommand } from './commands/ask.js';
 import { logsCommand } from './commands/logs.js';
+import { rollbackCommand } from './commands/rollback.js';
+import { runPlanCommand } from './commands/runPlan.js';
+import { recipeCommand } from './commands/recipe.js';
+import { shellCommand } from './commands/shell.js';
+import { sessionsCommand } from './commands/sessions.js';
+import { explainCommand } from './commands/explain.js';
+import { suggestCommand } from './commands/suggest.js';
+import { shellInitCommand } from './commands/shellInit.js';
 
 // Get package.json for version
 const __filename = fileURLToPath(import.meta.url);
@@ -29,7 +37,9 @@ program
   .description('🌟 Genesis Eleven CLI - AI-powered desktop control assistant')
   .configureHelp({
     sortSubcommands: true
-  });
+  })
+  // Subcommands reuse flags like -y and -p, so leave them to the subcommand
+  .enablePositionalOptions();
 
 // Add all commands
 program.addCommand(configCommand());
@@ -39,12 +49,24 @@ program.addCommand(validateCommand());
 program.addCommand(statusCommand());
 program.addCommand(askCommand());
 program.addCommand(logsCommand());
+program.addCommand(rollbackCommand());
+program.addCommand(runPlanCommand());
+program.addCommand(recipeCommand());
+program.addCommand(shellCommand());
+program.addCommand(sessionsCommand());
+program.addCommand(explainCommand());
+program.addCommand(suggestCommand());
+program.addCommand(shellInitCommand());
 
 // Default action - execute natural language query
 program
   .argument('[query...]', 'Natural language command to execute')
   .option('-p, --plan-only', 'Show execution plan without running commands')
+  .option('-s, --simulate', 'Run the plan against a temporary copy of the working directory and show what changes')
+  .option('-e, --edit', 'Review and edit the plan before it runs')
   .option('-y, --auto-approve', 'Automatically approve all steps (use with caution)')
+  .option('-j, --jobs <n>', 'Maximum number of independent steps to run at once')
+  .option('-r, --repair', 'Ask for a fixed command when a step fails and retry it')
   .option('-v, --verbose', 'Enable verbose output')
   .option('-c, --config <path>', 'Custom configuration file path')
   .action(async (query, options) => {
@@ -1,7 +1,10 @@
 import { Command } from 'commander';
 import chalk from 'chalk';
 import ora from 'ora';
-import { GeminiClient } from '../api/GeminiClient.js';
+import { ProviderFactory } from '../api/ProviderFactory.js';
+import { SessionStore } from '../core/SessionStore.js';
+import { ConfigManager } from '../utils/ConfigManager.js';
+import { addContextOptions, collectContext } from './contextOptions.js';
 
 export function askCommand() {
   const cmd = new Command('ask');
@@ -12,6 +15,10 @@ export function askCommand() {
     .option('-t, --temperature <number>', 'Response creativity (0.0-1.0)', parseFloat, 0.7)
     .option('-m, --max-tokens <number>', 'Maximum response length', parseInt, 1024)
     .option('--json', 'Output response in JSON format')
+    .option('-s, --session <name>', 'Keep the conversation in a named session, so follow-up questions have context')
+    .option('-c, --continue', 'Continue the most recently used session');
+
+  addContextOptions(cmd)
     .action(async (questionParts, options) => {
       await handleAsk(questionParts.join(' '), options);
     });
@@ -29,24 +36,48 @@ async function handleAsk(question, options = {}) {
     console.log(chalk.blue('🌟 Genesis Eleven AI Assistant'));
     console.log(chalk.gray('─'.repeat(40)));
     console.log(chalk.cyan(`Question: ${question}`));
+
+    const attachments = await collectContext(options);
+    if (attachments === null) {
+      return;
+    }
+    // Attachments are kept in the session so follow-ups can refer to them
+    const prompt = attachments ? `${attachments}\n\n${question}` : question;
+
+    const store = new SessionStore();
+    const session = await openSession(store, options);
+    if (session === null) {
+      return;
+    }
+    if (session) {
+      const earlier = session.turns.length / 2;
+      console.log(chalk.gray(`Session: ${session.name}${earlier > 0 ? ` (${earlier} earlier question${earlier === 1 ? '' : 's'})` : ' (new)'}`));
+    }
     console.log();
 
     const spinner = ora('Let me think about that...').start();
     
     try {
-      const geminiClient = new GeminiClient();
-      const response = await geminiClient.generateResponse(question, {
+      const provider = await ProviderFactory.create();
+      const maxTurns = ConfigManager.getInstance().get('ask.maxHistoryTurns', 20);
+      const response = await provider.generateResponse(prompt, {
         temperature: options.temperature,
-        maxTokens: options.maxTokens
+        maxTokens: options.maxTokens,
+        history: session ? SessionStore.toHistory(session, maxTurns) : []
       });
 
       spinner.succeed('Response ready');
       console.log();
 
+      if (session) {
+        await store.addTurn(session, prompt, response);
+      }
+
       if (options.json) {
         console.log(JSON.stringify({
           question,
           response,
+          session: session ? session.name : null,
           timestamp: new Date().toISOString(),
           options
         }, null, 2));
@@ -72,4 +103,26 @@ async function handleAsk(question, options = {}) {
     console.error(chalk.red(`Something went wrong: ${error.message}`));
     process.exit(1);
   }
-}
\ No newline at end of file
+}
+
+/**
+ * The session to use for this question: undefined for a one-off question,
+ * null when --continue has nothing to continue.
+ */
+async function openSession(store, options) {
+  if (options.continue) {
+    const session = await store.latest();
+    if (!session) {
+      console.error(chalk.red('No sessions to continue yet. Start one with: el ask --session <name> <question>'));
+      process.exitCode = 1;
+      return null;
+    }
+    return session;
+  }
+
+  if (options.session) {
+    return (await store.get(options.session)) || store.create(options.session);
+  }
+
+  return undefined;
+}
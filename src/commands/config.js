@@ -3,7 +3,7 @@ import prompts from 'prompts';
 import chalk from 'chalk';
 import ora from 'ora';
 import { ConfigManager } from '../utils/ConfigManager.js';
-import { GeminiClient } from '../api/GeminiClient.js';
+import { ProviderFactory } from '../api/ProviderFactory.js';
 
 export function configCommand() {
   const cmd = new Command('config');
@@ -13,6 +13,9 @@ export function configCommand() {
     .option('-k, --key <key>', 'Set primary API key')
     .option('-a, --add <key>', 'Add additional API key for rotation')
     .option('-r, --rotate', 'Enable API key rotation')
+    .option('-P, --provider <name>', `Select LLM provider (${ProviderFactory.getAvailableProviders().join(', ')})`)
+    .option('-m, --model <name>', 'Set the model for the current provider')
+    .option('--base-url <url>', 'Set the endpoint URL for the current provider (openai, ollama)')
     .option('--show', 'Show current configuration (API keys hidden)')
     .option('--reset', 'Reset configuration to defaults')
     .option('--test', 'Test API connectivity')
@@ -44,6 +47,9 @@ async function handleConfig(options = {}) {
         const keys = safeConfig.gemini.apiKeys.split(',').filter(k => k.trim());
         safeConfig.gemini.apiKeys = keys.map((_, i) => `[KEY_${i + 1}]`).join(', ');
       }
+      if (safeConfig.openai?.apiKey) {
+        safeConfig.openai = { ...safeConfig.openai, apiKey: '[KEY_1]' };
+      }
       
       console.log(chalk.green('📋 Current Configuration:'));
       console.log(JSON.stringify(safeConfig, null, 2));
@@ -53,8 +59,8 @@ async function handleConfig(options = {}) {
     if (options.test) {
       console.log(chalk.blue('🧪 Testing API connectivity...'));
       try {
-        const geminiClient = new GeminiClient();
-        const isConnected = await geminiClient.validateConnection();
+        const provider = await ProviderFactory.create();
+        const isConnected = await provider.validateConnection();
         
         if (isConnected) {
           console.log(chalk.green('✅ API connection successful'));
@@ -86,6 +92,30 @@ async function handleConfig(options = {}) {
       return;
     }
 
+    if (options.provider || options.model || options.baseUrl) {
+      if (options.provider) {
+        const name = options.provider.toLowerCase();
+        if (!ProviderFactory.getAvailableProviders().includes(name)) {
+          console.error(chalk.red(`Unknown provider: ${options.provider}`));
+          console.log(chalk.gray(`Available providers: ${ProviderFactory.getAvailableProviders().join(', ')}`));
+          return;
+        }
+        config.set('provider', name);
+      }
+
+      const providerName = config.get('provider', 'gemini');
+      if (options.model) {
+        config.set(`${providerName}.model`, options.model);
+      }
+      if (options.baseUrl) {
+        config.set(`${providerName}.baseUrl`, options.baseUrl);
+      }
+
+      await config.save();
+      console.log(chalk.green(`✅ Provider set to ${providerName}`));
+      return;
+    }
+
     if (options.rotate) {
       config.set('gemini.enableRotation', true);
       await config.save();
@@ -105,6 +135,14 @@ async function handleConfig(options = {}) {
 async function runInteractiveConfig(config) {
   console.log(chalk.blue('🔧 Genesis Eleven CLI Configuration'));
   console.log(chalk.gray('─'.repeat(40)));
+
+  const providerName = config.get('provider', 'gemini');
+  if (providerName !== 'gemini') {
+    console.log(chalk.green(`✅ Using the ${providerName} provider (${config.get(`${providerName}.baseUrl`, 'default endpoint')})`));
+    console.log(chalk.gray('Switch back with: el config --provider gemini'));
+    await testApiConnection();
+    return;
+  }
   
   const currentKeys = config.get('gemini.apiKeys', '');
   const hasKeys = currentKeys && currentKeys.trim();
@@ -245,15 +283,15 @@ async function testApiConnection() {
   const spinner = ora('Testing API connection...').start();
   
   try {
-    const geminiClient = new GeminiClient();
-    const isConnected = await geminiClient.validateConnection();
+    const provider = await ProviderFactory.create();
+    const isConnected = await provider.validateConnection();
     
     if (isConnected) {
       spinner.succeed('API connection successful');
       console.log(chalk.green('🎉 You\'re all set! Try: el ask "Hello"'));
     } else {
       spinner.fail('API connection failed');
-      console.log(chalk.red('❌ Could not connect to Gemini API'));
+      console.log(chalk.red(`❌ Could not connect to the ${provider.name} API`));
       console.log(chalk.yellow('💡 Please check your API key'));
     }
   } catch (error) {
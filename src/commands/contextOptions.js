@@ -0,0 +1,76 @@
+import chalk from 'chalk';
+import ora from 'ora';
+import { ContextCollector } from '../core/ContextCollector.js';
+import { SandboxIsolation } from '../core/SandboxIsolation.js';
+import { ConfigManager } from '../utils/ConfigManager.js';
+import { ValidationException } from '../exceptions/ValidationException.js';
+
+/**
+ * Add --file, --stdin and --context-cmd to a command.
+ */
+export function addContextOptions(cmd) {
+  return cmd
+    .option('-f, --file <path>', 'Attach a file as context (repeatable)', collect, [])
+    .option('--stdin', 'Attach input piped into el as context')
+    .option('--context-cmd <command>', 'Attach the output of a read-only command as context (repeatable, Linux only, needs bwrap or unshare)', collect, []);
+}
+
+/**
+ * Collect the attachments the options ask for and show what will be sent.
+ * Resolves to the prompt text ('' when nothing is attached), or null when
+ * something could not be attached.
+ */
+export async function collectContext(options = {}) {
+  if (!options.file?.length && !options.stdin && !options.contextCmd?.length) {
+    return '';
+  }
+
+  // Fail before anything is read when the commands can't run isolated
+  if (options.contextCmd?.length) {
+    try {
+      await SandboxIsolation.mandatory(ConfigManager.getInstance().get('sandbox.isolation', 'none'), '--context-cmd');
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exitCode = 1;
+      return null;
+    }
+  }
+
+  const collector = new ContextCollector();
+  const spinner = ora('Gathering context...').start();
+  try {
+    await collector.collect(options);
+    spinner.stop();
+  } catch (error) {
+    spinner.fail('Couldn\'t gather the context');
+    console.error(chalk.red(`Error: ${error.message}`));
+    if (error instanceof ValidationException) {
+      error.blockedReasons.forEach(reason => console.error(chalk.red(`  ${reason}`)));
+    }
+    process.exitCode = 1;
+    return null;
+  }
+
+  collector.attachments.forEach(attachment => {
+    const redacted = attachment.redactions.reduce((sum, redaction) => sum + redaction.count, 0);
+    const notes = [
+      formatSize(attachment.bytes),
+      redacted > 0 ? chalk.yellow(`${redacted} secret${redacted === 1 ? '' : 's'} redacted`) : null
+    ].filter(Boolean).join(', ');
+    console.log(chalk.gray(`📎 ${attachment.label} (${notes})`));
+  });
+  collector.warnings.forEach(warning => console.log(chalk.yellow(`⚠️  ${warning}`)));
+
+  return collector.toPrompt();
+}
+
+function formatSize(bytes) {
+  return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+/**
+ * Option parser for repeatable options: `-f a -f b` gives ['a', 'b'].
+ */
+export function collect(value, previous) {
+  return [...previous, value];
+}
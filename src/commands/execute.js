@@ -5,7 +5,19 @@ import prompts from 'prompts';
 import { Planner } from '../core/Planner.js';
 import { SandboxExecutor } from '../core/SandboxExecutor.js';
 import { Validator } from '../core/Validator.js';
+import { FileImpactAnalyzer } from '../core/FileImpactAnalyzer.js';
+import { Simulator } from '../core/Simulator.js';
+import { SandboxIsolation } from '../core/SandboxIsolation.js';
+import { StepScheduler } from '../core/StepScheduler.js';
+import { StepVariables } from '../core/StepVariables.js';
+import { Step } from '../models/Plan.js';
+import { ExecutionResult } from '../models/ExecutionResult.js';
+import { ConfigManager } from '../utils/ConfigManager.js';
 import { LoggingUtil } from '../utils/LoggingUtil.js';
+import { editPlan } from './planEditor.js';
+
+// Lines of live output kept under a running step's spinner
+const OUTPUT_TAIL_LINES = 5;
 
 export function executeCommand() {
   const cmd = new Command('execute');
@@ -13,7 +25,11 @@ export function executeCommand() {
     .description('Execute a natural language command')
     .argument('<query...>', 'Natural language command to execute')
     .option('-p, --plan-only', 'Show execution plan without running commands')
+    .option('-s, --simulate', 'Run the plan against a temporary copy of the working directory and show what changes (Linux only, needs bwrap or unshare)')
+    .option('-e, --edit', 'Review and edit the plan before it runs')
     .option('-y, --auto-approve', 'Automatically approve all steps (use with caution)')
+    .option('-j, --jobs <n>', 'Maximum number of independent steps to run at once')
+    .option('-r, --repair', 'Ask for a fixed command when a step fails and retry it')
     .option('-v, --verbose', 'Enable verbose output')
     .action(async (queryParts, options) => {
       const query = queryParts.join(' ');
@@ -25,18 +41,19 @@ export function executeCommand() {
 
 export async function handleExecute(query, options = {}) {
   const logger = LoggingUtil.getInstance();
-  const taskId = `task-${Date.now()}`;
-  
+
   try {
     console.log(chalk.blue('🌟 Genesis Eleven CLI - AI Desktop Control'));
     console.log(chalk.gray('━'.repeat(48)));
     console.log(chalk.cyan(`Query: ${query}`));
     console.log();
 
-    // Set up the tools we need
+    // Don't ask for a plan that can't be simulated here
+    if (options.simulate && !(await checkSimulationSupport())) {
+      return;
+    }
+
     const planner = new Planner();
-    const validator = new Validator();
-    const executor = new SandboxExecutor();
 
     const planSpinner = ora('Figuring out what to do...').start();
     let plan;
@@ -49,133 +66,226 @@ export async function handleExecute(query, options = {}) {
       return;
     }
 
+    await executePlan(plan, { query, planner, options });
+  } catch (error) {
+    logger.error('Execution failed', { query, error: error.message });
+    console.error(chalk.red(`\nExecution failed: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Validate, confirm and run a plan that is already made, whether it came
+ * from the planner or from a saved plan file. `planner` is only used when
+ * the user edits the plan or asks for repairs.
+ *
+ * Resolves to the execution log once the plan has run, or null when it
+ * was blocked, cancelled, only shown or failed to run. Failures set
+ * process.exitCode instead of exiting, so the interactive shell survives them.
+ */
+export async function executePlan(plan, { query, planner = new Planner(), options = {} }) {
+  const logger = LoggingUtil.getInstance();
+  const taskId = `task-${Date.now()}`;
+
+  if (options.simulate && !(await checkSimulationSupport())) {
+    return null;
+  }
+
+  try {
+    // Set up the tools we need
+    const validator = new Validator();
+    const executor = new SandboxExecutor();
+    const config = ConfigManager.getInstance();
+
     console.log(chalk.green('\n📋 Here\'s what I\'ll do:'));
     console.log(chalk.gray('─'.repeat(25)));
     console.log(plan.toString());
 
-    const validationSpinner = ora('Checking if this is safe...').start();
     let validationResult;
-    try {
-      validationResult = await validator.validatePlan(plan);
-      validationSpinner.succeed('Safety check complete');
-    } catch (error) {
-      validationSpinner.fail('Safety check failed');
-      console.error(chalk.red(`Validation error: ${error.message}`));
-      return;
-    }
+    let editing = !!options.edit;
 
-    // Display validation results
-    if (!validationResult.allowed) {
-      console.log(chalk.red('\n❌ Plan blocked by security policies:'));
-      validationResult.stepResults.forEach(result => {
-        if (!result.allowed) {
-          console.log(chalk.red(`  Step ${result.stepId}: ${result.blockedReasons.join(', ')}`));
-        }
-      });
-      return;
-    }
-
-    if (validationResult.stepResults.some(r => r.hasWarnings())) {
-      console.log(chalk.yellow('\n⚠️  Security warnings:'));
-      validationResult.stepResults.forEach(result => {
-        if (result.hasWarnings()) {
-          result.warnings.forEach(warning => {
-            console.log(chalk.yellow(`  Step ${result.stepId}: ${warning}`));
-          });
+    for (;;) {
+      if (editing) {
+        plan = await editPlan(plan, { planner, validator, acceptLabel: 'Done, check and run this plan' });
+        if (!plan) {
+          console.log(chalk.gray('No worries, cancelled.'));
+          return null;
         }
-      });
-    }
+        editing = false;
+      }
 
-    console.log(chalk.blue(`\n🛡️  Overall Risk Level: ${validationResult.riskLevel.toUpperCase()}`));
+      const dependencyErrors = [...plan.validateDependencies(), ...StepVariables.findReferenceErrors(plan)];
+      if (dependencyErrors.length > 0) {
+        console.log(chalk.red('\n❌ The plan\'s step dependencies don\'t add up:'));
+        dependencyErrors.forEach(error => console.log(chalk.red(`  ${error}`)));
+        return null;
+      }
 
-    // Stop here if plan-only mode
-    if (options.planOnly) {
-      console.log(chalk.gray('\nJust showing the plan - not actually doing anything'));
-      return;
-    }
+      const validationSpinner = ora('Checking if this is safe...').start();
+      try {
+        validationResult = await validator.validatePlan(plan);
+        validationSpinner.succeed('Safety check complete');
+      } catch (error) {
+        validationSpinner.fail('Safety check failed');
+        console.error(chalk.red(`Validation error: ${error.message}`));
+        return null;
+      }
 
-    // Ask user if they want to proceed
-    if (!options.autoApprove) {
-      const stepsRequiringConfirmation = plan.getStepsRequiringConfirmation();
-      const highRiskSteps = validationResult.stepResults.filter(r => r.isHighRisk());
-      
-      if (stepsRequiringConfirmation.length > 0 || highRiskSteps.length > 0) {
-        console.log(chalk.yellow('\n⚠️  These steps need your OK first:'));
-        
-        const confirmationSteps = new Set([
-          ...stepsRequiringConfirmation.map(s => s.id),
-          ...highRiskSteps.map(r => r.stepId)
-        ]);
-
-        confirmationSteps.forEach(stepId => {
-          const step = plan.steps.find(s => s.id === stepId);
-          if (step) {
-            console.log(chalk.yellow(`  ${step.id}: ${step.description}`));
-            console.log(chalk.gray(`    Command: ${step.command}`));
+      // Display validation results
+      if (!validationResult.allowed) {
+        console.log(chalk.red('\n❌ Plan blocked by security policies:'));
+        validationResult.stepResults.forEach(result => {
+          if (!result.allowed) {
+            console.log(chalk.red(`  Step ${result.stepId}: ${result.blockedReasons.join(', ')}`));
           }
         });
+        return null;
+      }
 
-        const { proceed } = await prompts({
-          type: 'confirm',
-          name: 'proceed',
-          message: 'Look good? Should I go ahead?',
-          initial: false
+      if (validationResult.stepResults.some(r => r.hasWarnings())) {
+        console.log(chalk.yellow('\n⚠️  Security warnings:'));
+        validationResult.stepResults.forEach(result => {
+          if (result.hasWarnings()) {
+            result.warnings.forEach(warning => {
+              console.log(chalk.yellow(`  Step ${result.stepId}: ${warning}`));
+            });
+          }
         });
+      }
 
-        if (!proceed) {
-          console.log(chalk.gray('No worries, cancelled.'));
-          return;
+      console.log(chalk.blue(`\n🛡️  Overall Risk Level: ${validationResult.riskLevel.toUpperCase()}`));
+
+      if (options.simulate) {
+        await runSimulation(plan, { taskId, query, options, logger, validationResult });
+        return null;
+      }
+
+      // Stop here if plan-only mode
+      if (options.planOnly) {
+        console.log(chalk.gray('\nJust showing the plan - not actually doing anything'));
+        return null;
+      }
+
+      // Ask user if they want to proceed
+      if (!options.autoApprove) {
+        const stepsRequiringConfirmation = plan.getStepsRequiringConfirmation();
+        const highRiskSteps = validationResult.stepResults.filter(r => r.isHighRisk() || r.requiresConfirmation);
+
+        if (stepsRequiringConfirmation.length > 0 || highRiskSteps.length > 0) {
+          console.log(chalk.yellow('\n⚠️  These steps need your OK first:'));
+
+          const confirmationSteps = new Set([
+            ...stepsRequiringConfirmation.map(s => s.id),
+            ...highRiskSteps.map(r => r.stepId)
+          ]);
+
+          confirmationSteps.forEach(stepId => {
+            const step = plan.steps.find(s => s.id === stepId);
+            if (step) {
+              console.log(chalk.yellow(`  ${step.id}: ${step.description}`));
+              console.log(chalk.gray(`    Command: ${step.command}`));
+              displayFileImpact(validationResult.stepResults.find(r => r.stepId === stepId)?.fileImpact);
+            }
+          });
+
+          const { proceed } = await prompts({
+            type: 'select',
+            name: 'proceed',
+            message: 'Look good? Should I go ahead?',
+            choices: [
+              { title: 'Yes, go ahead', value: 'yes' },
+              { title: 'Let me edit the plan first', value: 'edit' },
+              { title: 'No', value: 'no' }
+            ],
+            initial: 2
+          });
+
+          if (proceed === 'edit') {
+            editing = true;
+            continue;
+          }
+          if (proceed !== 'yes') {
+            console.log(chalk.gray('No worries, cancelled.'));
+            return null;
+          }
         }
       }
+
+      break;
+    }
+
+    const networkSteps = await approveNetworkAccess(plan, validationResult, executor, options);
+    if (!networkSteps) {
+      return null;
     }
 
+    const concurrency = Number(options.jobs) || config.get('execution.maxParallelSteps', 4);
+
     console.log(chalk.blue('\n🔧 Setting up...'));
     await executor.initialize();
 
     console.log(chalk.green('\n🚀 Here we go...'));
     console.log(chalk.gray('─'.repeat(25)));
 
-    const executionResults = [];
-    let allSuccessful = true;
+    const progress = createStepProgress(options.verbose, concurrency > 1);
+    const scheduler = new StepScheduler(plan, { concurrency });
 
-    for (const step of plan.steps) {
-      const stepSpinner = ora(`${step.description}`).start();
-      
-      try {
-        const result = await executor.executeStep(step);
-        executionResults.push(result);
+    const variables = new StepVariables();
+    const repairs = [];
 
-        if (result.success) {
-          stepSpinner.succeed(`${step.description}`);
-          if (options.verbose && result.stdout) {
-            console.log(chalk.gray(`   Output: ${result.stdout.substring(0, 200)}${result.stdout.length > 200 ? '...' : ''}`));
-          }
-        } else {
-          stepSpinner.fail(`${step.description}`);
-          console.log(chalk.red(`   Error: ${result.getFormattedOutput()}`));
-          allSuccessful = false;
-          
-          // Ask if user wants to continue
-          if (plan.steps.indexOf(step) < plan.steps.length - 1) {
-            const { continueExecution } = await prompts({
-              type: 'confirm',
-              name: 'continueExecution',
-              message: 'That step failed. Keep going with the rest?',
-              initial: false
-            });
+    const outcomes = await scheduler.run(async step => {
+      progress.start(step);
+      const prepared = await prepareStep(step, {
+        variables,
+        validator,
+        validation: validationResult.stepResults.find(r => r.stepId === step.id),
+        progress,
+        options
+      });
+      if (prepared.failure) {
+        progress.finish(step, prepared.failure);
+        return prepared.failure;
+      }
 
-            if (!continueExecution) {
-              break;
-            }
+      const run = (runnable, validation) => executor.executeStep(runnable, {
+        taskId,
+        validation,
+        allowNetwork: networkSteps.has(step.id),
+        onOutput: (line, stream) => progress.output(step, line, stream)
+      }).then(result => {
+        if (result.success) {
+          try {
+            variables.capture(step, result);
+          } catch (error) {
+            result.success = false;
+            result.error = error.message;
           }
         }
-      } catch (error) {
-        stepSpinner.fail(`${step.description}`);
-        console.log(chalk.red(`   Error: ${error.message}`));
-        allSuccessful = false;
-        break;
+        progress.finish(runnable, result);
+        return result;
+      });
+
+      const result = await run(prepared.step, prepared.validation);
+      if (result.success || !options.repair) {
+        return result;
       }
-    }
+      return repairFailedStep(prepared.step, result, { planner, validator, progress, options, repairs, run });
+    }, {
+      onSkip: (step, reason) => progress.skip(step, reason),
+      onFailure: () => progress.prompt(async () => {
+        const { continueExecution } = await prompts({
+          type: 'confirm',
+          name: 'continueExecution',
+          message: 'That step failed. Keep going with the rest?',
+          initial: false
+        });
+        return !!continueExecution;
+      })
+    });
+
+    const executionResults = outcomes.filter(outcome => outcome.result).map(outcome => outcome.result);
+    const skippedSteps = outcomes.filter(outcome => outcome.status === 'skipped');
+    const allSuccessful = outcomes.every(outcome => outcome.status === 'success');
 
     console.log(chalk.blue('\n📊 All done!'));
     console.log(chalk.gray('─'.repeat(20)));
@@ -185,7 +295,8 @@ export async function handleExecute(query, options = {}) {
     if (allSuccessful) {
       console.log(chalk.green(`✅ Everything worked! (${successful}/${plan.steps.length} steps)`));
     } else {
-      console.log(chalk.yellow(`⚠️  Mostly worked: ${successful} succeeded, ${failed} failed`));
+      const skipped = skippedSteps.length > 0 ? `, ${skippedSteps.length} skipped` : '';
+      console.log(chalk.yellow(`⚠️  Mostly worked: ${successful} succeeded, ${failed} failed${skipped}`));
     }
 
     // Log execution details
@@ -200,6 +311,9 @@ export async function handleExecute(query, options = {}) {
         summary: validationResult.summary
       },
       executionResults: executionResults.map(r => r.toJSON()),
+      skippedSteps: skippedSteps.map(outcome => ({ stepId: outcome.step.id, reason: outcome.reason })),
+      variables: variables.toJSON(),
+      repairs,
       status: allSuccessful ? 'success' : 'partial_failure',
       options
     };
@@ -210,11 +324,443 @@ export async function handleExecute(query, options = {}) {
       console.log(chalk.gray(`\nExecution logged: logs/${taskId}.json`));
     }
 
+    const backedUp = executionResults.filter(r => r.snapshot?.complete);
+    const notBackedUp = executionResults.filter(r => r.snapshot && !r.snapshot.complete);
+    if (backedUp.length > 0) {
+      const which = notBackedUp.length > 0 ? `Files changed by step${backedUp.length === 1 ? '' : 's'} ${backedUp.map(r => r.stepId).join(', ')}` : 'Changed files';
+      console.log(chalk.gray(`\n🔄 ${which} were backed up. Undo with: el rollback ${taskId}`));
+    }
+    if (notBackedUp.length > 0) {
+      console.log(chalk.yellow(`\n⚠️  Not fully backed up, so rollback can't undo everything: step${notBackedUp.length === 1 ? '' : 's'} ${notBackedUp.map(r => r.stepId).join(', ')}`));
+    }
+
     await executor.cleanup();
+    return executionLog;
 
   } catch (error) {
     logger.error('Execution failed', { taskId, query, error: error.message });
     console.error(chalk.red(`\nExecution failed: ${error.message}`));
-    process.exit(1);
+    process.exitCode = 1;
+    return null;
+  }
+}
+
+function displayFileImpact(impact) {
+  if (!impact || impact.targets.length === 0) {
+    return;
   }
-}
\ No newline at end of file
+
+  console.log(chalk.gray(`    Affects: ${FileImpactAnalyzer.summarize(impact)}`));
+
+  const outside = impact.targets.filter(target => target.outsideProject);
+  if (outside.length > 0) {
+    console.log(chalk.red(`    Outside project: ${outside.map(target => target.path).join(', ')}`));
+  }
+}
+
+async function checkSimulationSupport() {
+  try {
+    await SandboxIsolation.mandatory(ConfigManager.getInstance().get('sandbox.isolation', 'none'), '--simulate');
+    return true;
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exitCode = 1;
+    return false;
+  }
+}
+
+async function runSimulation(plan, { taskId, query, options, logger, validationResult }) {
+  console.log(chalk.blue('\n🧪 Simulating in a temporary copy...'));
+  console.log(chalk.gray('─'.repeat(25)));
+
+  const simulator = new Simulator();
+  let simulation;
+
+  try {
+    simulation = await simulator.run(plan, {
+      onStep: ({ step, result, skipped }) => {
+        if (skipped) {
+          console.log(chalk.yellow(`⏭️  ${step.description}`));
+          console.log(chalk.gray(`   Skipped: ${skipped}`));
+        } else if (result.success) {
+          console.log(chalk.green(`✔ ${step.description}`));
+        } else {
+          console.log(chalk.red(`✖ ${step.description}`));
+          console.log(chalk.red(`   Error: ${result.getFormattedOutput()}`));
+        }
+        if (result?.stdout) {
+          const output = options.verbose ? result.stdout : result.stdout.substring(0, 200);
+          console.log(chalk.gray(`   Output: ${output}${output.length < result.stdout.length ? '...' : ''}`));
+        }
+      }
+    });
+  } catch (error) {
+    console.error(chalk.red(`Simulation failed: ${error.message}`));
+    await simulator.cleanup();
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(chalk.blue('\n📂 File changes:'));
+  console.log(chalk.gray('─'.repeat(20)));
+
+  if (simulation.changes.length === 0) {
+    console.log(chalk.gray('  No files would change'));
+  }
+
+  simulation.changes.forEach(change => {
+    const suffix = change.kind === 'directory' ? '/' : '';
+    if (change.type === 'created') {
+      console.log(chalk.green(`  + ${change.path}${suffix}`));
+    } else if (change.type === 'deleted') {
+      console.log(chalk.red(`  - ${change.path}${suffix}`));
+    } else {
+      const details = [];
+      if (change.linesAdded !== undefined) {
+        details.push(`+${change.linesAdded} -${change.linesRemoved} lines`);
+      }
+      if (change.binary) {
+        details.push('binary');
+      }
+      if (change.modeChanged) {
+        details.push('permissions');
+      }
+      console.log(chalk.yellow(`  ~ ${change.path}${details.length ? ` (${details.join(', ')})` : ''}`));
+    }
+  });
+
+  console.log(chalk.gray('\nNothing was changed on disk. Run without --simulate to apply.'));
+
+  await logger.logExecution({
+    taskId,
+    timestamp: new Date().toISOString(),
+    userQuery: query,
+    plan: plan.toJSON(),
+    validationResult: {
+      allowed: validationResult.allowed,
+      riskLevel: validationResult.riskLevel,
+      summary: validationResult.summary
+    },
+    executionResults: simulation.steps.filter(entry => entry.result).map(entry => entry.result.toJSON()),
+    simulation: {
+      skipped: simulation.steps.filter(entry => entry.skipped).map(entry => ({ stepId: entry.step.id, reason: entry.skipped })),
+      changes: simulation.changes
+    },
+    status: 'simulated',
+    options
+  });
+
+  await simulator.cleanup();
+}
+
+/**
+ * Ask the planner for a fix after a step fails, re-validate it and, once
+ * approved, retry with it. Gives up after execution.maxRepairAttempts.
+ * Resolves to the last ExecutionResult.
+ */
+async function repairFailedStep(step, result, { planner, validator, progress, options, repairs, run }) {
+  const maxAttempts = ConfigManager.getInstance().get('execution.maxRepairAttempts', 2);
+  const tried = [step.command];
+  let current = step;
+  let last = result;
+
+  for (let attempt = 1; attempt <= maxAttempts && !last.success; attempt++) {
+    const fix = await progress.prompt(async () => {
+      const spinner = ora(`Looking for a fix for ${step.id} (attempt ${attempt}/${maxAttempts})...`).start();
+      let repair;
+      try {
+        repair = await planner.repairStep(current, last, tried.slice(0, -1));
+        spinner.succeed(`Possible fix for ${step.id}`);
+      } catch (error) {
+        spinner.fail(`Couldn't find a fix: ${error.message}`);
+        return null;
+      }
+
+      if (tried.includes(repair.step.command)) {
+        console.log(chalk.gray('   Suggested the same command again, giving up'));
+        return null;
+      }
+
+      const validation = await validator.validateStep(repair.step);
+      if (repair.explanation) {
+        console.log(chalk.cyan(`   ${repair.explanation}`));
+      }
+      console.log(chalk.gray(`   Command: ${repair.step.command}`));
+      console.log(chalk.gray(`   Risk: ${validation.riskLevel}`));
+      validation.warnings.forEach(warning => console.log(chalk.yellow(`   ${warning}`)));
+      displayFileImpact(validation.fileImpact);
+
+      if (!validation.allowed) {
+        console.log(chalk.red(`   Blocked: ${validation.blockedReasons.join(', ')}`));
+        return null;
+      }
+
+      if (!options.autoApprove || validation.requiresConfirmation || validation.isHighRisk()) {
+        const { retry } = await prompts({
+          type: 'confirm',
+          name: 'retry',
+          message: 'Try this fix?',
+          initial: true
+        });
+        if (!retry) {
+          return null;
+        }
+      }
+
+      return { step: repair.step, validation, explanation: repair.explanation };
+    });
+
+    if (!fix) {
+      break;
+    }
+
+    tried.push(fix.step.command);
+    const failed = { command: current.command, exitCode: last.exitCode, stderr: last.stderr };
+    progress.start(fix.step);
+    last = await run(fix.step, fix.validation);
+    repairs.push({
+      stepId: step.id,
+      attempt,
+      failed,
+      command: fix.step.command,
+      explanation: fix.explanation,
+      success: last.success
+    });
+    current = fix.step;
+  }
+
+  return last;
+}
+
+/**
+ * Fill in a step's {{variables}} and validate the command that will really
+ * run. Returns { step, validation } to run, or { failure } with a failed
+ * ExecutionResult when a value is missing, the result is blocked, or the
+ * user turns down a command that became riskier.
+ */
+async function prepareStep(step, { variables, validator, validation, progress, options }) {
+  if (StepVariables.references(step.command).length === 0) {
+    return { step, validation };
+  }
+
+  const fail = error => ({
+    failure: new ExecutionResult({
+      stepId: step.id,
+      command: step.command,
+      exitCode: -1,
+      stderr: error,
+      workingDirectory: step.workingDirectory,
+      success: false,
+      error
+    })
+  });
+
+  let resolved;
+  try {
+    resolved = new Step({ ...step.toJSON(), command: variables.substitute(step.command) });
+  } catch (error) {
+    return fail(error.message);
+  }
+
+  const revalidation = await validator.validateStep(resolved);
+  if (!revalidation.allowed) {
+    return fail(`Blocked after filling in variables (${resolved.command}): ${revalidation.blockedReasons.join(', ')}`);
+  }
+
+  const riskier = revalidation.requiresConfirmation &&
+    !validation?.requiresConfirmation && !validation?.isHighRisk();
+  if (riskier && !options.autoApprove) {
+    const proceed = await progress.prompt(async () => {
+      console.log(chalk.yellow(`\n⚠️  With its variables filled in, ${step.id} needs your OK:`));
+      console.log(chalk.gray(`    Command: ${resolved.command}`));
+      revalidation.warnings.forEach(warning => console.log(chalk.yellow(`    ${warning}`)));
+      displayFileImpact(revalidation.fileImpact);
+      const answer = await prompts({
+        type: 'confirm',
+        name: 'proceed',
+        message: 'Run it?',
+        initial: false
+      });
+      return answer.proceed;
+    });
+
+    if (!proceed) {
+      return fail(`Declined after filling in variables: ${resolved.command}`);
+    }
+  }
+
+  return { step: resolved, validation: revalidation };
+}
+
+/**
+ * One spinner for all running steps. By default the last few lines of
+ * output show under it and collapse when the step finishes; with --verbose
+ * every line is printed and stays on screen. Lines are labelled with their
+ * step id when steps can run side by side.
+ */
+function createStepProgress(verbose, labelled) {
+  const spinner = ora();
+  const running = new Map();
+  const held = [];
+  let latest = null;
+  let paused = false;
+  let prompting = Promise.resolve();
+
+  const label = step => (labelled ? `[${step.id}] ` : '');
+
+  const print = text => {
+    if (paused) {
+      held.push(text);
+      return;
+    }
+    spinner.clear();
+    console.log(text);
+  };
+
+  const render = () => {
+    if (paused) {
+      return;
+    }
+    if (running.size === 0) {
+      spinner.stop();
+      return;
+    }
+
+    const title = [...running.values()].map(entry => entry.step.description).join(chalk.gray(' | '));
+    const tail = verbose ? [] : running.get(latest)?.tail || [];
+    spinner.text = [title, ...tail].join('\n');
+    if (!spinner.isSpinning) {
+      spinner.start();
+    }
+  };
+
+  const persist = (method, text) => {
+    if (paused) {
+      held.push(text);
+      return;
+    }
+    spinner.stop();
+    ora()[method](text);
+  };
+
+  return {
+    start(step) {
+      running.set(step.id, { step, tail: [] });
+      render();
+    },
+
+    output(step, line, stream) {
+      const color = stream === 'stderr' ? chalk.yellow : chalk.gray;
+      if (verbose) {
+        print(color(`   ${label(step)}${line}`));
+        render();
+        return;
+      }
+
+      const entry = running.get(step.id);
+      entry.tail.push(color(`   ${label(step)}${truncateLine(line)}`));
+      if (entry.tail.length > OUTPUT_TAIL_LINES) {
+        entry.tail.shift();
+      }
+      latest = step.id;
+      render();
+    },
+
+    finish(step, result) {
+      running.delete(step.id);
+      if (latest === step.id) {
+        latest = [...running.keys()].pop() || null;
+      }
+
+      if (result.success) {
+        persist('succeed', step.description);
+      } else {
+        persist('fail', step.description);
+        if (result.isResourceLimit()) {
+          print(chalk.red(`   ${result.error}`));
+        }
+        print(chalk.red(`   Error: ${result.getFormattedOutput()}`));
+      }
+      if (result.snapshot && !result.snapshot.complete) {
+        print(chalk.yellow(`   ⚠️  ${describeIncompleteSnapshot(result.snapshot)}`));
+      }
+      render();
+    },
+
+    skip(step, reason) {
+      persist('info', chalk.gray(`${step.description} (skipped: ${reason})`));
+      render();
+    },
+
+    /**
+     * Run `ask` (which may print and prompt) with the spinner out of the way.
+     * Prompts from steps running side by side take turns.
+     */
+    prompt(ask) {
+      const turn = prompting.then(async () => {
+        spinner.stop();
+        paused = true;
+        try {
+          return await ask();
+        } finally {
+          paused = false;
+          held.splice(0).forEach(text => console.log(text));
+          render();
+        }
+      });
+      prompting = turn.catch(() => {});
+      return turn;
+    }
+  };
+}
+
+function describeIncompleteSnapshot(snapshot) {
+  const failed = snapshot.entries.filter(entry => entry.error);
+  if (failed.length === 0) {
+    return `Nothing was backed up, so rollback can't undo this step: ${snapshot.reason || 'the snapshot was skipped'}`;
+  }
+  return `Backup incomplete, so rollback can't fully undo this step: ${failed.map(entry => `${entry.path} (${entry.error})`).join(', ')}`;
+}
+
+function truncateLine(line) {
+  const width = Math.max((process.stdout.columns || 80) - 4, 20);
+  return line.length > width ? `${line.substring(0, width - 1)}…` : line;
+}
+
+/**
+ * Isolated steps run without network unless approved here. Returns the ids
+ * of the steps that may use the network, or null if the user cancelled.
+ */
+async function approveNetworkAccess(plan, validationResult, executor, options) {
+  const networkResults = validationResult.stepResults.filter(r => r.requiresNetwork);
+  const stepIds = new Set(networkResults.map(r => r.stepId));
+
+  if (networkResults.length === 0 || !(await executor.isolation.resolve()) || options.autoApprove) {
+    return stepIds;
+  }
+
+  console.log(chalk.yellow('\n🌐 These steps need network access:'));
+  networkResults.forEach(result => {
+    const step = plan.steps.find(s => s.id === result.stepId);
+    console.log(chalk.yellow(`  ${result.stepId}: ${step ? step.description : result.command}`));
+    console.log(chalk.gray(`    Command: ${result.command}`));
+  });
+
+  const { allowNetwork } = await prompts({
+    type: 'select',
+    name: 'allowNetwork',
+    message: 'Allow network access for these steps?',
+    choices: [
+      { title: 'Yes', value: 'yes' },
+      { title: 'No, run them offline', value: 'no' },
+      { title: 'Cancel', value: 'cancel' }
+    ]
+  });
+
+  if (allowNetwork === 'cancel' || allowNetwork === undefined) {
+    console.log(chalk.gray('No worries, cancelled.'));
+    return null;
+  }
+
+  return allowNetwork === 'yes' ? stepIds : new Set();
+}
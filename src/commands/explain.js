@@ -0,0 +1,126 @@
+import { Command } from 'commander';
+import chalk from 'chalk';
+import ora from 'ora';
+import { CommandExplainer } from '../core/CommandExplainer.js';
+
+export function explainCommand() {
+  const cmd = new Command('explain');
+  cmd
+    .description('Explain what a shell command does, part by part')
+    .argument('<command...>', 'Command to explain (quote it to keep pipes and redirects)')
+    .option('--offline', 'Only show the local breakdown, without asking the AI')
+    .option('--json', 'Output the explanation in JSON format')
+    .action(async (commandParts, options) => {
+      await handleExplain(commandParts.join(' '), options);
+    });
+
+  return cmd;
+}
+
+async function handleExplain(command, options = {}) {
+  try {
+    if (!options.json) {
+      console.log(chalk.blue('🌟 Genesis Eleven CLI - Command Explainer'));
+      console.log(chalk.gray('─'.repeat(50)));
+      console.log(chalk.cyan(`Command: ${command}`));
+      console.log();
+    }
+
+    const explainer = new CommandExplainer();
+    const breakdown = CommandExplainer.breakdown(command);
+    const validation = await explainer.assessRisk(command, breakdown);
+
+    let explanation = null;
+    let explanationError = null;
+    if (!options.offline) {
+      const spinner = options.json ? null : ora('Asking for an explanation...').start();
+      try {
+        explanation = await explainer.explain(command, breakdown);
+        spinner?.succeed('Explanation ready');
+      } catch (error) {
+        explanationError = error.message;
+        spinner?.warn('No AI explanation, showing the local breakdown only');
+      }
+    }
+
+    if (options.json) {
+      console.log(JSON.stringify({
+        command,
+        parts: breakdown.parts,
+        parseError: breakdown.error,
+        validation: validation.toJSON(),
+        explanation,
+        explanationError
+      }, null, 2));
+      return;
+    }
+
+    if (breakdown.error) {
+      console.log(chalk.yellow(`\n⚠️  Couldn't break the command down: ${breakdown.error}`));
+    } else {
+      console.log(chalk.green('\n🧩 Breakdown:'));
+      breakdown.parts.forEach((part, index) => displayPart(part, index));
+    }
+
+    console.log(chalk.blue('\n🛡️  Risk:'));
+    console.log(`${validation.allowed ? chalk.green('ALLOWED') : chalk.red('BLOCKED')}, ${getRiskLevelColor(validation.riskLevel)} risk`);
+    [...validation.blockedReasons, ...validation.warnings].forEach(warning => {
+      console.log(chalk.yellow(`  - ${warning}`));
+    });
+
+    if (explanation) {
+      console.log(chalk.green('\n💬 Explanation:'));
+      console.log(explanation);
+    } else if (explanationError) {
+      console.log(chalk.gray(`\nNo AI explanation: ${explanationError}`));
+    }
+  } catch (error) {
+    console.error(chalk.red(`\nExplain failed: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+function displayPart(part, index) {
+  const risky = part.risk && (part.risk.riskLevel === 'high' || part.risk.riskLevel === 'medium' || !part.risk.allowed);
+  const context = part.context === 'command' ? '' : chalk.gray(` (inside ${part.context === 'substitution' ? '$(...)' : part.context})`);
+  const risk = part.risk ? ` [${part.risk.allowed ? getRiskLevelColor(part.risk.riskLevel) : chalk.red('BLOCKED')}]` : '';
+  const text = risky ? chalk.red.bold(part.text) : chalk.bold(part.text);
+  console.log(`\n  ${index + 1}. ${text}${context}${risk}`);
+
+  part.wrappers.forEach(wrapper => {
+    console.log(`     ${chalk.cyan(wrapper.name)}${wrapper.summary ? chalk.gray(` - ${wrapper.summary}`) : ''}`);
+  });
+  if (part.program) {
+    console.log(`     ${chalk.cyan(part.program)}${part.summary ? chalk.gray(` - ${part.summary}`) : ''}`);
+  }
+
+  const width = Math.max(0, ...part.flags.map(flag => flag.flag.length));
+  part.flags.forEach(flag => {
+    console.log(`       ${chalk.yellow(flag.flag.padEnd(width))}  ${flag.description || chalk.gray('(see the manual)')}`);
+  });
+  if (part.operands.length > 0) {
+    console.log(`       ${chalk.gray('arguments:')} ${part.operands.join('  ')}`);
+  }
+  part.redirects.forEach(redirect => {
+    console.log(`       ${chalk.magenta(redirect.text)}  ${redirect.description || ''}`);
+  });
+
+  if (risky) {
+    part.risk.warnings.forEach(warning => {
+      console.log(chalk.red(`     ⚠️  ${warning}`));
+    });
+  }
+  if (part.connector) {
+    console.log(chalk.gray(`     ↳ ${CommandExplainer.describeConnector(part.connector)}`));
+  }
+}
+
+function getRiskLevelColor(riskLevel) {
+  switch (riskLevel) {
+    case 'none': return chalk.green(riskLevel.toUpperCase());
+    case 'low': return chalk.blue(riskLevel.toUpperCase());
+    case 'medium': return chalk.yellow(riskLevel.toUpperCase());
+    case 'high': return chalk.red(riskLevel.toUpperCase());
+    default: return chalk.gray(riskLevel.toUpperCase());
+  }
+}
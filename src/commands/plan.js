@@ -1,8 +1,19 @@
-import { Command } from 'commander';
+import { Command, InvalidArgumentError } from 'commander';
 import chalk from 'chalk';
 import ora from 'ora';
+import prompts from 'prompts';
 import { Planner } from '../core/Planner.js';
 import { Validator } from '../core/Validator.js';
+import { PlanFile } from '../core/PlanFile.js';
+import { PlanComparison } from '../core/PlanComparison.js';
+import { editPlan } from './planEditor.js';
+import { executePlan } from './execute.js';
+import { addContextOptions, collectContext } from './contextOptions.js';
+
+const MAX_ALTERNATIVES = 5;
+
+// Width of the row labels in the comparison table
+const LABEL_WIDTH = 15;
 
 export function planCommand() {
   const cmd = new Command('plan');
@@ -11,6 +22,11 @@ export function planCommand() {
     .argument('<query...>', 'Natural language command to plan')
     .option('-v, --verbose', 'Show detailed validation information')
     .option('--json', 'Output plan in JSON format')
+    .option('-e, --edit', 'Review and edit the plan interactively')
+    .option('--save <file>', 'Save the plan as YAML (.yaml/.yml) or JSON to run later with `el run-plan`')
+    .option('-a, --alternatives <n>', `Compare up to n different approaches (2-${MAX_ALTERNATIVES}) and pick one to run`, parseAlternatives);
+
+  addContextOptions(cmd)
     .action(async (queryParts, options) => {
       const query = queryParts.join(' ');
       await handlePlan(query, options);
@@ -24,8 +40,18 @@ async function handlePlan(query, options = {}) {
     console.log(chalk.blue('🌟 Genesis Eleven CLI - Plan Generator'));
     console.log(chalk.gray('─'.repeat(50)));
     console.log(chalk.cyan(`Query: ${query}`));
+
+    const attachments = await collectContext(options);
+    if (attachments === null) {
+      return;
+    }
     console.log();
 
+    if (options.alternatives) {
+      await handleAlternatives(query, attachments, options);
+      return;
+    }
+
     // Initialize components
     const planner = new Planner();
     const validator = new Validator();
@@ -34,7 +60,7 @@ async function handlePlan(query, options = {}) {
     const planSpinner = ora('Creating execution plan...').start();
     let plan;
     try {
-      plan = await planner.createPlan(query);
+      plan = await planner.createPlan(query, { attachments });
       planSpinner.succeed('Execution plan created');
     } catch (error) {
       planSpinner.fail('Failed to create plan');
@@ -42,6 +68,14 @@ async function handlePlan(query, options = {}) {
       return;
     }
 
+    if (options.edit) {
+      plan = await editPlan(plan, { planner, validator });
+      if (!plan) {
+        console.log(chalk.gray('Cancelled.'));
+        return;
+      }
+    }
+
     // Validate plan
     const validationSpinner = ora('Validating plan safety...').start();
     let validationResult;
@@ -54,10 +88,15 @@ async function handlePlan(query, options = {}) {
       return;
     }
 
+    if (options.save) {
+      await PlanFile.save(plan, options.save, { query });
+    }
+
     // Output results
     if (options.json) {
       const output = {
         plan: plan.toJSON(),
+        verification: plan.verification,
         validation: {
           allowed: validationResult.allowed,
           riskLevel: validationResult.riskLevel,
@@ -106,8 +145,14 @@ async function handlePlan(query, options = {}) {
       }
 
       // Show execution command
-      console.log(chalk.blue('\n🚀 To execute this plan, run:'));
-      console.log(chalk.gray(`el execute "${query}"`));
+      if (options.save) {
+        console.log(chalk.green(`\n💾 Plan saved to ${options.save}`));
+        console.log(chalk.blue('\n🚀 To execute exactly this plan, run:'));
+        console.log(chalk.gray(`el run-plan ${options.save}`));
+      } else {
+        console.log(chalk.blue('\n🚀 To execute this plan, run:'));
+        console.log(chalk.gray(`el execute "${query}"`));
+      }
     }
 
   } catch (error) {
@@ -116,12 +161,157 @@ async function handlePlan(query, options = {}) {
   }
 }
 
-function getRiskLevelColor(riskLevel) {
+async function handleAlternatives(query, attachments, options) {
+  const planner = new Planner();
+  const validator = new Validator();
+
+  const planSpinner = ora(`Creating ${options.alternatives} alternative plans...`).start();
+  let plans;
+  try {
+    plans = await planner.createAlternatives(query, options.alternatives, { attachments });
+    planSpinner.succeed(`${plans.length} alternative plan${plans.length === 1 ? '' : 's'} created`);
+  } catch (error) {
+    planSpinner.fail('Failed to create plans');
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exitCode = 1;
+    return;
+  }
+
+  const validationSpinner = ora('Validating plan safety...').start();
+  const validations = [];
+  for (const plan of plans) {
+    validations.push(await validator.validatePlan(plan));
+  }
+  validationSpinner.succeed('Plan validation completed');
+
+  const comparison = PlanComparison.compare(plans, validations);
+
+  if (options.json) {
+    const output = comparison.map(({ plan, ...summary }, index) => ({
+      ...summary,
+      plan: plan.toJSON(),
+      verification: plan.verification,
+      validation: {
+        allowed: validations[index].allowed,
+        riskLevel: validations[index].riskLevel,
+        summary: validations[index].summary
+      }
+    }));
+    console.log(JSON.stringify({ alternatives: output }, null, 2));
+    return;
+  }
+
+  console.log(chalk.green('\n⚖️  Alternative Plans:'));
+  console.log(chalk.gray('─'.repeat(30)));
+  displayComparison(comparison);
+
+  if (options.verbose) {
+    plans.forEach((plan, index) => {
+      console.log(chalk.blue(`\n${index + 1}.`));
+      console.log(plan.toString());
+    });
+  }
+
+  const { choice } = await prompts({
+    type: 'select',
+    name: 'choice',
+    message: options.save ? 'Which plan should I save?' : 'Which plan should I run?',
+    choices: [
+      ...comparison.map((summary, index) => ({
+        title: `${index + 1}. ${summary.intent}`,
+        description: summary.allowed ? `${summary.riskLevel} risk` : 'blocked by the validator',
+        value: index,
+        disabled: !summary.allowed
+      })),
+      { title: 'None of these', value: null }
+    ],
+    warn: 'Blocked by the validator'
+  });
+
+  if (choice === null || choice === undefined) {
+    console.log(chalk.gray('Cancelled.'));
+    return;
+  }
+
+  const plan = plans[choice];
+  if (options.save) {
+    await PlanFile.save(plan, options.save, { query });
+    console.log(chalk.green(`\n💾 Plan saved to ${options.save}`));
+    console.log(chalk.blue('\n🚀 To execute exactly this plan, run:'));
+    console.log(chalk.gray(`el run-plan ${options.save}`));
+    return;
+  }
+
+  await executePlan(plan, { query, planner, options: { edit: options.edit, verbose: options.verbose } });
+}
+
+/**
+ * The alternatives side by side, one column per plan.
+ */
+function displayComparison(comparison) {
+  const width = process.stdout.columns || 100;
+  const columnWidth = Math.max(Math.floor((width - LABEL_WIDTH) / comparison.length) - 2, 16);
+
+  const rows = [
+    ['Approach', summary => summary.intent],
+    ['Risk', summary => summary.riskLevel.toUpperCase()],
+    ['Validator', summary => (summary.allowed ? 'allowed' : 'BLOCKED')],
+    ['Steps', summary => `${summary.stepCount}${summary.highRiskSteps > 0 ? ` (${summary.highRiskSteps} high risk)` : ''}`],
+    ['Tools', summary => summary.tools.join(', ') || '-'],
+    ['Not installed', summary => summary.missingTools.join(', ') || '-'],
+    ['Destructive', summary => summary.destructive.join('; ') || 'none']
+  ];
+
+  const header = comparison.map((summary, index) => `${index + 1}.`.padEnd(columnWidth)).join('  ');
+  console.log(`${''.padEnd(LABEL_WIDTH)}${chalk.bold(header.trimEnd())}`);
+
+  for (const [label, value] of rows) {
+    const cells = comparison.map(summary => wrap(value(summary), columnWidth));
+    const height = Math.max(...cells.map(lines => lines.length));
+    for (let line = 0; line < height; line++) {
+      const text = cells.map((lines, index) => {
+        const cell = (lines[line] || '').padEnd(columnWidth);
+        return label === 'Risk' && line === 0 ? colorForRisk(comparison[index].riskLevel)(cell) : cell;
+      }).join('  ');
+      console.log(`${chalk.gray((line === 0 ? label : '').padEnd(LABEL_WIDTH))}${text.trimEnd()}`);
+    }
+  }
+}
+
+function wrap(text, width) {
+  const lines = [];
+  let current = '';
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    const piece = word.length > width ? `${word.substring(0, width - 1)}…` : word;
+    if (current && current.length + 1 + piece.length > width) {
+      lines.push(current);
+      current = piece;
+    } else {
+      current = current ? `${current} ${piece}` : piece;
+    }
+  }
+  lines.push(current);
+  return lines;
+}
+
+function parseAlternatives(value) {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 2 || count > MAX_ALTERNATIVES) {
+    throw new InvalidArgumentError(`Use a number from 2 to ${MAX_ALTERNATIVES}.`);
+  }
+  return count;
+}
+
+function colorForRisk(riskLevel) {
   switch (riskLevel) {
-    case 'none': return chalk.green(riskLevel.toUpperCase());
-    case 'low': return chalk.blue(riskLevel.toUpperCase());
-    case 'medium': return chalk.yellow(riskLevel.toUpperCase());
-    case 'high': return chalk.red(riskLevel.toUpperCase());
-    default: return chalk.gray(riskLevel.toUpperCase());
+    case 'none': return chalk.green;
+    case 'low': return chalk.blue;
+    case 'medium': return chalk.yellow;
+    case 'high': return chalk.red;
+    default: return chalk.gray;
   }
-}
\ No newline at end of file
+}
+
+function getRiskLevelColor(riskLevel) {
+  return colorForRisk(riskLevel)(riskLevel.toUpperCase());
+}
@@ -0,0 +1,169 @@
+import chalk from 'chalk';
+import ora from 'ora';
+import prompts from 'prompts';
+import { StepVariables } from '../core/StepVariables.js';
+
+const RISK_COLORS = {
+  none: chalk.green,
+  low: chalk.blue,
+  medium: chalk.yellow,
+  high: chalk.red
+};
+
+/**
+ * Interactive review screen for a plan: edit a step's command, delete or
+ * move steps, toggle confirmation, or describe a change in words for the
+ * planner to make. The plan is validated again after every change.
+ *
+ * Resolves to the edited plan once the user accepts it, or null if they
+ * cancel. A plan that is blocked or has broken dependencies can't be
+ * accepted.
+ */
+export async function editPlan(plan, { planner, validator, acceptLabel = 'Done, use this plan' }) {
+  let current = plan;
+
+  for (;;) {
+    const validationResult = await validator.validatePlan(current);
+    const dependencyErrors = [...current.validateDependencies(), ...StepVariables.findReferenceErrors(current)];
+    displayPlan(current, validationResult, dependencyErrors);
+
+    const { action } = await prompts({
+      type: 'select',
+      name: 'action',
+      message: 'What would you like to change?',
+      choices: [
+        { title: acceptLabel, value: 'accept' },
+        { title: 'Edit a step\'s command', value: 'edit' },
+        { title: 'Delete a step', value: 'delete', disabled: current.steps.length < 2 },
+        { title: 'Move a step', value: 'move', disabled: current.steps.length < 2 },
+        { title: 'Toggle confirmation for a step', value: 'confirm' },
+        { title: 'Describe a change (the planner revises the plan)', value: 'feedback' },
+        { title: 'Cancel', value: 'cancel' }
+      ],
+      warn: 'Needs at least two steps'
+    });
+
+    switch (action) {
+      case 'accept':
+        if (!validationResult.allowed || dependencyErrors.length > 0) {
+          console.log(chalk.red('\nThe plan can\'t run like this yet, fix the problems marked above first.'));
+          break;
+        }
+        return current;
+
+      case 'edit': {
+        const step = await pickStep(current, 'Which step?');
+        if (!step) {
+          break;
+        }
+        const { command } = await prompts({
+          type: 'text',
+          name: 'command',
+          message: 'Command',
+          initial: step.command,
+          validate: value => value.trim().length > 0 || 'The command can\'t be empty'
+        });
+        if (command !== undefined) {
+          step.command = command.trim();
+        }
+        break;
+      }
+
+      case 'delete': {
+        const step = await pickStep(current, 'Delete which step?');
+        if (step) {
+          current.removeStep(step.id);
+        }
+        break;
+      }
+
+      case 'move': {
+        const step = await pickStep(current, 'Move which step?');
+        if (!step) {
+          break;
+        }
+        const { position } = await prompts({
+          type: 'number',
+          name: 'position',
+          message: `New position (1-${current.steps.length})`,
+          initial: current.steps.indexOf(step) + 1,
+          min: 1,
+          max: current.steps.length
+        });
+        if (position !== undefined) {
+          current.moveStep(step.id, position - 1);
+        }
+        break;
+      }
+
+      case 'confirm': {
+        const step = await pickStep(current, 'Toggle confirmation for which step?');
+        if (step) {
+          step.requiresConfirmation = !step.requiresConfirmation;
+        }
+        break;
+      }
+
+      case 'feedback': {
+        const { feedback } = await prompts({
+          type: 'text',
+          name: 'feedback',
+          message: 'What should change?'
+        });
+        if (!feedback || !feedback.trim()) {
+          break;
+        }
+        const spinner = ora('Revising the plan...').start();
+        try {
+          current = await planner.refinePlan(current, feedback.trim());
+          spinner.succeed('Plan revised');
+        } catch (error) {
+          spinner.fail(`Couldn't revise the plan: ${error.message}`);
+        }
+        break;
+      }
+
+      default:
+        return null;
+    }
+  }
+}
+
+function displayPlan(plan, validationResult, dependencyErrors) {
+  console.log(chalk.green(`\n📝 ${plan.intent}`));
+  console.log(chalk.gray('─'.repeat(25)));
+
+  plan.steps.forEach((step, index) => {
+    const result = validationResult.stepResults.find(r => r.stepId === step.id);
+    const risk = result ? result.riskLevel : step.riskLevel;
+    const color = RISK_COLORS[risk] || chalk.gray;
+    const flags = [
+      color(risk),
+      step.requiresConfirmation ? chalk.yellow('asks first') : null,
+      step.dependsOn?.length > 0 ? chalk.gray(`after ${step.dependsOn.join(', ')}`) : null
+    ].filter(Boolean).join(chalk.gray(' · '));
+
+    console.log(`  ${index + 1}. ${step.description} ${chalk.gray(`[${step.id}]`)} ${flags}`);
+    console.log(chalk.gray(`     $ ${step.command}`));
+    if (result && !result.allowed) {
+      console.log(chalk.red(`     Blocked: ${result.blockedReasons.join(', ')}`));
+    }
+  });
+
+  dependencyErrors.forEach(error => console.log(chalk.red(`  ${error}`)));
+  console.log(chalk.blue(`\n🛡️  Overall Risk Level: ${validationResult.riskLevel.toUpperCase()}`));
+}
+
+async function pickStep(plan, message) {
+  const { stepId } = await prompts({
+    type: 'select',
+    name: 'stepId',
+    message,
+    choices: plan.steps.map((step, index) => ({
+      title: `${index + 1}. ${step.description}`,
+      description: step.command,
+      value: step.id
+    }))
+  });
+  return stepId ? plan.getStep(stepId) : null;
+}
@@ -0,0 +1,217 @@
+import { Command } from 'commander';
+import chalk from 'chalk';
+import { RecipeLibrary } from '../core/RecipeLibrary.js';
+import { ValidationException } from '../exceptions/ValidationException.js';
+import { LoggingUtil } from '../utils/LoggingUtil.js';
+import { executePlan } from './execute.js';
+import { collect } from './contextOptions.js';
+
+export function recipeCommand() {
+  const cmd = new Command('recipe');
+  cmd.description('Save, browse and run reusable parameterized plans');
+
+  cmd
+    .command('list')
+    .description('List saved recipes')
+    .action(async () => {
+      await handleRecipeList();
+    });
+
+  cmd
+    .command('show')
+    .description('Show a recipe\'s parameters and steps')
+    .argument('<name>', 'Recipe name')
+    .action(async (name) => {
+      await handleRecipeShow(name);
+    });
+
+  cmd
+    .command('run')
+    .description('Run a recipe, passing parameters as --name value')
+    .argument('<name>', 'Recipe name')
+    .argument('[params...]', 'Recipe parameters, e.g. --days 7')
+    .option('-s, --simulate', 'Run the plan against a temporary copy of the working directory and show what changes (Linux only, needs bwrap or unshare)')
+    .option('-e, --edit', 'Review and edit the plan before it runs')
+    .option('-y, --auto-approve', 'Automatically approve all steps (use with caution)')
+    .option('-j, --jobs <n>', 'Maximum number of independent steps to run at once')
+    .option('-r, --repair', 'Ask for a fixed command when a step fails and retry it')
+    .option('-v, --verbose', 'Enable verbose output')
+    .allowUnknownOption()
+    .action(async (name, params, options) => {
+      await handleRecipeRun(name, params, options);
+    });
+
+  cmd
+    .command('create')
+    .description('Create a recipe from an executed task in the logs')
+    .argument('<taskId>', 'Task ID from `el logs`')
+    .argument('<name>', 'Name for the new recipe')
+    .option('-d, --description <text>', 'What the recipe does')
+    .option('-p, --param <name=value>', 'Turn a literal value in the commands into a parameter (repeatable)', collect, [])
+    .option('-f, --force', 'Overwrite an existing recipe with the same name')
+    .action(async (taskId, name, options) => {
+      await handleRecipeCreate(taskId, name, options);
+    });
+
+  return cmd;
+}
+
+async function handleRecipeList() {
+  const library = new RecipeLibrary();
+  const recipes = await library.list();
+
+  console.log(chalk.blue('📚 Genesis Eleven CLI - Recipes'));
+  console.log(chalk.gray('─'.repeat(50)));
+
+  if (recipes.length === 0) {
+    console.log(chalk.gray(`No recipes yet. Create one with: el recipe create <taskId> <name>`));
+    console.log(chalk.gray(`Recipes live in ${library.dir}`));
+    return;
+  }
+
+  recipes.forEach(recipe => {
+    if (recipe.error) {
+      console.log(`${chalk.red(recipe.name)} ${chalk.red(`(unreadable: ${recipe.error})`)}`);
+      return;
+    }
+    const params = Object.keys(recipe.parameters || {}).map(param => `--${param}`).join(' ');
+    console.log(`${chalk.cyan(recipe.name)}${params ? chalk.gray(` ${params}`) : ''}`);
+    if (recipe.description) {
+      console.log(chalk.gray(`  ${recipe.description}`));
+    }
+  });
+}
+
+async function handleRecipeShow(name) {
+  const recipe = await loadRecipe(name);
+  if (!recipe) {
+    return;
+  }
+
+  console.log(chalk.blue(`📚 ${recipe.name}`));
+  console.log(chalk.gray('─'.repeat(50)));
+  if (recipe.description) {
+    console.log(recipe.description);
+  }
+  console.log(chalk.gray(`File: ${recipe.file}`));
+
+  const parameters = Object.entries(recipe.parameters || {});
+  if (parameters.length > 0) {
+    console.log(chalk.green('\nParameters:'));
+    parameters.forEach(([param, definition]) => {
+      const details = [definition.type || 'string'];
+      if (definition.default !== undefined) {
+        details.push(`default: ${definition.default}`);
+      } else {
+        details.push('required');
+      }
+      console.log(`  --${param} ${chalk.gray(`(${details.join(', ')})`)}${definition.description ? ` ${definition.description}` : ''}`);
+    });
+  }
+
+  console.log(chalk.green('\nSteps:'));
+  (recipe.steps || []).forEach((step, index) => {
+    console.log(`  ${index + 1}. ${step.description}`);
+    console.log(chalk.gray(`     $ ${step.command}`));
+  });
+}
+
+export async function handleRecipeRun(name, params = [], options = {}) {
+  const recipe = await loadRecipe(name);
+  if (!recipe) {
+    return;
+  }
+
+  let instance;
+  try {
+    instance = new RecipeLibrary().instantiate(recipe, parseParams(params));
+  } catch (error) {
+    reportError(error);
+    console.error(chalk.gray(`See the parameters with: el recipe show ${name}`));
+    return;
+  }
+
+  console.log(chalk.blue(`📚 Genesis Eleven CLI - Recipe ${recipe.name}`));
+  console.log(chalk.gray('━'.repeat(48)));
+  Object.entries(instance.values).forEach(([param, value]) => {
+    console.log(chalk.cyan(`  --${param} ${value}`));
+  });
+
+  await executePlan(instance.plan, {
+    query: `recipe ${recipe.name}`,
+    options: { ...options, recipe: recipe.name, recipeParameters: instance.values }
+  });
+}
+
+async function handleRecipeCreate(taskId, name, options = {}) {
+  const logger = LoggingUtil.getInstance();
+  const execution = await logger.getExecution(taskId);
+  if (!execution) {
+    console.error(chalk.red(`No execution log found for ${taskId}`));
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const params = {};
+    for (const pair of options.param || []) {
+      const index = pair.indexOf('=');
+      if (index < 1) {
+        throw new ValidationException(`--param expects name=value, got ${pair}`);
+      }
+      params[pair.slice(0, index)] = pair.slice(index + 1);
+    }
+
+    const recipe = RecipeLibrary.fromExecution(execution, name, { description: options.description, params });
+    const file = await new RecipeLibrary().save(recipe, { overwrite: options.force });
+
+    console.log(chalk.green(`✅ Saved recipe ${name} to ${file}`));
+    const usage = Object.entries(recipe.parameters).map(([param, definition]) => `--${param} ${definition.default}`).join(' ');
+    console.log(chalk.gray(`Run it with: el recipe run ${name}${usage ? ` ${usage}` : ''}`));
+  } catch (error) {
+    reportError(error);
+  }
+}
+
+async function loadRecipe(name) {
+  try {
+    const recipe = await new RecipeLibrary().get(name);
+    if (!recipe) {
+      console.error(chalk.red(`No recipe named ${name}. See them all with: el recipe list`));
+      process.exitCode = 1;
+    }
+    return recipe;
+  } catch (error) {
+    reportError(error);
+    return null;
+  }
+}
+
+/**
+ * `--days 7 --dry-run --dir=/tmp` -> { days: '7', 'dry-run': true, dir: '/tmp' }
+ */
+function parseParams(params) {
+  const args = {};
+  for (let i = 0; i < params.length; i++) {
+    const match = params[i].match(/^--([^=]+)(?:=(.*))?$/);
+    if (!match) {
+      throw new ValidationException(`Expected a --parameter, got ${params[i]}`);
+    }
+    if (match[2] !== undefined) {
+      args[match[1]] = match[2];
+    } else if (i + 1 < params.length && !params[i + 1].startsWith('--')) {
+      args[match[1]] = params[++i];
+    } else {
+      args[match[1]] = true;
+    }
+  }
+  return args;
+}
+
+function reportError(error) {
+  console.error(chalk.red(`❌ ${error.message}`));
+  if (error instanceof ValidationException) {
+    error.blockedReasons.forEach(reason => console.error(chalk.red(`  ${reason}`)));
+  }
+  process.exitCode = 1;
+}
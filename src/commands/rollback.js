@@ -0,0 +1,106 @@
+import { Command } from 'commander';
+import chalk from 'chalk';
+import prompts from 'prompts';
+import { SnapshotManager } from '../core/SnapshotManager.js';
+import { LoggingUtil } from '../utils/LoggingUtil.js';
+
+export function rollbackCommand() {
+  const cmd = new Command('rollback');
+  cmd
+    .description('Undo the file changes made by an executed task')
+    .argument('<taskId>', 'Task ID from `el logs`')
+    .option('-y, --yes', 'Restore without asking for confirmation')
+    .action(async (taskId, options) => {
+      await handleRollback(taskId, options);
+    });
+
+  return cmd;
+}
+
+export async function handleRollback(taskId, options = {}) {
+  const logger = LoggingUtil.getInstance();
+
+  try {
+    console.log(chalk.blue('🔄 Genesis Eleven CLI - Rollback'));
+    console.log(chalk.gray('─'.repeat(50)));
+
+    const execution = await logger.getExecution(taskId);
+    if (!execution) {
+      console.error(chalk.red(`No execution log found for ${taskId}`));
+      process.exitCode = 1;
+      return;
+    }
+
+    if (execution.rollback) {
+      console.log(chalk.yellow(`⚠️  This task was already rolled back on ${new Date(execution.rollback.timestamp).toLocaleString()}`));
+    }
+
+    const snapshots = (execution.executionResults || [])
+      .map(result => result.snapshot)
+      .filter(Boolean)
+      .reverse();
+
+    if (snapshots.length === 0) {
+      console.log(chalk.gray('No file snapshots were recorded for this task, nothing to roll back.'));
+      return;
+    }
+
+    console.log(chalk.cyan(`Query: ${execution.userQuery}`));
+    console.log(chalk.yellow('\nThese paths will be restored:'));
+    snapshots.forEach(snapshot => {
+      console.log(chalk.yellow(`  Step ${snapshot.stepId}:`));
+      snapshot.entries.forEach(entry => {
+        const action = entry.existed ? 'restore' : 'remove';
+        console.log(chalk.gray(`    ${action} ${entry.path}`));
+      });
+      if (!snapshot.complete) {
+        console.log(chalk.red(`    Incomplete snapshot${snapshot.reason ? `: ${snapshot.reason}` : ''}`));
+      }
+    });
+
+    if (!options.yes) {
+      const { proceed } = await prompts({
+        type: 'confirm',
+        name: 'proceed',
+        message: 'Restore these files?',
+        initial: false
+      });
+
+      if (!proceed) {
+        console.log(chalk.gray('No worries, cancelled.'));
+        return;
+      }
+    }
+
+    const snapshotManager = new SnapshotManager();
+    const results = [];
+    for (const snapshot of snapshots) {
+      const result = await snapshotManager.restore(snapshot);
+      results.push({ stepId: snapshot.stepId, ...result });
+    }
+
+    const restored = results.reduce((sum, r) => sum + r.restored.length + r.removed.length, 0);
+    const failed = results.flatMap(r => r.failed);
+
+    if (failed.length === 0) {
+      console.log(chalk.green(`\n✅ Rolled back ${restored} path${restored === 1 ? '' : 's'}`));
+    } else {
+      console.log(chalk.yellow(`\n⚠️  Rolled back ${restored} paths, ${failed.length} failed:`));
+      failed.forEach(failure => console.log(chalk.red(`  ${failure.path}: ${failure.error}`)));
+      process.exitCode = 1;
+    }
+
+    await logger.logExecution({
+      ...execution,
+      rollback: {
+        timestamp: new Date().toISOString(),
+        results
+      }
+    });
+
+  } catch (error) {
+    logger.error('Rollback failed', { taskId, error: error.message });
+    console.error(chalk.red(`\nRollback failed: ${error.message}`));
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,46 @@
+import { Command } from 'commander';
+import chalk from 'chalk';
+import { PlanFile } from '../core/PlanFile.js';
+import { ValidationException } from '../exceptions/ValidationException.js';
+import { executePlan } from './execute.js';
+
+export function runPlanCommand() {
+  const cmd = new Command('run-plan');
+  cmd
+    .description('Validate and run a plan saved with `el plan --save`, without asking the AI')
+    .argument('<file>', 'Plan file (.yaml, .yml or .json)')
+    .option('-s, --simulate', 'Run the plan against a temporary copy of the working directory and show what changes (Linux only, needs bwrap or unshare)')
+    .option('-e, --edit', 'Review and edit the plan before it runs')
+    .option('-y, --auto-approve', 'Automatically approve all steps (use with caution)')
+    .option('-j, --jobs <n>', 'Maximum number of independent steps to run at once')
+    .option('-r, --repair', 'Ask for a fixed command when a step fails and retry it')
+    .option('-v, --verbose', 'Enable verbose output')
+    .action(async (file, options) => {
+      await handleRunPlan(file, options);
+    });
+
+  return cmd;
+}
+
+export async function handleRunPlan(file, options = {}) {
+  console.log(chalk.blue('🌟 Genesis Eleven CLI - Run Saved Plan'));
+  console.log(chalk.gray('━'.repeat(48)));
+  console.log(chalk.cyan(`Plan file: ${file}`));
+
+  let loaded;
+  try {
+    loaded = await PlanFile.load(file);
+  } catch (error) {
+    console.error(chalk.red(`\n❌ ${error.message}`));
+    if (error instanceof ValidationException && error.hasBlockedReasons()) {
+      error.blockedReasons.forEach(reason => console.error(chalk.red(`  ${reason}`)));
+    }
+    process.exitCode = 1;
+    return;
+  }
+
+  await executePlan(loaded.plan, {
+    query: loaded.query || loaded.plan.intent,
+    options: { ...options, planFile: file }
+  });
+}
@@ -0,0 +1,124 @@
+import { Command } from 'commander';
+import chalk from 'chalk';
+import prompts from 'prompts';
+import { promises as fs } from 'fs';
+import { SessionStore } from '../core/SessionStore.js';
+
+export function sessionsCommand() {
+  const cmd = new Command('sessions');
+  cmd.description('List, export and delete saved `el ask` sessions');
+
+  cmd
+    .command('list', { isDefault: true })
+    .description('List sessions, most recently used first')
+    .action(async () => {
+      await handleSessionsList();
+    });
+
+  cmd
+    .command('export')
+    .description('Export a session as Markdown or JSON')
+    .argument('<name>', 'Session name')
+    .option('-f, --format <format>', 'markdown or json', 'markdown')
+    .option('-o, --output <file>', 'Write to a file instead of the terminal')
+    .action(async (name, options) => {
+      await handleSessionsExport(name, options);
+    });
+
+  cmd
+    .command('delete')
+    .description('Delete a session')
+    .argument('<name>', 'Session name')
+    .option('-y, --yes', 'Delete without asking for confirmation')
+    .action(async (name, options) => {
+      await handleSessionsDelete(name, options);
+    });
+
+  return cmd;
+}
+
+async function handleSessionsList() {
+  const store = new SessionStore();
+  const sessions = await store.list();
+
+  console.log(chalk.blue('💬 Genesis Eleven CLI - Ask Sessions'));
+  console.log(chalk.gray('─'.repeat(50)));
+
+  if (sessions.length === 0) {
+    console.log(chalk.gray('No sessions yet. Start one with: el ask --session <name> <question>'));
+    return;
+  }
+
+  sessions.forEach(session => {
+    const questions = session.turns.filter(turn => turn.role === 'user');
+    const last = questions[questions.length - 1];
+    console.log(`${chalk.cyan(session.name)} ${chalk.gray(`${questions.length} question${questions.length === 1 ? '' : 's'}, last used ${new Date(session.updatedAt).toLocaleString()}`)}`);
+    if (last) {
+      console.log(chalk.gray(`  ${last.content.length > 70 ? `${last.content.substring(0, 67)}...` : last.content}`));
+    }
+  });
+}
+
+async function handleSessionsExport(name, options = {}) {
+  const session = await findSession(name);
+  if (!session) {
+    return;
+  }
+
+  const format = options.format.toLowerCase();
+  if (!['markdown', 'md', 'json'].includes(format)) {
+    console.error(chalk.red(`Unknown format ${options.format}. Use markdown or json`));
+    process.exitCode = 1;
+    return;
+  }
+
+  const content = format === 'json'
+    ? `${JSON.stringify(session, null, 2)}\n`
+    : SessionStore.toMarkdown(session);
+
+  if (options.output) {
+    await fs.writeFile(options.output, content);
+    console.log(chalk.green(`✅ Exported ${name} to ${options.output}`));
+  } else {
+    process.stdout.write(content);
+  }
+}
+
+async function handleSessionsDelete(name, options = {}) {
+  const session = await findSession(name);
+  if (!session) {
+    return;
+  }
+
+  if (!options.yes) {
+    const { proceed } = await prompts({
+      type: 'confirm',
+      name: 'proceed',
+      message: `Delete session ${name} (${session.turns.length / 2} questions)?`,
+      initial: false
+    });
+
+    if (!proceed) {
+      console.log(chalk.gray('No worries, cancelled.'));
+      return;
+    }
+  }
+
+  await new SessionStore().delete(name);
+  console.log(chalk.green(`✅ Deleted session ${name}`));
+}
+
+async function findSession(name) {
+  try {
+    const session = await new SessionStore().get(name);
+    if (!session) {
+      console.error(chalk.red(`No session named ${name}. See them all with: el sessions`));
+      process.exitCode = 1;
+    }
+    return session;
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exitCode = 1;
+    return null;
+  }
+}
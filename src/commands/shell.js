@@ -0,0 +1,227 @@
+import { Command } from 'commander';
+import chalk from 'chalk';
+import ora from 'ora';
+import readline from 'readline';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { Planner } from '../core/Planner.js';
+import { Conversation } from '../core/Conversation.js';
+import { ConfigManager } from '../utils/ConfigManager.js';
+import { executePlan } from './execute.js';
+import { handleRollback } from './rollback.js';
+
+// Lines of input history kept between sessions
+const HISTORY_SIZE = 500;
+
+const SLASH_COMMANDS = [
+  ['/plan <request>', 'Show the plan for a request without running it'],
+  ['/edit <request>', 'Review and edit the plan before it runs'],
+  ['/undo', 'Roll back the file changes of the last task that ran'],
+  ['/history', 'Show the requests in this session'],
+  ['/cd <dir>', 'Change the directory plans run in'],
+  ['/clear', 'Forget earlier requests, start fresh'],
+  ['/help', 'Show this help'],
+  ['/exit', 'Leave the shell (or press Ctrl-D)']
+];
+
+export function shellCommand() {
+  const cmd = new Command('shell');
+  cmd
+    .alias('chat')
+    .description('Start an interactive session where follow-up requests build on earlier ones')
+    .option('-y, --auto-approve', 'Automatically approve all steps (use with caution)')
+    .option('-j, --jobs <n>', 'Maximum number of independent steps to run at once')
+    .option('-r, --repair', 'Ask for a fixed command when a step fails and retry it')
+    .option('-v, --verbose', 'Enable verbose output')
+    .action(async (options) => {
+      await handleShell(options);
+    });
+
+  return cmd;
+}
+
+export async function handleShell(options = {}) {
+  const planner = new Planner();
+  const conversation = new Conversation();
+  const historyFile = path.join(path.dirname(ConfigManager.getInstance().getConfigPath()), 'shell_history');
+  const history = await loadHistory(historyFile);
+  const nextLine = createLineReader(history);
+
+  console.log(chalk.blue('🌟 Genesis Eleven CLI - Interactive Shell'));
+  console.log(chalk.gray('Describe what you want to do. Type /help for commands, /exit to leave.'));
+
+  for (;;) {
+    const line = await nextLine(`\n${chalk.cyan(path.basename(process.cwd()) || '/')} ${chalk.blue('el>')} `);
+    if (line === null) {
+      break;
+    }
+
+    const input = line.trim();
+    if (!input) {
+      continue;
+    }
+
+    try {
+      if (!input.startsWith('/')) {
+        await runRequest(input, { planner, conversation, options });
+        continue;
+      }
+
+      const [command, ...rest] = input.split(/\s+/);
+      const argument = rest.join(' ');
+
+      if (command === '/exit' || command === '/quit') {
+        break;
+      }
+
+      switch (command) {
+        case '/help':
+          console.log(chalk.blue('\nAnything without a / is planned and run, using the earlier requests as context.'));
+          SLASH_COMMANDS.forEach(([usage, description]) => {
+            console.log(`  ${chalk.cyan(usage.padEnd(18))} ${description}`);
+          });
+          break;
+
+        case '/plan':
+        case '/edit':
+          if (!argument) {
+            console.log(chalk.yellow(`Usage: ${command} <request>`));
+            break;
+          }
+          await runRequest(argument, {
+            planner,
+            conversation,
+            options: { ...options, planOnly: command === '/plan', edit: command === '/edit' }
+          });
+          break;
+
+        case '/undo': {
+          const turn = conversation.getLastTask();
+          if (!turn) {
+            console.log(chalk.gray('Nothing has run in this session yet.'));
+            break;
+          }
+          await handleRollback(turn.taskId);
+          break;
+        }
+
+        case '/history':
+          if (conversation.turns.length === 0) {
+            console.log(chalk.gray('No requests yet.'));
+          }
+          conversation.turns.forEach((turn, index) => {
+            const taskId = turn.taskId ? chalk.gray(` ${turn.taskId}`) : '';
+            console.log(`  ${index + 1}. ${turn.query} ${chalk.gray(`(${turn.status})`)}${taskId}`);
+          });
+          break;
+
+        case '/cd': {
+          const target = path.resolve(argument.replace(/^~(?=$|\/)/, os.homedir()) || os.homedir());
+          try {
+            process.chdir(target);
+            console.log(chalk.gray(process.cwd()));
+          } catch (error) {
+            console.log(chalk.red(`Can't change to ${target}: ${error.code === 'ENOENT' ? 'no such directory' : error.message}`));
+          }
+          break;
+        }
+
+        case '/clear':
+          conversation.clear();
+          console.log(chalk.gray('Starting fresh, earlier requests are forgotten.'));
+          break;
+
+        default:
+          console.log(chalk.yellow(`Unknown command ${command}. Type /help to see the commands.`));
+      }
+    } catch (error) {
+      // One failed request shouldn't end the session
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exitCode = 1;
+    }
+  }
+
+  await saveHistory(historyFile, history);
+  console.log(chalk.gray('Bye!'));
+}
+
+async function runRequest(query, { planner, conversation, options }) {
+  const spinner = ora('Figuring out what to do...').start();
+  let plan;
+  try {
+    plan = await planner.createPlan(query, { context: conversation.toPrompt() });
+    spinner.succeed('Got it! Here\'s the plan');
+  } catch (error) {
+    spinner.fail('Hmm, couldn\'t figure that out');
+    console.error(chalk.red(`Error: ${error.message}`));
+    conversation.addTurn(query, null);
+    return;
+  }
+
+  const execution = await executePlan(plan, { query, planner, options });
+  conversation.addTurn(query, plan, execution);
+}
+
+/**
+ * Piped input is read through one interface, so lines buffered ahead
+ * aren't lost between reads.
+ */
+function createLineReader(history) {
+  if (process.stdin.isTTY) {
+    return prompt => readLine(prompt, history);
+  }
+
+  const lines = readline.createInterface({ input: process.stdin, terminal: false })[Symbol.asyncIterator]();
+  return async prompt => {
+    process.stdout.write(prompt);
+    const { value, done } = await lines.next();
+    return done ? null : value;
+  };
+}
+
+/**
+ * Read one line with arrow-key history. A fresh interface per line leaves
+ * stdin free for the prompts shown while a plan runs. Resolves to null on
+ * Ctrl-D; Ctrl-C just abandons the current line.
+ */
+function readLine(prompt, history) {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+      history,
+      historySize: HISTORY_SIZE,
+      removeHistoryDuplicates: true
+    });
+
+    let answer = null;
+    rl.on('SIGINT', () => {
+      answer = '';
+      process.stdout.write('\n');
+      rl.close();
+    });
+    rl.on('close', () => resolve(answer));
+    rl.question(prompt, line => {
+      answer = line;
+      rl.close();
+    });
+  });
+}
+
+async function loadHistory(file) {
+  try {
+    return (await fs.readFile(file, 'utf8')).split('\n').filter(Boolean).reverse();
+  } catch {
+    return [];
+  }
+}
+
+async function saveHistory(file, history) {
+  try {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, `${history.slice(0, HISTORY_SIZE).reverse().join('\n')}\n`);
+  } catch {
+    // Losing the input history is not worth failing the session over
+  }
+}
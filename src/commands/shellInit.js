@@ -0,0 +1,39 @@
+import { Command } from 'commander';
+import chalk from 'chalk';
+import { ShellIntegration } from '../core/ShellIntegration.js';
+
+export function shellInitCommand() {
+  const cmd = new Command('shell-init');
+  cmd
+    .description('Print shell functions that put `el suggest` commands on your command line')
+    .argument('[shell]', `${ShellIntegration.getShells().join(', ')} (default: from $SHELL)`)
+    .option('-n, --name <name>', 'Name of the function to define', 'els')
+    .addHelpText('after', `
+Set it up once:
+  bash  echo 'eval "$(el shell-init bash)"' >> ~/.bashrc
+  zsh   echo 'eval "$(el shell-init zsh)"' >> ~/.zshrc
+  fish  echo 'el shell-init fish | source' >> ~/.config/fish/config.fish
+
+Then \`els find files bigger than 100MB\` puts a command on your command line to edit and run.`)
+    .action((shell, options) => {
+      handleShellInit(shell, options);
+    });
+
+  return cmd;
+}
+
+function handleShellInit(shell, options = {}) {
+  const target = shell || ShellIntegration.detect();
+  if (!target) {
+    console.error(chalk.red(`Can't tell which shell you use. Name it: el shell-init <${ShellIntegration.getShells().join('|')}>`));
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    process.stdout.write(ShellIntegration.script(target.toLowerCase(), options.name));
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exitCode = 1;
+  }
+}
@@ -4,7 +4,8 @@ import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { ConfigManager } from '../utils/ConfigManager.js';
-import { GeminiClient } from '../api/GeminiClient.js';
+import { ProviderFactory } from '../api/ProviderFactory.js';
+import { SandboxIsolation } from '../core/SandboxIsolation.js';
 import { LoggingUtil } from '../utils/LoggingUtil.js';
 
 // Get package.json for version
@@ -30,15 +31,24 @@ async function handleStatus(options = {}) {
     const config = ConfigManager.getInstance();
     const logger = LoggingUtil.getInstance();
 
+    const provider = await ProviderFactory.create();
+
     const status = {
       timestamp: new Date().toISOString(),
       version: packageJson.version,
       config: {
-        geminiModel: config.get('gemini.model', 'gemini-1.5-flash'),
+        provider: provider.name,
+        model: provider.getModelName(),
         apiKeysConfigured: config.get('gemini.apiKeys', '').split(',').filter(k => k.trim()).length,
         sandboxWorkdir: config.get('sandbox.workdir', '/tmp/forge-work'),
         sandboxTimeout: config.get('sandbox.timeout', 30000),
-        maxMemoryMB: config.get('sandbox.maxMemoryMB', 512)
+        maxMemoryMB: config.get('sandbox.maxMemoryMB', 512),
+        maxCpuSeconds: config.get('sandbox.maxCpuSeconds', 60),
+        maxProcesses: config.get('sandbox.maxProcesses', 256),
+        maxOpenFiles: config.get('sandbox.maxOpenFiles', 1024),
+        maxOutputMB: config.get('sandbox.maxOutputMB', 10),
+        isolation: config.get('sandbox.isolation', 'none'),
+        isolationBackend: await new SandboxIsolation(config.get('sandbox.isolation', 'none')).resolve()
       },
       system: {
         nodeVersion: process.version,
@@ -52,8 +62,7 @@ async function handleStatus(options = {}) {
     if (options.testApi) {
       console.log(chalk.blue('Testing API connectivity...'));
       try {
-        const geminiClient = new GeminiClient();
-        const isConnected = await geminiClient.validateConnection();
+        const isConnected = await provider.validateConnection();
         status.apiTest = {
           success: isConnected,
           timestamp: new Date().toISOString()
@@ -74,11 +83,28 @@ async function handleStatus(options = {}) {
       console.log(chalk.gray('─'.repeat(50)));
       
       console.log(chalk.green('📊 Configuration:'));
-      console.log(`  Gemini Model: ${status.config.geminiModel}`);
-      console.log(`  API Keys: ${status.config.apiKeysConfigured} configured`);
+      console.log(`  Provider: ${status.config.provider}`);
+      console.log(`  Model: ${status.config.model}`);
+      if (status.config.provider === 'gemini') {
+        console.log(`  API Keys: ${status.config.apiKeysConfigured} configured`);
+      }
       console.log(`  Sandbox Directory: ${status.config.sandboxWorkdir}`);
       console.log(`  Sandbox Timeout: ${status.config.sandboxTimeout}ms`);
       console.log(`  Memory Limit: ${status.config.maxMemoryMB}MB`);
+      console.log(`  CPU Time Limit: ${status.config.maxCpuSeconds}s`);
+      console.log(`  Process Limit: ${status.config.maxProcesses}`);
+      console.log(`  Open File Limit: ${status.config.maxOpenFiles}`);
+      console.log(`  Output Limit: ${status.config.maxOutputMB}MB`);
+      if (status.system.platform !== 'linux') {
+        console.log(chalk.gray('  (resource limits are only enforced on Linux)'));
+      }
+      if (status.config.isolationBackend) {
+        console.log(`  Isolation: ${status.config.isolationBackend}`);
+      } else if (status.config.isolation !== 'none') {
+        console.log(`  Isolation: ${chalk.yellow(`${status.config.isolation} unavailable, running without it`)}`);
+      } else {
+        console.log('  Isolation: off');
+      }
       
       console.log(chalk.green('\n💻 System Information:'));
       console.log(`  Node.js Version: ${status.system.nodeVersion}`);
@@ -100,9 +126,10 @@ async function handleStatus(options = {}) {
       console.log(chalk.blue('\n💡 Health Check:'));
       const recommendations = [];
       
-      if (status.config.apiKeysConfigured === 0) {
+      const usesGeminiKeys = status.config.provider === 'gemini';
+      if (usesGeminiKeys && status.config.apiKeysConfigured === 0) {
         recommendations.push('⚠️  No API keys configured. Run: el config');
-      } else if (status.config.apiKeysConfigured === 1) {
+      } else if (usesGeminiKeys && status.config.apiKeysConfigured === 1) {
         recommendations.push('💡 Consider adding multiple API keys for better rate limit handling');
       }
       
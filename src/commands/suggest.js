@@ -0,0 +1,90 @@
+import { Command } from 'commander';
+import chalk from 'chalk';
+import ora from 'ora';
+import { Planner } from '../core/Planner.js';
+import { Validator } from '../core/Validator.js';
+
+export function suggestCommand() {
+  const cmd = new Command('suggest');
+  cmd
+    .description('Suggest a single command for you to run yourself')
+    .argument('<query...>', 'What you want to do')
+    .option('--raw', 'Print only the command, for scripts and shell integration (see `el shell-init`)')
+    .option('--json', 'Output the suggestion in JSON format')
+    .action(async (queryParts, options) => {
+      await handleSuggest(queryParts.join(' '), options);
+    });
+
+  return cmd;
+}
+
+async function handleSuggest(query, options = {}) {
+  // With --raw, stdout carries the command alone; everything else goes to stderr
+  const quiet = options.raw || options.json;
+
+  if (!quiet) {
+    console.log(chalk.blue('🌟 Genesis Eleven CLI - Command Suggestion'));
+    console.log(chalk.gray('─'.repeat(50)));
+    console.log(chalk.cyan(`Query: ${query}`));
+    console.log();
+  }
+
+  const spinner = options.json ? null : ora({ text: 'Working out a command...', stream: process.stderr }).start();
+  let plan;
+  let validation;
+  try {
+    plan = await new Planner().suggestCommand(query);
+    validation = await new Validator().validateStep(plan.steps[0]);
+    spinner?.stop();
+  } catch (error) {
+    spinner?.fail('Failed to suggest a command');
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exitCode = 1;
+    return;
+  }
+
+  const step = plan.steps[0];
+  const missing = plan.verification?.missing || [];
+
+  if (options.json) {
+    console.log(JSON.stringify({
+      query,
+      command: validation.allowed ? step.command : null,
+      description: step.description,
+      riskLevel: validation.riskLevel,
+      allowed: validation.allowed,
+      warnings: validation.warnings,
+      blockedReasons: validation.blockedReasons,
+      missing
+    }, null, 2));
+    if (!validation.allowed) {
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  if (!validation.allowed) {
+    console.error(chalk.red(`❌ The suggested command is blocked: ${step.command}`));
+    validation.blockedReasons.forEach(reason => console.error(chalk.red(`  - ${reason}`)));
+    process.exitCode = 1;
+    return;
+  }
+
+  const notes = [
+    ...(['medium', 'high'].includes(validation.riskLevel)
+      ? [`${validation.riskLevel.toUpperCase()} risk${validation.warnings.length > 0 ? `: ${validation.warnings.join('; ')}` : ''}`]
+      : []),
+    ...missing.map(entry => `${entry.program} is not installed${entry.alternative ? ` (${entry.alternative} is)` : ''}`)
+  ];
+
+  if (options.raw) {
+    notes.forEach(note => console.error(chalk.yellow(`⚠️  ${note}`)));
+    console.log(step.command);
+    return;
+  }
+
+  console.log(chalk.gray(step.description));
+  console.log(chalk.bold(`\n  ${step.command}\n`));
+  notes.forEach(note => console.log(chalk.yellow(`⚠️  ${note}`)));
+  console.log(chalk.gray('Nothing was run. To get suggestions straight onto your command line, see: el shell-init --help'));
+}
@@ -1,6 +1,7 @@
 import { Command } from 'commander';
 import chalk from 'chalk';
 import { Validator } from '../core/Validator.js';
+import { FileImpactAnalyzer } from '../core/FileImpactAnalyzer.js';
 
 export function validateCommand() {
   const cmd = new Command('validate');
@@ -43,6 +44,9 @@ async function handleValidate(command, options = {}) {
       console.log(`Status: ${result.allowed ? chalk.green('ALLOWED') : chalk.red('BLOCKED')}`);
       console.log(`Risk Level: ${getRiskLevelColor(result.riskLevel)}`);
       console.log(`Requires Confirmation: ${result.requiresConfirmation ? chalk.yellow('YES') : chalk.green('NO')}`);
+      if (result.fileImpact?.targets.length > 0) {
+        console.log(`Affects: ${FileImpactAnalyzer.summarize(result.fileImpact)}`);
+      }
       
       if (result.warnings.length > 0) {
         console.log(chalk.yellow('\n⚠️  Warnings:'));
@@ -0,0 +1,557 @@
+import path from 'path';
+import { ShellParser } from './ShellParser.js';
+
+// Programs that run another command; their own options are skipped so rules
+// see the real program. Values list the options that take an argument.
+const WRAPPERS = {
+  sudo: ['-u', '-g', '-C', '-p', '-h', '-U', '-r', '-t', '-D'],
+  doas: ['-u', '-C'],
+  env: ['-u', '-C', '-S', '--unset', '--chdir'],
+  nice: ['-n', '--adjustment'],
+  ionice: ['-c', '-n', '-p'],
+  nohup: [],
+  time: ['-f', '-o'],
+  command: [],
+  exec: ['-a'],
+  builtin: [],
+  timeout: ['-s', '-k', '--signal', '--kill-after'],
+  stdbuf: ['-i', '-o', '-e'],
+  xargs: ['-I', '-i', '-n', '-P', '-d', '-L', '-l', '-s', '-E', '-e', '-a', '--max-args', '--max-procs', '--delimiter', '--arg-file'],
+  watch: ['-n', '-d', '--interval'],
+  strace: ['-e', '-o', '-p', '-s'],
+  chroot: []
+};
+
+// Wrappers that take positional arguments before the wrapped command
+const WRAPPER_POSITIONALS = {
+  timeout: 1,
+  chroot: 1
+};
+
+const SHELLS = new Set(['sh', 'bash', 'zsh', 'dash', 'ksh', 'fish', 'csh', 'tcsh', 'ash']);
+
+// Programs whose single-dash options are words, not bundles of letters
+const UNBUNDLED_FLAGS = new Set([
+  'find', 'kill', 'killall', 'pkill', 'java', 'powershell', 'pwsh', 'xdotool',
+  'convert', 'ffmpeg', 'gsettings', 'osascript'
+]);
+
+// Programs whose flags and operands are case-insensitive
+const WINDOWS_PROGRAMS = new Set([
+  'del', 'erase', 'rd', 'rmdir', 'format', 'taskkill', 'reg', 'sc', 'net', 'wmic',
+  'powershell', 'pwsh', 'netsh', 'bcdedit', 'diskpart', 'cmd', 'move', 'copy', 'schtasks'
+]);
+
+const FLAG_ALIASES = {
+  rm: { r: 'recursive', R: 'recursive', f: 'force' },
+  cp: { r: 'recursive', R: 'recursive', f: 'force' },
+  mv: { f: 'force' },
+  chmod: { R: 'recursive' },
+  chown: { R: 'recursive' },
+  chgrp: { R: 'recursive' },
+  git: { f: 'force' },
+  kill: { KILL: '9', SIGKILL: '9', TERM: '15', SIGTERM: '15' },
+  killall: { KILL: '9', SIGKILL: '9' },
+  pkill: { KILL: '9', SIGKILL: '9' }
+};
+
+const FIND_EXEC_ACTIONS = new Set(['-exec', '-execdir', '-ok', '-okdir']);
+
+/**
+ * Turns a command string into the list of programs it would actually run.
+ *
+ * Each invocation carries the resolved program name (basename, lowercase,
+ * wrappers such as sudo/env/xargs stripped), normalized flags, operands with
+ * normalized paths, output redirections and the upstream commands feeding
+ * it (earlier pipeline stages and command/process substitutions). Commands
+ * nested in `sh -c`, `eval`, `find -exec` and substitutions are included.
+ */
+export class CommandAnalyzer {
+  static analyze(command) {
+    const analysis = {
+      ast: null,
+      commands: [],
+      redirects: [],
+      findings: { forkBomb: false, infiniteLoop: false },
+      error: null
+    };
+
+    try {
+      analysis.ast = ShellParser.parse(command);
+    } catch (error) {
+      analysis.error = error;
+      return analysis;
+    }
+
+    const analyzer = new CommandAnalyzer(analysis);
+    analyzer._visit(analysis.ast, { context: 'command', from: [], redirects: [] });
+    return analysis;
+  }
+
+  /**
+   * Compile a denylist entry written as a shell command ("rm -rf /",
+   * "curl | bash") into a pattern. Returns null if it cannot be parsed.
+   */
+  static compilePattern(text) {
+    const analysis = CommandAnalyzer.analyze(text);
+    if (analysis.error || analysis.commands.length === 0) {
+      return null;
+    }
+
+    const last = analysis.commands[analysis.commands.length - 1];
+    return {
+      text,
+      program: last.program,
+      wrappers: last.wrappers,
+      flags: [...last.flags],
+      operands: last.operands,
+      from: last.from.map(source => source.program).filter(Boolean)
+    };
+  }
+
+  /**
+   * Does an invocation contain everything the pattern asks for? Flags and
+   * operands are subsets, so "rm -rf /" also matches "rm -f -r --verbose /".
+   * An invocation whose program cannot be determined matches on flags and
+   * operands alone when the pattern has any.
+   */
+  static matchesPattern(invocation, pattern) {
+    if (invocation.program === null) {
+      if (pattern.flags.length === 0 && pattern.operands.length === 0) {
+        return false;
+      }
+    } else if (invocation.program !== pattern.program) {
+      return false;
+    }
+
+    const program = pattern.program;
+    const flags = invocation.program === null
+      ? CommandAnalyzer.normalizeArgs(program, invocation.args).flags
+      : invocation.flags;
+
+    return pattern.wrappers.every(wrapper => invocation.wrappers.includes(wrapper)) &&
+      pattern.flags.every(flag => flags.has(flag)) &&
+      pattern.operands.every(operand =>
+        invocation.operands.some(candidate => CommandAnalyzer.operandMatches(candidate, operand, program))
+      ) &&
+      pattern.from.every(source => invocation.from.some(upstream => upstream.program === source));
+  }
+
+  static operandMatches(candidate, expected, program) {
+    if (WINDOWS_PROGRAMS.has(program)) {
+      return candidate.toLowerCase().startsWith(expected.toLowerCase());
+    }
+    return candidate === expected;
+  }
+
+  /**
+   * Match a value against a glob where `*` stays within one path segment and
+   * `**` crosses segments.
+   */
+  static globMatches(value, glob) {
+    if (value === null || value === undefined) {
+      return false;
+    }
+
+    const source = glob
+      .split('**')
+      .map(part => part
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '[^/]*')
+        .replace(/\?/g, '[^/]'))
+      .join('.*');
+
+    return new RegExp(`^${source}$`, 'i').test(value);
+  }
+
+  static normalizeProgram(name) {
+    if (!name) {
+      return name;
+    }
+    return path.posix.basename(name.replace(/\\/g, '/')).toLowerCase().replace(/\.exe$/, '');
+  }
+
+  /**
+   * Collapse spellings of the same path: `$HOME`/`${HOME}` become `~`,
+   * `..`, `.` and duplicate or trailing slashes are resolved.
+   */
+  static normalizePath(value) {
+    if (typeof value !== 'string' || value === '') {
+      return value;
+    }
+
+    let normalized = value.replace(/^(\$HOME|\$\{HOME\})(?=\/|$)/, '~');
+
+    if (normalized.startsWith('/')) {
+      normalized = path.posix.normalize(normalized);
+    } else if (normalized === '~' || normalized.startsWith('~/')) {
+      const rest = path.posix.normalize(`/${normalized.slice(2)}`);
+      normalized = rest === '/' ? '~' : `~${rest}`;
+    } else {
+      return normalized;
+    }
+
+    return normalized.length > 1 ? normalized.replace(/\/+$/, '') : normalized;
+  }
+
+  /**
+   * Split arguments into flags and operands. Bundled short flags are split
+   * (`-rf` is `r` + `f`), long flags lose their value (`--format=json` is
+   * `format`) and per-program aliases map spellings to one name.
+   */
+  static normalizeArgs(program, args) {
+    const flags = new Set();
+    const operands = [];
+    const aliases = FLAG_ALIASES[program] || {};
+    const windows = WINDOWS_PROGRAMS.has(program);
+    let endOfFlags = false;
+
+    const addFlag = name => {
+      const flag = aliases[name] ?? name;
+      flags.add(windows ? flag.toLowerCase() : flag);
+    };
+
+    for (const arg of args) {
+      if (endOfFlags || arg === '-' || !arg.startsWith('-')) {
+        operands.push(CommandAnalyzer.normalizePath(arg));
+      } else if (arg === '--') {
+        endOfFlags = true;
+      } else if (arg.startsWith('--')) {
+        addFlag(arg.slice(2).split('=')[0]);
+      } else if (UNBUNDLED_FLAGS.has(program)) {
+        addFlag(arg.slice(1));
+      } else {
+        [...arg.slice(1)].forEach(addFlag);
+      }
+    }
+
+    return { flags, operands };
+  }
+
+  /**
+   * Plain-data view of an invocation for results and logs.
+   */
+  static describe(invocation) {
+    return {
+      program: invocation.program,
+      args: invocation.args,
+      flags: [...invocation.flags],
+      operands: invocation.operands,
+      wrappers: invocation.wrappers,
+      context: invocation.context,
+      dynamic: invocation.dynamic
+    };
+  }
+
+  constructor(analysis) {
+    this.analysis = analysis;
+    this.variables = new Map();
+  }
+
+  _visit(node, ctx) {
+    if (!node) {
+      return;
+    }
+
+    const redirects = [...ctx.redirects, ...this._collectRedirects(node.redirects || [])];
+    const inner = { ...ctx, redirects };
+
+    switch (node.type) {
+      case 'list':
+        node.items.forEach(item => this._visit(item.node, ctx));
+        break;
+
+      case 'pipeline': {
+        let upstream = [];
+        node.commands.forEach(command => {
+          const before = this.analysis.commands.length;
+          this._visit(command, {
+            ...ctx,
+            context: node.commands.length > 1 ? 'pipeline' : ctx.context,
+            from: [...ctx.from, ...upstream]
+          });
+          upstream = upstream.concat(this.analysis.commands.slice(before));
+        });
+        break;
+      }
+
+      case 'command':
+        this._visitCommand(node, inner);
+        break;
+
+      case 'subshell':
+      case 'group':
+        this._visit(node.body, { ...inner, context: 'subshell' });
+        break;
+
+      case 'if':
+        node.clauses.forEach(clause => {
+          this._visit(clause.condition, inner);
+          this._visit(clause.body, inner);
+        });
+        this._visit(node.elseBody, inner);
+        break;
+
+      case 'while':
+      case 'until':
+        this._checkInfiniteLoop(node);
+        this._visit(node.condition, inner);
+        this._visit(node.body, inner);
+        break;
+
+      case 'for':
+        node.words.forEach(word => this._visitSubstitutions(word));
+        this._visit(node.body, inner);
+        break;
+
+      case 'case':
+        this._visitSubstitutions(node.word);
+        node.items.forEach(item => this._visit(item.body, inner));
+        break;
+
+      case 'function': {
+        const before = this.analysis.commands.length;
+        this._visit(node.body, { ...inner, context: 'function' });
+        const selfCalls = this.analysis.commands
+          .slice(before)
+          .filter(invocation => invocation.argv[0] === node.name);
+        if (selfCalls.length > 1 || selfCalls.some(invocation => invocation.context === 'pipeline')) {
+          this.analysis.findings.forkBomb = true;
+        }
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+
+  _checkInfiniteLoop(node) {
+    const conditions = ShellParser.getSimpleCommands(node.condition);
+    if (conditions.length !== 1 || conditions[0].args.length > 0) {
+      return;
+    }
+
+    const name = conditions[0].name;
+    const alwaysTrue = name === 'true' || name === ':';
+    if ((node.type === 'while' && alwaysTrue) || (node.type === 'until' && name === 'false')) {
+      this.analysis.findings.infiniteLoop = true;
+    }
+  }
+
+  _collectRedirects(redirects) {
+    const collected = redirects.map(redirect => ({
+      fd: redirect.fd,
+      op: redirect.op,
+      target: CommandAnalyzer.normalizePath(redirect.target.value),
+      output: redirect.op.includes('>') && !redirect.op.startsWith('<<')
+    }));
+    this.analysis.redirects.push(...collected);
+    return collected;
+  }
+
+  /**
+   * Analyze the commands inside a word's substitutions and return the
+   * invocations they produced.
+   */
+  _visitSubstitutions(word) {
+    const before = this.analysis.commands.length;
+    for (const substitution of word?.substitutions || []) {
+      this._visit(substitution, { context: 'substitution', from: [], redirects: [] });
+    }
+    return this.analysis.commands.slice(before);
+  }
+
+  _visitCommand(node, ctx) {
+    const sources = [];
+    node.assignments.forEach(assignment => sources.push(...this._visitSubstitutions(assignment.value)));
+    node.words.forEach(word => sources.push(...this._visitSubstitutions(word)));
+
+    if (node.words.length === 0) {
+      // Bare assignments such as `X=rm` feed later `$X` lookups
+      node.assignments.forEach(assignment => {
+        const resolved = this._resolveWord(assignment.value);
+        this.variables.set(assignment.name, resolved.resolved ? resolved.value : null);
+      });
+      return;
+    }
+
+    const words = node.words.map(word => this._resolveWord(word));
+
+    this._addInvocation(words, {
+      ...ctx,
+      from: [...ctx.from, ...sources]
+    });
+  }
+
+  /**
+   * Record one invocation. `words` are resolved words ({ value, resolved,
+   * dynamic }); unresolved words keep their literal text so paths such as
+   * "$HOME" can still be compared, but an unresolved program name is null.
+   */
+  _addInvocation(words, ctx) {
+    const wrappers = [];
+    let start = 0;
+
+    // Strip wrappers (sudo, env, xargs, ...) so rules see the real program
+    while (start < words.length - 1 && words[start].resolved) {
+      const wrapper = CommandAnalyzer.normalizeProgram(words[start].value);
+      if (!(wrapper in WRAPPERS)) {
+        break;
+      }
+      const skipped = this._skipWrapperOptions(wrapper, words.slice(start + 1).map(word => word.value));
+      if (start + 1 + skipped >= words.length) {
+        break;
+      }
+      wrappers.push(wrapper);
+      start += 1 + skipped;
+    }
+
+    const programWord = words[start];
+    const program = programWord.resolved ? CommandAnalyzer.normalizeProgram(programWord.value) : null;
+    const rest = [program === null ? null : programWord.value, ...words.slice(start + 1).map(word => word.value)];
+    const args = rest.slice(1);
+    const { flags, operands } = CommandAnalyzer.normalizeArgs(program, args);
+
+    const invocation = {
+      program,
+      argv: rest,
+      args,
+      flags,
+      operands,
+      wrappers,
+      redirects: ctx.redirects,
+      from: ctx.from,
+      context: ctx.context,
+      dynamic: program === null,
+      obfuscated: programWord.resolved && programWord.dynamic,
+      text: rest.map(arg => (arg === null ? '?' : arg)).join(' ')
+    };
+
+    this.analysis.commands.push(invocation);
+    this._visitNested(invocation, ctx);
+  }
+
+  _skipWrapperOptions(wrapper, args) {
+    const valueOptions = WRAPPERS[wrapper];
+    let index = 0;
+    let positionals = WRAPPER_POSITIONALS[wrapper] || 0;
+
+    while (index < args.length) {
+      const arg = args[index];
+      if (arg === '--') {
+        index++;
+        break;
+      }
+      if (wrapper === 'env' && /^[A-Za-z_][A-Za-z0-9_]*=/.test(arg)) {
+        index++;
+        continue;
+      }
+      if (arg.startsWith('-') && arg.length > 1) {
+        index += valueOptions.includes(arg) ? 2 : 1;
+        continue;
+      }
+      if (positionals > 0) {
+        positionals--;
+        index++;
+        continue;
+      }
+      break;
+    }
+
+    return index;
+  }
+
+  /**
+   * Pull out commands that an invocation runs itself: `sh -c "..."`,
+   * `eval ...` and `find ... -exec cmd {} \;`.
+   */
+  _visitNested(invocation, ctx) {
+    const { program, args } = invocation;
+    const nestedCtx = { ...ctx, context: 'nested', from: [...ctx.from, ...invocation.from] };
+
+    if (SHELLS.has(program) && invocation.flags.has('c')) {
+      const script = args.find(arg => arg !== null && !arg.startsWith('-'));
+      this._visitScript(script, nestedCtx);
+    } else if (program === 'eval') {
+      this._visitScript(args.filter(arg => arg !== null).join(' '), nestedCtx);
+    } else if (program === 'find') {
+      for (let i = 0; i < args.length; i++) {
+        if (!FIND_EXEC_ACTIONS.has(args[i])) {
+          continue;
+        }
+        let end = i + 1;
+        while (end < args.length && args[end] !== ';' && args[end] !== '+') {
+          end++;
+        }
+        if (end > i + 1) {
+          this._addInvocation(args.slice(i + 1, end).map(value => this._literalWord(value)), nestedCtx);
+        }
+        i = end;
+      }
+    }
+  }
+
+  _visitScript(script, ctx) {
+    if (!script) {
+      return;
+    }
+
+    try {
+      this._visit(ShellParser.parse(script), ctx);
+    } catch {
+      // An unparseable nested script can't be inspected
+      this._addInvocation([{ value: script, resolved: false, dynamic: true }], ctx);
+    }
+  }
+
+  _literalWord(value) {
+    return value === null
+      ? { value: null, resolved: false, dynamic: true }
+      : { value, resolved: true, dynamic: false };
+  }
+
+  /**
+   * Work out the value a word will have at run time where that is knowable:
+   * literal text, `$(echo x)`/backquoted echo, and variables assigned earlier
+   * in the same command line.
+   */
+  _resolveWord(word) {
+    const dynamic = word.substitutions.length > 0 || word.expansions.length > 0 || word.arithmetic;
+    if (!dynamic) {
+      return { value: word.value, resolved: true, dynamic: false };
+    }
+
+    if (word.substitutions.length === 1 && word.expansions.length === 0 &&
+        /^("?)(\$\([\s\S]*\)|`[\s\S]*`)\1$/.test(word.raw)) {
+      const output = this._staticOutput(word.substitutions[0]);
+      if (output !== null) {
+        return { value: output, resolved: true, dynamic: true };
+      }
+    }
+
+    const variable = word.raw.match(/^("?)\$\{?([A-Za-z_][A-Za-z0-9_]*)\}?\1$/);
+    if (variable && this.variables.get(variable[2])) {
+      return { value: this.variables.get(variable[2]), resolved: true, dynamic: true };
+    }
+
+    // Keep the literal text (e.g. "$HOME") so paths can still be compared
+    return { value: word.value, resolved: false, dynamic: true };
+  }
+
+  _staticOutput(ast) {
+    const commands = ShellParser.getSimpleCommands(ast);
+    if (commands.length !== 1 || commands[0].words.some(word => ShellParser.isDynamicWord(word))) {
+      return null;
+    }
+
+    const { name, args } = commands[0];
+    if (name === 'echo') {
+      return args.filter(arg => !/^-[neE]+$/.test(arg)).join(' ');
+    }
+    if (name === 'printf' && args.length > 0 && !args[0].includes('%')) {
+      return args[0].replace(/\\n$/, '');
+    }
+    return null;
+  }
+}
@@ -0,0 +1,358 @@
+import { ShellParser } from './ShellParser.js';
+import { CommandAnalyzer } from './CommandAnalyzer.js';
+import { Validator } from './Validator.js';
+import { ProviderFactory } from '../api/ProviderFactory.js';
+import { LoggingUtil } from '../utils/LoggingUtil.js';
+
+// What common programs do and what their flags mean, for the offline
+// breakdown. Programs not listed are still broken down, just not described.
+const PROGRAMS = {
+  rm: {
+    summary: 'remove files or directories',
+    flags: {
+      '-r': 'remove directories and everything in them', '-R': 'remove directories and everything in them',
+      '--recursive': 'remove directories and everything in them', '-f': 'never ask, ignore files that don\'t exist',
+      '--force': 'never ask, ignore files that don\'t exist', '-i': 'ask before every removal', '-v': 'print each file removed',
+      '-d': 'remove empty directories', '--no-preserve-root': 'allow removing / itself'
+    }
+  },
+  cp: {
+    summary: 'copy files or directories',
+    flags: {
+      '-r': 'copy directories recursively', '-R': 'copy directories recursively', '-a': 'archive: recursive, keeping permissions and times',
+      '-f': 'overwrite without asking', '-i': 'ask before overwriting', '-n': 'never overwrite', '-v': 'print each file copied',
+      '-p': 'keep permissions and times', '-u': 'only copy newer files'
+    }
+  },
+  mv: {
+    summary: 'move or rename files',
+    flags: { '-f': 'overwrite without asking', '-i': 'ask before overwriting', '-n': 'never overwrite', '-v': 'print each file moved', '-u': 'only move newer files' }
+  },
+  ls: {
+    summary: 'list directory contents',
+    flags: {
+      '-l': 'long format: permissions, owner, size, date', '-a': 'include hidden files', '-A': 'include hidden files except . and ..',
+      '-h': 'human-readable sizes', '-t': 'sort by modification time', '-r': 'reverse the order', '-S': 'sort by size', '-R': 'list subdirectories recursively', '-1': 'one entry per line'
+    }
+  },
+  mkdir: { summary: 'create directories', flags: { '-p': 'create parent directories as needed, no error if it exists', '-v': 'print each directory created' } },
+  touch: { summary: 'create empty files or update their timestamps', flags: {} },
+  ln: { summary: 'create links between files', flags: { '-s': 'make a symbolic link', '-f': 'replace an existing file' } },
+  cat: { summary: 'print files', flags: { '-n': 'number the lines' } },
+  head: { summary: 'print the first lines of a file', flags: { '-n': 'number of lines', '-c': 'number of bytes' } },
+  tail: { summary: 'print the last lines of a file', flags: { '-n': 'number of lines', '-f': 'keep printing as the file grows' } },
+  wc: { summary: 'count lines, words and bytes', flags: { '-l': 'count lines', '-w': 'count words', '-c': 'count bytes' } },
+  sort: { summary: 'sort lines', flags: { '-n': 'numeric sort', '-r': 'reverse the order', '-u': 'drop duplicates', '-h': 'sort human-readable sizes', '-k': 'sort by a given field' } },
+  uniq: { summary: 'drop repeated adjacent lines', flags: { '-c': 'prefix lines with their count', '-d': 'only print duplicated lines' } },
+  cut: { summary: 'pick fields or characters from each line', flags: { '-d': 'field delimiter', '-f': 'fields to print', '-c': 'characters to print' } },
+  tr: { summary: 'translate or delete characters', flags: { '-d': 'delete the characters', '-s': 'squeeze repeats' } },
+  tee: { summary: 'copy input to files and to the output', flags: { '-a': 'append instead of overwriting' } },
+  grep: {
+    summary: 'search text for a pattern',
+    flags: {
+      '-r': 'search directories recursively', '-R': 'search directories recursively, following links', '-i': 'ignore case',
+      '-v': 'print lines that don\'t match', '-n': 'show line numbers', '-l': 'only list matching files', '-c': 'count matches',
+      '-E': 'extended regular expressions', '-F': 'match fixed strings, not patterns', '-o': 'only print the matching part',
+      '-w': 'match whole words', '-q': 'print nothing, only set the exit status'
+    }
+  },
+  sed: { summary: 'edit text as a stream', flags: { '-i': 'edit files in place', '-n': 'only print lines asked for', '-E': 'extended regular expressions', '-e': 'script to run' } },
+  awk: { summary: 'process text by fields', flags: { '-F': 'field separator' } },
+  find: {
+    summary: 'search for files',
+    flags: {
+      '-name': 'match file names against a pattern', '-iname': 'match file names, ignoring case', '-type': 'match a file type (f file, d directory)',
+      '-mtime': 'match by days since last modified', '-size': 'match by size', '-maxdepth': 'how many levels to descend',
+      '-exec': 'run a command on every match', '-execdir': 'run a command on every match, from its directory',
+      '-delete': 'delete every match', '-print': 'print every match', '-print0': 'print matches separated by NUL', '-path': 'match the whole path against a pattern'
+    }
+  },
+  xargs: { summary: 'run a command with arguments read from the input', flags: { '-0': 'input is separated by NUL', '-I': 'replace a placeholder with each input', '-n': 'arguments per command', '-P': 'run this many commands at once', '-r': 'don\'t run at all on empty input' } },
+  tar: {
+    summary: 'create or extract archives',
+    flags: {
+      '-c': 'create an archive', '-x': 'extract an archive', '-t': 'list an archive', '-z': 'gzip compression', '-j': 'bzip2 compression',
+      '-J': 'xz compression', '-f': 'archive file name', '-v': 'list files as they are processed', '-C': 'change to this directory first'
+    }
+  },
+  zip: { summary: 'create zip archives', flags: { '-r': 'add directories recursively', '-q': 'quiet' } },
+  unzip: { summary: 'extract zip archives', flags: { '-d': 'extract into this directory', '-o': 'overwrite without asking', '-l': 'list the contents' } },
+  gzip: { summary: 'compress files', flags: { '-d': 'decompress', '-k': 'keep the original file', '-r': 'compress directories recursively' } },
+  chmod: { summary: 'change file permissions', flags: { '-R': 'apply to directories and everything in them', '-v': 'print each change' } },
+  chown: { summary: 'change file owner', flags: { '-R': 'apply to directories and everything in them' } },
+  du: { summary: 'measure disk usage', flags: { '-h': 'human-readable sizes', '-s': 'only a total per argument', '-d': 'how many levels to show', '-a': 'include files, not just directories' } },
+  df: { summary: 'show free disk space', flags: { '-h': 'human-readable sizes' } },
+  ps: { summary: 'list processes', flags: { '-e': 'all processes', '-f': 'full format', '-u': 'processes of a user' } },
+  kill: { summary: 'send a signal to processes', flags: { '-9': 'SIGKILL: stop immediately, no cleanup', '-15': 'SIGTERM: ask to stop', '-s': 'signal to send' } },
+  pkill: { summary: 'signal processes by name', flags: { '-9': 'SIGKILL: stop immediately, no cleanup', '-f': 'match the whole command line' } },
+  curl: {
+    summary: 'transfer data from or to a URL',
+    flags: {
+      '-o': 'write to this file', '-O': 'write to a file named like the URL', '-L': 'follow redirects', '-s': 'silent, no progress',
+      '-S': 'show errors even when silent', '-f': 'fail on HTTP errors', '-X': 'HTTP method', '-H': 'add a header', '-d': 'send data in the body', '-k': 'skip TLS certificate checks'
+    }
+  },
+  wget: { summary: 'download files', flags: { '-O': 'write to this file', '-q': 'quiet', '-r': 'download recursively', '-c': 'continue a partial download' } },
+  ssh: { summary: 'log in to or run commands on another machine', flags: { '-p': 'port', '-i': 'identity (key) file', '-L': 'forward a local port' } },
+  scp: { summary: 'copy files over ssh', flags: { '-r': 'copy directories recursively', '-P': 'port' } },
+  rsync: {
+    summary: 'synchronize files and directories',
+    flags: { '-a': 'archive: recursive, keeping permissions and times', '-v': 'list files as they are copied', '-z': 'compress in transit', '-n': 'dry run', '--delete': 'delete files in the destination that the source doesn\'t have', '--progress': 'show progress' }
+  },
+  dd: { summary: 'copy raw data between files or devices', flags: {} },
+  git: { summary: 'version control', flags: { '-C': 'run as if started in this directory' } },
+  docker: { summary: 'manage containers', flags: {} },
+  npm: { summary: 'Node.js package manager', flags: { '-g': 'install globally', '-D': 'save as a development dependency' } },
+  pip: { summary: 'Python package manager', flags: { '-U': 'upgrade', '-r': 'install from a requirements file', '--user': 'install for the current user only' } },
+  echo: { summary: 'print text', flags: { '-n': 'no trailing newline', '-e': 'interpret backslash escapes' } },
+  cd: { summary: 'change directory', flags: {} },
+  sudo: { summary: 'run as another user, root by default', flags: { '-u': 'user to run as', '-E': 'keep the environment' } },
+  env: { summary: 'run with a modified environment', flags: { '-i': 'start with an empty environment', '-u': 'unset a variable' } },
+  shred: { summary: 'overwrite files so they can\'t be recovered', flags: { '-u': 'remove the files afterwards', '-z': 'finish with zeros', '-n': 'number of passes' } },
+  mkfs: { summary: 'create a file system, erasing the device', flags: {} }
+};
+
+const REDIRECTS = {
+  '>': 'send {stream} to {target}, replacing it',
+  '>|': 'send {stream} to {target}, replacing it even with noclobber set',
+  '>>': 'append {stream} to {target}',
+  '&>': 'send output and errors to {target}, replacing it',
+  '&>>': 'append output and errors to {target}',
+  '<': 'read {stream} from {target}',
+  '<<': 'read {stream} from the text that follows, up to {target}',
+  '<<-': 'read {stream} from the text that follows, up to {target}',
+  '<<<': 'read {stream} from the string {target}',
+  '>&': 'send {stream} to where {target} goes',
+  '<&': 'read {stream} from {target}',
+  '<>': 'open {target} for reading and writing as {stream}'
+};
+
+const STREAMS = { 0: 'input', 1: 'output', 2: 'errors' };
+
+// How one part hands over to the next
+const CONNECTORS = {
+  '|': 'its output is piped into the next part',
+  '|&': 'its output and errors are piped into the next part',
+  '&&': 'if it succeeds, the next part runs',
+  '||': 'if it fails, the next part runs',
+  ';': 'then the next part runs',
+  '&': 'runs in the background while the next part starts'
+};
+
+/**
+ * Explains a shell command. The breakdown into parts (programs, flags,
+ * arguments, redirections and how the parts connect) is worked out locally
+ * with ShellParser, so it works offline; Validator marks the risky parts,
+ * and the provider adds a plain-language explanation on top.
+ */
+export class CommandExplainer {
+  constructor() {
+    this.provider = null;
+    this.logger = LoggingUtil.getInstance();
+  }
+
+  async _getProvider() {
+    if (!this.provider) {
+      this.provider = await ProviderFactory.create();
+    }
+    return this.provider;
+  }
+
+  /**
+   * Returns { parts, error }. Each part is one simple command:
+   * { text, context, program, summary, wrappers, flags: [{ flag, description }],
+   * operands, redirects: [{ text, description }], connector }, where
+   * connector says how it hands over to the next part. Commands inside
+   * $(...) come right after the part using them, with context
+   * 'substitution'. A command that doesn't parse has no parts.
+   */
+  static breakdown(command) {
+    let ast;
+    try {
+      ast = ShellParser.parse(command);
+    } catch (error) {
+      return { parts: [], error: error.message };
+    }
+
+    const parts = [];
+    collectParts(ast, parts, 'command');
+    return { parts, error: null };
+  }
+
+  static describeConnector(operator) {
+    return CONNECTORS[operator] || null;
+  }
+
+  /**
+   * Validate the whole command and each part. Adds
+   * `risk: { riskLevel, allowed, warnings }` to every part and returns the
+   * validation of the whole command.
+   */
+  async assessRisk(command, breakdown, workingDirectory = process.cwd()) {
+    const validator = new Validator();
+    const step = (id, text) => ({ id, description: 'Explain command', command: text, riskLevel: 'none', workingDirectory });
+
+    for (const [index, part] of breakdown.parts.entries()) {
+      const result = await validator.validateStep(step(`part-${index + 1}`, part.text));
+      part.risk = {
+        riskLevel: result.riskLevel,
+        allowed: result.allowed,
+        warnings: [...result.blockedReasons, ...result.warnings]
+      };
+    }
+
+    return validator.validateStep(step('explain', command));
+  }
+
+  /**
+   * Plain-language explanation from the provider, told about the local
+   * breakdown so the two agree.
+   */
+  async explain(command, breakdown) {
+    const parts = breakdown.parts.map((part, index) =>
+      `${index + 1}. ${part.text}${part.connector ? ` - ${CommandExplainer.describeConnector(part.connector)}` : ''}`
+    );
+
+    const prompt = `Explain this shell command to someone who is comfortable in a terminal but doesn't know every tool.
+
+Command: ${command}
+Platform: ${process.platform}
+${parts.length > 0 ? `\nIt is made of these parts:\n${parts.join('\n')}\n` : ''}
+Start with one or two sentences on what the command does as a whole. Then go through anything non-obvious: what the patterns, expressions and option values mean and what the parts pass to each other. End with what could go wrong or be destroyed, if anything. Keep it short, plain text, no Markdown headings.`;
+
+    const provider = await this._getProvider();
+    const explanation = await provider.generateResponse(prompt, { temperature: 0.2, maxTokens: 800 });
+    this.logger.info('Command explained', { command });
+    return explanation.trim();
+  }
+}
+
+/**
+ * Add the simple commands in a tree to `parts`. Returns the part that a
+ * following connector (`|`, `&&`, ...) attaches to: the last one at the
+ * tree's own level, not one inside a substitution.
+ */
+function collectParts(node, parts, context) {
+  if (!node) {
+    return null;
+  }
+
+  switch (node.type) {
+    case 'list': {
+      let last = null;
+      node.items.forEach(item => {
+        last = collectParts(item.node, parts, context);
+        if (last && item.operator) {
+          last.connector = item.operator;
+        }
+      });
+      return last;
+    }
+
+    case 'pipeline': {
+      let last = null;
+      node.commands.forEach((command, index) => {
+        last = collectParts(command, parts, context);
+        if (last && index < node.operators.length) {
+          last.connector = node.operators[index];
+        }
+      });
+      return last;
+    }
+
+    case 'command': {
+      const part = describePart(node, context);
+      parts.push(part);
+      for (const word of [...node.words, ...node.assignments.map(assignment => assignment.value)]) {
+        for (const substitution of word.substitutions || []) {
+          collectParts(substitution, parts, 'substitution');
+        }
+      }
+      return part;
+    }
+
+    default: {
+      // Loops, conditionals and functions: list the commands inside in order
+      let last = null;
+      ShellParser.walk(node, child => {
+        if (child !== node && child.type === 'command') {
+          last = describePart(child, context === 'command' ? node.type : context);
+          parts.push(last);
+        }
+      });
+      return last;
+    }
+  }
+}
+
+function describePart(node, context) {
+  const text = [
+    ...node.assignments.map(assignment => `${assignment.name}=${assignment.value.raw}`),
+    ...node.words.map(word => word.raw),
+    ...node.redirects.map(redirect => `${redirect.fd ?? ''}${redirect.op}${redirect.target.raw}`)
+  ].join(' ');
+
+  const invocation = node.words.length > 0
+    ? CommandAnalyzer.analyze(node.words.map(word => word.raw).join(' ')).commands.find(command => command.context !== 'substitution')
+    : null;
+  const program = invocation?.program ?? null;
+  const info = PROGRAMS[program] || { flags: {} };
+
+  return {
+    text,
+    context,
+    program,
+    summary: info.summary || null,
+    wrappers: (invocation?.wrappers || []).map(wrapper => ({ name: wrapper, summary: PROGRAMS[wrapper]?.summary || null })),
+    flags: invocation ? describeFlags(invocation, info.flags) : [],
+    operands: invocation ? invocation.args.filter(arg => !isFlag(arg)) : [],
+    redirects: node.redirects.map(redirect => ({
+      text: `${redirect.fd ?? ''}${redirect.op}${redirect.target.raw}`,
+      description: describeRedirect(redirect)
+    })),
+    connector: null
+  };
+}
+
+function isFlag(arg) {
+  return arg.startsWith('-') && arg !== '-' && arg !== '--';
+}
+
+/**
+ * Flags as written, with bundles such as -rf split into -r and -f when
+ * the program is one we know the letters of.
+ */
+function describeFlags(invocation, known) {
+  const flags = [];
+  for (const arg of invocation.args) {
+    if (arg === '--') {
+      break;
+    }
+    if (!isFlag(arg)) {
+      continue;
+    }
+
+    const name = arg.startsWith('--') ? arg.split('=')[0] : arg;
+    const letters = [...arg.slice(1)].map(letter => `-${letter}`);
+    if (!known[name] && !arg.startsWith('--') && letters.length > 1 && letters.every(letter => known[letter])) {
+      letters.forEach(letter => flags.push({ flag: letter, description: known[letter] }));
+    } else {
+      flags.push({ flag: arg, description: known[name] || null });
+    }
+  }
+  return flags;
+}
+
+function describeRedirect(redirect) {
+  const template = REDIRECTS[redirect.op];
+  if (!template) {
+    return null;
+  }
+  const stream = redirect.fd !== null
+    ? STREAMS[redirect.fd] || `descriptor ${redirect.fd}`
+    : STREAMS[redirect.op.startsWith('<') ? 0 : 1];
+  const target = redirect.op === '>&' || redirect.op === '<&'
+    ? STREAMS[redirect.target.value] || `descriptor ${redirect.target.value}`
+    : redirect.target.value;
+  return template.replace('{stream}', stream).replace('{target}', target);
+}
@@ -0,0 +1,212 @@
+import { CommandAnalyzer } from './CommandAnalyzer.js';
+import { EnvironmentProbe } from './EnvironmentProbe.js';
+import { PlatformUtils } from '../utils/PlatformUtils.js';
+import { LoggingUtil } from '../utils/LoggingUtil.js';
+
+// Run by the shell itself, so never on PATH
+const SHELL_BUILTINS = new Set([
+  'cd', 'echo', 'printf', 'export', 'set', 'unset', 'source', '.', ':', 'alias', 'unalias',
+  'type', 'command', 'builtin', 'test', '[', '[[', 'true', 'false', 'read', 'exit', 'return',
+  'eval', 'exec', 'shift', 'trap', 'wait', 'jobs', 'fg', 'bg', 'pwd', 'umask', 'ulimit',
+  'hash', 'getopts', 'let', 'local', 'declare', 'typeset', 'readonly', 'pushd', 'popd',
+  'dirs', 'history', 'shopt', 'mapfile', 'readarray', 'time', 'break', 'continue', 'fc'
+]);
+
+const CMD_BUILTINS = new Set([
+  'dir', 'copy', 'del', 'erase', 'move', 'ren', 'rename', 'md', 'mkdir', 'rd', 'rmdir',
+  'type', 'cls', 'start', 'set', 'echo', 'cd', 'chdir', 'pushd', 'popd', 'call', 'ver', 'vol',
+  'mklink', 'assoc', 'ftype', 'path', 'title', 'color', 'if', 'for', 'exit'
+]);
+
+// Other names the same tool is installed under, depending on the system
+const ALTERNATIVES = {
+  fd: ['fdfind'],
+  bat: ['batcat'],
+  python: ['python3'],
+  pip: ['pip3'],
+  convert: ['magick'],
+  magick: ['convert'],
+  open: ['xdg-open'],
+  'xdg-open': ['open'],
+  pbcopy: ['wl-copy', 'xclip'],
+  'wl-copy': ['xclip', 'pbcopy'],
+  xclip: ['wl-copy', 'pbcopy'],
+  ack: ['ack-grep'],
+  nc: ['ncat', 'netcat']
+};
+
+// Package names that differ from the program name; `default` applies to
+// package managers not listed
+const PACKAGES = {
+  rg: { default: 'ripgrep', winget: 'BurntSushi.ripgrep.MSVC' },
+  fd: { default: 'fd', apt: 'fd-find', dnf: 'fd-find', winget: 'sharkdp.fd' },
+  bat: { default: 'bat', winget: 'sharkdp.bat' },
+  magick: { default: 'imagemagick', dnf: 'ImageMagick', yum: 'ImageMagick', zypper: 'ImageMagick', winget: 'ImageMagick.ImageMagick' },
+  convert: { default: 'imagemagick', dnf: 'ImageMagick', yum: 'ImageMagick', zypper: 'ImageMagick', winget: 'ImageMagick.ImageMagick' },
+  python3: { default: 'python3', pacman: 'python', brew: 'python', winget: 'Python.Python.3.12', choco: 'python', scoop: 'python' },
+  python: { default: 'python3', pacman: 'python', brew: 'python', winget: 'Python.Python.3.12', choco: 'python', scoop: 'python' },
+  pip3: { default: 'python3-pip', pacman: 'python-pip', apk: 'py3-pip', brew: 'python' },
+  pip: { default: 'python3-pip', pacman: 'python-pip', apk: 'py3-pip', brew: 'python' },
+  node: { default: 'nodejs', brew: 'node', winget: 'OpenJS.NodeJS', scoop: 'nodejs' },
+  npm: { default: 'npm', brew: 'node', winget: 'OpenJS.NodeJS', choco: 'nodejs', scoop: 'nodejs' },
+  '7z': { default: 'p7zip', apt: 'p7zip-full', winget: '7zip.7zip', choco: '7zip', scoop: '7zip' },
+  exiftool: { default: 'exiftool', apt: 'libimage-exiftool-perl', dnf: 'perl-Image-ExifTool', pacman: 'perl-image-exiftool' },
+  ffmpeg: { default: 'ffmpeg', winget: 'Gyan.FFmpeg' },
+  git: { default: 'git', winget: 'Git.Git' },
+  jq: { default: 'jq', winget: 'jqlang.jq' },
+  nc: { default: 'netcat', apt: 'netcat-openbsd', dnf: 'nmap-ncat', brew: 'netcat' },
+  docker: { default: 'docker', apt: 'docker.io', brew: '--cask docker', winget: 'Docker.DockerDesktop' },
+  code: { default: 'code', brew: '--cask visual-studio-code', winget: 'Microsoft.VisualStudioCode', snap: 'code --classic' },
+  pandoc: { default: 'pandoc', winget: 'JohnMacFarlane.Pandoc' }
+};
+
+// How each system package manager installs a package
+const INSTALL_COMMANDS = {
+  apt: 'sudo apt install {package}',
+  dnf: 'sudo dnf install {package}',
+  yum: 'sudo yum install {package}',
+  pacman: 'sudo pacman -S {package}',
+  zypper: 'sudo zypper install {package}',
+  apk: 'sudo apk add {package}',
+  snap: 'sudo snap install {package}',
+  brew: 'brew install {package}',
+  port: 'sudo port install {package}',
+  winget: 'winget install {package}',
+  choco: 'choco install {package}',
+  scoop: 'scoop install {package}'
+};
+
+// Installers and the subcommands that install something, so a later step
+// may use a program the system doesn't have yet
+const INSTALLERS = new Set([...Object.keys(INSTALL_COMMANDS), 'npm', 'pnpm', 'yarn', 'pip', 'pip3', 'pipx', 'cargo', 'gem', 'go']);
+const INSTALL_SUBCOMMANDS = new Set(['install', 'add', '-S', '-Sy', '-Syu']);
+
+/**
+ * Checks, before a plan is shown, that the programs its steps run are
+ * installed. Builtins and paths (`./build.sh`) are skipped, and a program
+ * another step installs counts as present. Missing programs come with
+ * installed alternatives and install commands for the package managers on
+ * this machine; prerequisites that name a program are checked the same way.
+ */
+export class CommandVerifier {
+  constructor() {
+    this.logger = LoggingUtil.getInstance();
+  }
+
+  /**
+   * Returns { missing: [{ program, stepIds, alternative, installHints }],
+   * prerequisites: [{ text, program, found }] }. Prerequisites that don't
+   * name a known program have a null program and are not checked.
+   */
+  async verify(plan) {
+    const environment = await EnvironmentProbe.getInstance().probe();
+    const managers = environment.packageManagers.filter(manager => manager in INSTALL_COMMANDS);
+
+    const installed = new Set();
+    const used = new Map();
+    for (const step of plan.steps) {
+      for (const invocation of CommandAnalyzer.analyze(step.command).commands) {
+        this._collectInstalls(invocation, installed);
+        for (const program of this._programsOf(invocation)) {
+          if (!used.has(program)) {
+            used.set(program, []);
+          }
+          if (!used.get(program).includes(step.id)) {
+            used.get(program).push(step.id);
+          }
+        }
+      }
+    }
+
+    const missing = [];
+    for (const [program, stepIds] of used) {
+      if (installed.has(program) || this._isAvailable(program)) {
+        continue;
+      }
+      missing.push({
+        program,
+        stepIds,
+        alternative: this._findAlternative(program),
+        installHints: CommandVerifier.installHints(program, managers)
+      });
+    }
+
+    const prerequisites = plan.prerequisites.map(text => {
+      const program = this._programIn(text, used);
+      return {
+        text,
+        program,
+        found: program === null ? null : installed.has(program) || this._isAvailable(program) || this._findAlternative(program) !== null
+      };
+    });
+
+    if (missing.length > 0) {
+      this.logger.info('Plan uses programs that are not installed', { programs: missing.map(entry => entry.program) });
+    }
+
+    return { missing, prerequisites };
+  }
+
+  /**
+   * Install commands for a program, one per package manager given. With no
+   * package manager the package name alone is returned.
+   */
+  static installHints(program, managers) {
+    const packages = PACKAGES[program] || { default: program };
+    if (managers.length === 0) {
+      return [`install the ${packages.default} package`];
+    }
+    return managers.map(manager => INSTALL_COMMANDS[manager].replace('{package}', packages[manager] || packages.default));
+  }
+
+  static isBuiltin(program) {
+    return SHELL_BUILTINS.has(program) || (PlatformUtils.isWindows() && CMD_BUILTINS.has(program));
+  }
+
+  /**
+   * The wrappers and the program an invocation runs, leaving out builtins,
+   * programs given by path and names only known at run time (including
+   * `{{name}}` step variables).
+   */
+  _programsOf(invocation) {
+    const programs = invocation.wrappers.filter(wrapper => !CommandVerifier.isBuiltin(wrapper));
+    const name = invocation.argv[0];
+    if (invocation.program && !/[\\/]|\{\{/.test(name) && !CommandVerifier.isBuiltin(invocation.program)) {
+      programs.push(PlatformUtils.isWindows() ? invocation.program : name);
+    }
+    return programs;
+  }
+
+  _collectInstalls(invocation, installed) {
+    if (!INSTALLERS.has(invocation.program) || !invocation.args.some(arg => INSTALL_SUBCOMMANDS.has(arg))) {
+      return;
+    }
+    for (const operand of invocation.operands) {
+      installed.add(operand);
+      // `apt install ripgrep` provides rg
+      for (const [program, packages] of Object.entries(PACKAGES)) {
+        if (Object.values(packages).includes(operand)) {
+          installed.add(program);
+        }
+      }
+    }
+  }
+
+  _isAvailable(program) {
+    return PlatformUtils.findExecutable(program) !== null;
+  }
+
+  _findAlternative(program) {
+    return (ALTERNATIVES[program] || []).find(candidate => this._isAvailable(candidate)) || null;
+  }
+
+  /**
+   * The program a prerequisite such as "ffmpeg installed" or "Python 3"
+   * refers to: a word that is a program the plan runs or one we know the
+   * packages of.
+   */
+  _programIn(text, used) {
+    const words = text.toLowerCase().match(/[a-z0-9][\w.+-]*/g) || [];
+    return words.find(word => used.has(word) || word in PACKAGES || word in ALTERNATIVES) || null;
+  }
+}
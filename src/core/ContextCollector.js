@@ -0,0 +1,345 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { ConfigManager } from '../utils/ConfigManager.js';
+import { LoggingUtil } from '../utils/LoggingUtil.js';
+import { ValidationException } from '../exceptions/ValidationException.js';
+import { Validator } from './Validator.js';
+import { SandboxExecutor } from './SandboxExecutor.js';
+import { SandboxIsolation } from './SandboxIsolation.js';
+import { CommandAnalyzer } from './CommandAnalyzer.js';
+
+// Bytes looked at when deciding whether content is binary
+const BINARY_SAMPLE_BYTES = 8000;
+
+// Room left for the "[... N bytes omitted ...]" marker when cutting content
+const MARKER_BYTES = 40;
+
+// Less room than this left in the budget isn't worth a cut-down attachment
+const MIN_ATTACHMENT_BYTES = 256;
+
+// Programs a --context-cmd may run. Anything else could change files or
+// talk to the network before the request is even sent.
+const READ_ONLY_PROGRAMS = new Set([
+  'cat', 'head', 'tail', 'ls', 'tree', 'wc', 'grep', 'egrep', 'fgrep', 'rg', 'find', 'du', 'df', 'stat',
+  'file', 'diff', 'cmp', 'sort', 'cut', 'tr', 'column', 'nl', 'jq', 'pwd', 'echo', 'printf', 'date',
+  'whoami', 'id', 'uname', 'hostname', 'uptime', 'free', 'ps', 'printenv', 'which', 'basename',
+  'dirname', 'realpath', 'readlink', 'md5sum', 'sha1sum', 'sha256sum', 'git'
+]);
+
+// Wrappers that only run the read-only program after them
+const READ_ONLY_WRAPPERS = new Set(['xargs', 'time', 'nice', 'env']);
+
+// Programs that only read with some subcommands, or without some options
+const READ_ONLY_SUBCOMMANDS = {
+  git: ['status', 'log', 'diff', 'show', 'ls-files', 'blame', 'rev-parse', 'describe', 'shortlog', 'grep']
+};
+const WRITING_FLAGS = {
+  find: ['delete', 'exec', 'execdir', 'ok', 'okdir', 'fprint', 'fprint0', 'fprintf', 'fls'],
+  sort: ['o', 'output'],
+  git: ['output']
+};
+
+// Output redirections that don't create files
+const HARMLESS_REDIRECTS = new Set(['/dev/null', '/dev/stdout', '/dev/stderr']);
+
+// Secrets replaced before anything is sent to the provider. Patterns with a
+// `keep` group keep that part (the key name) and replace the rest.
+const SECRET_PATTERNS = [
+  { name: 'private key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g },
+  { name: 'AWS access key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { name: 'GitHub token', pattern: /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g },
+  { name: 'Slack token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/g },
+  { name: 'Google API key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { name: 'API key', pattern: /\bsk-[A-Za-z0-9_-]{20,}\b/g },
+  { name: 'JWT', pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}\b/g },
+  { name: 'bearer token', pattern: /(?<keep>\bBearer\s+)[A-Za-z0-9._~+/=-]{16,}/gi },
+  { name: 'URL password', pattern: /(?<keep>\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@]+:)[^\s@/]+(?=@)/gi },
+  {
+    name: 'secret assignment',
+    pattern: /(?<keep>\b[\w.-]*(?:password|passwd|pwd|secret|token|api[_-]?key|access[_-]?key|private[_-]?key|credentials?)["']?\s*[:=]\s*["']?)[^\s"',;]{4,}/gi
+  }
+];
+
+/**
+ * Gathers the files, piped input and command output a user attaches to
+ * `el ask` / `el plan` with --file, --stdin and --context-cmd. Content is
+ * checked before it leaves the machine: binary data is refused, each source
+ * is cut down to `context.maxBytes` (keeping its start and end) within a
+ * `context.maxTotalBytes` budget, and secrets are redacted.
+ */
+export class ContextCollector {
+  constructor() {
+    this.config = ConfigManager.getInstance();
+    this.logger = LoggingUtil.getInstance();
+    this.maxBytes = this.config.get('context.maxBytes', 64 * 1024);
+    this.maxTotalBytes = this.config.get('context.maxTotalBytes', 192 * 1024);
+    this.attachments = [];
+    this.warnings = [];
+  }
+
+  /**
+   * Collect everything the command line options ask for, in the order
+   * files, stdin, commands.
+   */
+  async collect(options = {}) {
+    for (const file of options.file || []) {
+      await this.addFile(file);
+    }
+    if (options.stdin) {
+      await this.addStdin();
+    }
+    for (const command of options.contextCmd || []) {
+      await this.addCommand(command);
+    }
+    return this.attachments;
+  }
+
+  async addFile(file) {
+    let stats;
+    try {
+      stats = await fs.stat(file);
+    } catch (error) {
+      throw new ValidationException(`Can't attach ${file}: ${error.code === 'ENOENT' ? 'no such file' : error.message}`);
+    }
+    // Devices, FIFOs and directories can block forever or never end
+    if (!stats.isFile()) {
+      throw new ValidationException(`Can't attach ${file}: not a regular file`);
+    }
+
+    const label = path.relative(process.cwd(), path.resolve(file)) || file;
+    const handle = await fs.open(file, 'r');
+    try {
+      if (stats.size <= this.maxBytes) {
+        return this._add('file', label, await readAt(handle, 0, stats.size));
+      }
+
+      // Only the start and the end can make it into the prompt, so skip the rest
+      const half = Math.floor(this.maxBytes / 2);
+      const head = await readAt(handle, 0, half);
+      const tail = await readAt(handle, Math.max(half, stats.size - half), half);
+      return this._add('file', label, head, { tail, bytes: stats.size });
+    } finally {
+      await handle.close();
+    }
+  }
+
+  async addStdin(stream = process.stdin) {
+    if (stream.isTTY) {
+      throw new ValidationException('--stdin needs input piped in, e.g. cat error.log | el ask --stdin "what went wrong?"');
+    }
+
+    // Stop reading once the limit is passed; the input may never end
+    const chunks = [];
+    let size = 0;
+    let cutOff = false;
+    for await (const chunk of stream) {
+      chunks.push(Buffer.from(chunk));
+      size += chunk.length;
+      if (size > this.maxBytes) {
+        cutOff = true;
+        break;
+      }
+    }
+    return this._add('stdin', 'standard input', Buffer.concat(chunks).subarray(0, this.maxBytes), { cutOff });
+  }
+
+  /**
+   * Run a read-only command and attach its output. Only known read-only
+   * programs are allowed, nothing may be written or fetched, and the command
+   * runs isolated with no writable paths and no network.
+   */
+  async addCommand(command) {
+    const step = { id: 'context-cmd', description: 'Collect context', command, riskLevel: 'none', workingDirectory: process.cwd() };
+    const refuse = reasons => {
+      throw new ValidationException(`Context commands must only read: ${command}`, command, null, reasons);
+    };
+
+    const reasons = ContextCollector.findWriteReasons(CommandAnalyzer.analyze(command));
+    if (reasons.length > 0) {
+      refuse(reasons);
+    }
+
+    const validation = await new Validator().validateStep(step);
+    if (!validation.allowed) {
+      throw new ValidationException(`Context command blocked: ${command}`, command, validation.riskLevel, validation.blockedReasons);
+    }
+    if (!['none', 'low'].includes(validation.riskLevel)) {
+      refuse([`${command} is ${validation.riskLevel} risk`, ...validation.warnings]);
+    }
+    if (validation.fileImpact?.targets.length > 0) {
+      refuse(validation.fileImpact.targets.map(target => `Would change ${target.path}`));
+    }
+    if (validation.requiresNetwork) {
+      refuse(['Needs network access']);
+    }
+
+    const executor = new SandboxExecutor();
+    executor.isolation = await SandboxIsolation.mandatory(this.config.get('sandbox.isolation', 'none'), 'Running a context command');
+    let result;
+    try {
+      result = await executor.executeStep(step, { validation, writablePaths: [], allowNetwork: false });
+    } finally {
+      await executor.cleanup();
+    }
+
+    const label = result.exitCode === 0 ? `$ ${command}` : `$ ${command} (exit ${result.exitCode})`;
+    return this._add('command', label, Buffer.from(result.output || result.stdout || result.stderr || ''));
+  }
+
+  /**
+   * Why a parsed command is not read-only: programs outside the read-only
+   * list, flags or subcommands that write, and output redirected to files.
+   */
+  static findWriteReasons(analysis) {
+    if (analysis.error) {
+      return [`Could not parse command: ${analysis.error.message}`];
+    }
+
+    const reasons = [];
+    for (const { program, wrappers, flags, operands } of analysis.commands) {
+      if (!program) {
+        reasons.push('Program name is computed at run time');
+        continue;
+      }
+      if (!READ_ONLY_PROGRAMS.has(program)) {
+        reasons.push(`${program} is not on the list of read-only programs`);
+        continue;
+      }
+      const wrapper = wrappers.find(name => !READ_ONLY_WRAPPERS.has(name));
+      if (wrapper) {
+        reasons.push(`${wrapper} is not allowed in context commands`);
+      }
+      const subcommands = READ_ONLY_SUBCOMMANDS[program];
+      if (subcommands && !subcommands.includes(operands[0])) {
+        reasons.push(`Only these ${program} subcommands are allowed: ${subcommands.join(', ')}`);
+      }
+      const writing = (WRITING_FLAGS[program] || []).filter(flag => flags.has(flag));
+      if (writing.length > 0) {
+        reasons.push(`${program} options that write files or run programs are not allowed: ${writing.join(', ')}`);
+      }
+    }
+
+    for (const redirect of analysis.redirects) {
+      if (redirect.output && !HARMLESS_REDIRECTS.has(redirect.target) && !/^(\d+|-)$/.test(redirect.target)) {
+        reasons.push(`Output is redirected to ${redirect.target}`);
+      }
+    }
+
+    return [...new Set(reasons)];
+  }
+
+  static isBinary(buffer) {
+    const sample = buffer.subarray(0, BINARY_SAMPLE_BYTES);
+    if (sample.includes(0)) {
+      return true;
+    }
+    const text = sample.toString('utf8');
+    // Invalid UTF-8 becomes U+FFFD; a few can come from a cut-off character
+    const invalid = (text.match(/\uFFFD/g) || []).length;
+    return invalid > 8 && invalid / text.length > 0.1;
+  }
+
+  /**
+   * Replace secrets with `[REDACTED <kind>]`. Returns
+   * { text, redactions: [{ name, count }] }.
+   */
+  static redact(text) {
+    const redactions = [];
+    let redacted = text;
+
+    for (const { name, pattern } of SECRET_PATTERNS) {
+      let count = 0;
+      redacted = redacted.replace(pattern, (...args) => {
+        count++;
+        const groups = args[args.length - 1];
+        return `${groups?.keep || ''}[REDACTED ${name}]`;
+      });
+      if (count > 0) {
+        redactions.push({ name, count });
+      }
+    }
+
+    return { text: redacted, redactions };
+  }
+
+  /**
+   * Cut text down to maxBytes, keeping the start and the end. When the middle
+   * of a file was never read, pass its end as `tail` and the unread byte
+   * count as `skipped`.
+   */
+  static truncate(text, maxBytes, { tail = null, skipped = 0 } = {}) {
+    const head = Buffer.from(text);
+    const end = tail === null ? head : Buffer.from(tail);
+    const bytes = tail === null ? head.length : head.length + skipped + end.length;
+    if (bytes <= maxBytes) {
+      return { text: tail === null ? text : text + tail, omitted: 0 };
+    }
+
+    // Keep the start and the end, where headers and the actual errors are
+    const half = Math.max(0, Math.floor((maxBytes - MARKER_BYTES) / 2));
+    const start = head.subarray(0, half).toString('utf8').replace(/\uFFFD$/, '');
+    const finish = end.subarray(Math.max(0, end.length - half)).toString('utf8').replace(/^\uFFFD/, '');
+    const omitted = bytes - Buffer.byteLength(start) - Buffer.byteLength(finish);
+    return { text: `${start}\n[... ${omitted} bytes omitted ...]\n${finish}`, omitted };
+  }
+
+  toPrompt() {
+    if (this.attachments.length === 0) {
+      return '';
+    }
+
+    const blocks = this.attachments.map(attachment => {
+      const notes = [
+        attachment.omitted > 0 ? `truncated, ${attachment.omitted} bytes omitted` : null,
+        attachment.cutOff ? 'cut off, the rest was not read' : null,
+        attachment.redactions.length > 0 ? 'secrets redacted' : null
+      ].filter(Boolean);
+      const heading = `--- ${attachment.source}: ${attachment.label}${notes.length > 0 ? ` (${notes.join(', ')})` : ''} ---`;
+      return `${heading}\n${attachment.content.trimEnd()}\n--- end of ${attachment.label} ---`;
+    });
+
+    return `Attached context:\n${blocks.join('\n\n')}`;
+  }
+
+  _add(source, rawLabel, buffer, { tail = null, bytes = buffer.length + (tail?.length || 0), cutOff = false } = {}) {
+    // Command lines can carry secrets too
+    const label = ContextCollector.redact(rawLabel).text;
+    if (ContextCollector.isBinary(buffer)) {
+      throw new ValidationException(`${label} looks like binary data and was not attached`);
+    }
+
+    const used = this.attachments.reduce((sum, attachment) => sum + Buffer.byteLength(attachment.content), 0);
+    const budget = Math.min(this.maxBytes, this.maxTotalBytes - used);
+    if (budget < Math.min(bytes, MIN_ATTACHMENT_BYTES, this.maxBytes)) {
+      this.warnings.push(`Skipped ${label}: the ${Math.round(this.maxTotalBytes / 1024)} KB context limit is used up`);
+      return null;
+    }
+
+    const { text: redacted, redactions } = ContextCollector.redact(buffer.toString('utf8'));
+    let redactedTail = null;
+    if (tail !== null) {
+      const result = ContextCollector.redact(tail.toString('utf8'));
+      redactedTail = result.text;
+      redactions.push(...result.redactions);
+    }
+    const skipped = tail === null ? 0 : bytes - buffer.length - tail.length;
+    const { text: content, omitted } = ContextCollector.truncate(redacted, budget, { tail: redactedTail, skipped });
+    if (omitted > 0) {
+      this.warnings.push(`${label} was cut to ${Math.round(budget / 1024)} KB (${omitted} bytes left out)`);
+    }
+    if (cutOff) {
+      this.warnings.push(`${label} was cut off after ${Math.round(this.maxBytes / 1024)} KB; the rest was not read`);
+    }
+
+    const attachment = { source, label, content, bytes, omitted, cutOff, redactions };
+    this.attachments.push(attachment);
+    this.logger.info('Context attached', { source, label, bytes, omitted, cutOff, redactions: redactions.length });
+    return attachment;
+  }
+}
+
+async function readAt(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
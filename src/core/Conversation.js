@@ -0,0 +1,88 @@
+import { ConfigManager } from '../utils/ConfigManager.js';
+
+// Output kept per step so follow-ups can refer to what a command printed
+const OUTPUT_LINES = 20;
+const OUTPUT_CHARS = 2000;
+
+/**
+ * What happened earlier in an `el shell` session: each request, the plan
+ * made for it and what its steps printed. `toPrompt()` turns the recent
+ * turns into context for the planner, so a follow-up like "now delete the
+ * ones older than a week" knows which files "the ones" are.
+ */
+export class Conversation {
+  constructor(options = {}) {
+    const config = ConfigManager.getInstance();
+    this.maxTurns = options.maxTurns ?? config.get('shell.contextTurns', 10);
+    this.turns = [];
+  }
+
+  /**
+   * Record a request. `execution` is the execution log when the plan ran,
+   * and null when it was only planned or cancelled.
+   */
+  addTurn(query, plan, execution = null) {
+    const results = new Map((execution?.executionResults || []).map(result => [result.stepId, result]));
+
+    const turn = {
+      query,
+      cwd: process.cwd(),
+      intent: plan?.intent || null,
+      taskId: execution?.taskId || null,
+      status: execution ? execution.status : (plan ? 'not run' : 'no plan'),
+      steps: (plan?.steps || []).map(step => {
+        const result = results.get(step.id);
+        return {
+          command: result?.command || step.command,
+          exitCode: result ? result.exitCode : null,
+          output: result ? tail(result.output || result.stdout || result.stderr || '') : null
+        };
+      })
+    };
+
+    this.turns.push(turn);
+    return turn;
+  }
+
+  clear() {
+    this.turns = [];
+  }
+
+  /**
+   * The latest turn that ran, so it has a task to roll back.
+   */
+  getLastTask() {
+    return [...this.turns].reverse().find(turn => turn.taskId) || null;
+  }
+
+  toPrompt() {
+    const recent = this.turns.slice(-this.maxTurns);
+    if (recent.length === 0) {
+      return '';
+    }
+
+    const turns = recent.map((turn, index) => {
+      const lines = [`${index + 1}. User: "${turn.query}" (in ${turn.cwd})`];
+      if (turn.intent) {
+        lines.push(`   Plan: ${turn.intent} - ${turn.status}`);
+      } else {
+        lines.push(`   ${turn.status}`);
+      }
+      turn.steps.forEach(step => {
+        lines.push(`   $ ${step.command}${step.exitCode !== null ? ` (exit ${step.exitCode})` : ''}`);
+        if (step.output) {
+          lines.push(...step.output.split('\n').map(line => `     ${line}`));
+        }
+      });
+      return lines.join('\n');
+    });
+
+    return `Earlier in this session (oldest first):\n${turns.join('\n')}`;
+  }
+}
+
+function tail(text) {
+  const lines = text.trimEnd().split('\n');
+  const kept = lines.slice(-OUTPUT_LINES).join('\n').slice(-OUTPUT_CHARS);
+  return kept.length < text.trimEnd().length ? `[...]\n${kept}` : kept;
+}
@@ -0,0 +1,185 @@
+import { promises as fs } from 'fs';
+import { execFile } from 'child_process';
+import os from 'os';
+import { PlatformUtils } from '../utils/PlatformUtils.js';
+import { LoggingUtil } from '../utils/LoggingUtil.js';
+
+const PACKAGE_MANAGERS = [
+  'apt', 'dnf', 'yum', 'pacman', 'zypper', 'apk', 'nix', 'snap', 'flatpak',
+  'brew', 'port', 'winget', 'choco', 'scoop',
+  'npm', 'pnpm', 'yarn', 'pip3', 'pip', 'pipx', 'cargo', 'gem', 'go'
+];
+
+// Tools the planner tends to reach for; only the installed ones are listed
+const BINARIES = [
+  'git', 'python3', 'python', 'node', 'docker', 'podman', 'kubectl',
+  'curl', 'wget', 'ssh', 'rsync', 'tar', 'zip', 'unzip', '7z', 'gzip',
+  'jq', 'yq', 'rg', 'fd', 'fzf', 'find', 'sed', 'awk', 'xargs',
+  'ffmpeg', 'magick', 'convert', 'exiftool', 'pandoc',
+  'code', 'vim', 'nano', 'xdg-open', 'open', 'osascript', 'gsettings', 'nmcli',
+  'pbcopy', 'xclip', 'wl-copy', 'systemctl', 'launchctl', 'powershell', 'pwsh'
+];
+
+// Files that tell what kind of project the current directory is
+const PROJECT_FILES = [
+  'package.json', 'pyproject.toml', 'requirements.txt', 'Cargo.toml', 'go.mod',
+  'pom.xml', 'build.gradle', 'Gemfile', 'composer.json', 'Makefile', 'CMakeLists.txt',
+  'Dockerfile', 'docker-compose.yml', 'compose.yaml', '.git'
+];
+
+// Directory entries listed by name; the rest are only counted
+const LISTED_ENTRIES = 40;
+
+// Longest wait for a probe command such as `git status`
+const COMMAND_TIMEOUT = 3000;
+
+/**
+ * Snapshot of the machine the plan will run on: OS and distribution,
+ * shell, package managers and tools on PATH, plus the current directory
+ * and its git status. The system part is probed once per process; the
+ * directory part on every call, since steps change it.
+ */
+export class EnvironmentProbe {
+  static instance = null;
+
+  constructor() {
+    this.logger = LoggingUtil.getInstance();
+    this.system = null;
+  }
+
+  static getInstance() {
+    if (!EnvironmentProbe.instance) {
+      EnvironmentProbe.instance = new EnvironmentProbe();
+    }
+    return EnvironmentProbe.instance;
+  }
+
+  async probe(cwd = process.cwd()) {
+    if (!this.system) {
+      this.system = await this._probeSystem();
+    }
+
+    const [directory, git] = await Promise.all([
+      this._probeDirectory(cwd),
+      this.system.binaries.includes('git') ? this._probeGit(cwd) : null
+    ]);
+
+    return { ...this.system, directory, git };
+  }
+
+  static toPrompt(environment) {
+    const lines = [
+      `- OS: ${environment.os.name} (${environment.os.platform} ${environment.os.release}, ${environment.os.arch})`,
+      `- Shell: ${environment.shell}`,
+      `- Package managers: ${environment.packageManagers.join(', ') || 'none found'}`,
+      `- Installed tools: ${environment.binaries.join(', ') || 'none of the common ones'}`
+    ];
+
+    const { directory, git } = environment;
+    if (directory) {
+      lines.push(`- Current directory: ${directory.path} (${directory.files} files, ${directory.dirs} directories)`);
+      if (directory.projectFiles.length > 0) {
+        lines.push(`- Project files: ${directory.projectFiles.join(', ')}`);
+      }
+      if (directory.entries.length > 0) {
+        const more = directory.files + directory.dirs - directory.entries.length;
+        lines.push(`- Contents: ${directory.entries.join(', ')}${more > 0 ? ` and ${more} more` : ''}`);
+      }
+    }
+    if (git) {
+      lines.push(`- Git: on ${git.branch}${git.tracking ? ` (${git.tracking})` : ''}, ${git.changed} changed and ${git.untracked} untracked files`);
+    }
+
+    return lines.join('\n');
+  }
+
+  async _probeSystem() {
+    const findAll = names => names.filter(name => PlatformUtils.findExecutable(name));
+
+    const system = {
+      os: {
+        platform: process.platform,
+        release: os.release(),
+        arch: process.arch,
+        name: await this._osName()
+      },
+      shell: PlatformUtils.getShell(),
+      packageManagers: findAll(PACKAGE_MANAGERS),
+      binaries: findAll(BINARIES)
+    };
+
+    this.logger.debug('Environment probed', system);
+    return system;
+  }
+
+  async _osName() {
+    if (PlatformUtils.isLinux()) {
+      try {
+        const release = await fs.readFile('/etc/os-release', 'utf8');
+        const match = release.match(/^PRETTY_NAME="?([^"\n]+)"?/m);
+        if (match) {
+          return match[1];
+        }
+      } catch {
+        // Not every distribution has it
+      }
+      return 'Linux';
+    }
+    if (PlatformUtils.isMacOS()) {
+      const version = await run('sw_vers', ['-productVersion']);
+      return version ? `macOS ${version.trim()}` : 'macOS';
+    }
+    if (PlatformUtils.isWindows()) {
+      return os.version();
+    }
+    return os.type();
+  }
+
+  async _probeDirectory(cwd) {
+    let entries;
+    try {
+      entries = await fs.readdir(cwd, { withFileTypes: true });
+    } catch {
+      return null;
+    }
+
+    const visible = entries.filter(entry => !entry.name.startsWith('.'));
+    return {
+      path: cwd,
+      files: visible.filter(entry => !entry.isDirectory()).length,
+      dirs: visible.filter(entry => entry.isDirectory()).length,
+      projectFiles: PROJECT_FILES.filter(name => entries.some(entry => entry.name === name)),
+      entries: visible
+        .map(entry => (entry.isDirectory() ? `${entry.name}/` : entry.name))
+        .sort()
+        .slice(0, LISTED_ENTRIES)
+    };
+  }
+
+  async _probeGit(cwd) {
+    const output = await run('git', ['status', '--porcelain=v1', '--branch'], cwd);
+    if (output === null) {
+      return null;
+    }
+
+    const [header, ...files] = output.split('\n').filter(Boolean);
+    const branch = header.replace(/^## /, '').match(/^(?:No commits yet on )?(\S+?)(?:\.\.\.(\S+))?(?: \[(.+)\])?$/);
+    return {
+      branch: branch?.[1] || 'unknown',
+      tracking: branch?.[3] || null,
+      changed: files.filter(line => !line.startsWith('??')).length,
+      untracked: files.filter(line => line.startsWith('??')).length
+    };
+  }
+}
+
+/**
+ * stdout of a quick read-only command, or null when it fails.
+ */
+function run(cmd, args, cwd) {
+  return new Promise(resolve => {
+    execFile(cmd, args, { cwd, timeout: COMMAND_TIMEOUT, windowsHide: true }, (error, stdout) => {
+      resolve(error ? null : stdout);
+    });
+  });
+}
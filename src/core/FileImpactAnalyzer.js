@@ -0,0 +1,305 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { LoggingUtil } from '../utils/LoggingUtil.js';
+
+// Which operands each file command changes, and how
+const FILE_COMMANDS = {
+  rm: { kind: 'delete', operands: 'all' },
+  rmdir: { kind: 'delete', operands: 'all' },
+  unlink: { kind: 'delete', operands: 'all' },
+  shred: { kind: 'delete', operands: 'all' },
+  mv: { kind: 'move', operands: 'allButLast', destination: true },
+  cp: { kind: null, operands: 'allButLast', destination: true },
+  chmod: { kind: 'permissions', operands: 'afterFirst' },
+  chown: { kind: 'permissions', operands: 'afterFirst' },
+  chgrp: { kind: 'permissions', operands: 'afterFirst' },
+  tee: { kind: 'write', operands: 'all' },
+  truncate: { kind: 'write', operands: 'all' }
+};
+
+// Redirection targets that are not files
+const PSEUDO_TARGETS = new Set(['/dev/null', '/dev/stdout', '/dev/stderr', '/dev/tty', '-']);
+
+/**
+ * Works out which files a command would touch. File commands and output
+ * redirections are resolved against the step's working directory (following
+ * `cd`), globs are expanded, and each target is measured in files and bytes
+ * and checked against the project and home directories.
+ */
+export class FileImpactAnalyzer {
+  constructor(options = {}) {
+    this.logger = LoggingUtil.getInstance();
+    this.maxScanEntries = options.maxScanEntries || 10000;
+    this.homeDir = options.homeDir || os.homedir();
+  }
+
+  /**
+   * @param {object} analysis - Result of CommandAnalyzer.analyze()
+   * @param {string} workingDirectory - Directory the command runs in; also
+   *   treated as the project root
+   */
+  async analyze(analysis, workingDirectory) {
+    const projectDir = path.resolve(workingDirectory);
+    const impact = {
+      workingDirectory: projectDir,
+      targets: [],
+      totalFiles: 0,
+      totalBytes: 0,
+      outsideProject: [],
+      outsideHome: [],
+      unresolved: []
+    };
+
+    let cwd = projectDir;
+    const seenRedirects = new Set();
+
+    for (const invocation of analysis.commands) {
+      if (invocation.program === 'cd') {
+        cwd = this._resolve(invocation.operands[0] || '~', cwd) || cwd;
+        continue;
+      }
+
+      const spec = FILE_COMMANDS[invocation.program];
+      if (spec) {
+        const operands = this._targetOperands(spec, invocation);
+        if (spec.kind) {
+          for (const operand of operands) {
+            await this._addTarget(impact, operand, cwd, {
+              kind: spec.kind,
+              program: invocation.program,
+              recursive: invocation.flags.has('recursive') || invocation.program === 'mv'
+            });
+          }
+        }
+        if (spec.destination && invocation.operands.length > 1) {
+          await this._addDestination(impact, operands, invocation.operands[invocation.operands.length - 1], cwd, invocation.program);
+        }
+      }
+
+      for (const redirect of invocation.redirects) {
+        if (!redirect.output || seenRedirects.has(redirect) || /^\d+$/.test(redirect.target) ||
+            PSEUDO_TARGETS.has(redirect.target)) {
+          continue;
+        }
+        seenRedirects.add(redirect);
+        await this._addTarget(impact, redirect.target, cwd, {
+          kind: redirect.op === '>>' ? 'append' : 'write',
+          program: invocation.program,
+          recursive: false
+        });
+      }
+    }
+
+    for (const target of impact.targets) {
+      impact.totalFiles += target.files;
+      impact.totalBytes += target.bytes;
+      if (target.outsideProject) {
+        impact.outsideProject.push(target.path);
+      }
+      if (target.outsideHome) {
+        impact.outsideHome.push(target.path);
+      }
+    }
+
+    return impact;
+  }
+
+  _targetOperands(spec, invocation) {
+    const operands = invocation.operands;
+    if (spec.operands === 'allButLast') {
+      return operands.slice(0, -1);
+    }
+    if (spec.operands === 'afterFirst') {
+      return invocation.flags.has('reference') ? operands : operands.slice(1);
+    }
+    return operands;
+  }
+
+  async _addTarget(impact, operand, cwd, details) {
+    const resolved = this._resolve(operand, cwd);
+    if (!resolved) {
+      impact.unresolved.push(operand);
+      return;
+    }
+
+    const paths = /[*?[]/.test(resolved) ? await this._expandGlob(resolved) : [resolved];
+    for (const filePath of paths) {
+      const size = await this._measure(filePath, details.recursive);
+      impact.targets.push({
+        path: filePath,
+        operand,
+        kind: details.kind,
+        program: details.program,
+        recursive: details.recursive,
+        exists: size.exists,
+        files: size.files,
+        bytes: size.bytes,
+        truncated: size.truncated,
+        outsideProject: !this._isInside(filePath, impact.workingDirectory),
+        outsideHome: !this._isInside(filePath, this.homeDir)
+      });
+    }
+  }
+
+  /**
+   * The destination of cp/mv. Copying into an existing directory writes
+   * `dir/<source name>`, so those paths are the ones that get overwritten.
+   */
+  async _addDestination(impact, sources, destination, cwd, program) {
+    const resolved = this._resolve(destination, cwd);
+    const details = { kind: 'write', program, recursive: true };
+
+    let isDirectory = false;
+    if (resolved) {
+      isDirectory = await fs.stat(resolved).then(stats => stats.isDirectory(), () => false);
+    }
+
+    if (!isDirectory) {
+      await this._addTarget(impact, destination, cwd, details);
+      return;
+    }
+
+    for (const source of sources) {
+      const sourcePath = this._resolve(source, cwd);
+      await this._addTarget(impact, sourcePath ? path.join(resolved, path.basename(sourcePath)) : source, cwd, details);
+    }
+  }
+
+  /**
+   * Absolute path for an operand, or null when it depends on a variable or
+   * substitution whose value is only known at run time.
+   */
+  _resolve(operand, cwd) {
+    if (!operand || operand.includes('$') || operand.includes('`')) {
+      return null;
+    }
+    if (operand === '~' || operand.startsWith('~/')) {
+      return path.join(this.homeDir, operand.slice(1));
+    }
+    return path.resolve(cwd, operand);
+  }
+
+  _isInside(filePath, dir) {
+    const relative = path.relative(dir, filePath);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+  }
+
+  /**
+   * Expand `*`, `?` and `[...]` one path segment at a time. Patterns that
+   * match nothing are returned as-is, like the shell does.
+   */
+  async _expandGlob(pattern) {
+    const { root } = path.parse(pattern);
+    const segments = pattern.slice(root.length).split(path.sep).filter(Boolean);
+    let matches = [root];
+
+    for (const segment of segments) {
+      if (!/[*?[]/.test(segment)) {
+        matches = matches.map(match => path.join(match, segment));
+        continue;
+      }
+
+      const regex = this._segmentRegex(segment);
+      const next = [];
+      for (const dir of matches) {
+        let entries;
+        try {
+          entries = await fs.readdir(dir);
+        } catch {
+          continue;
+        }
+        entries
+          .filter(entry => regex.test(entry) && (segment.startsWith('.') || !entry.startsWith('.')))
+          .sort()
+          .forEach(entry => next.push(path.join(dir, entry)));
+      }
+      matches = next;
+    }
+
+    return matches.length > 0 ? matches : [pattern];
+  }
+
+  _segmentRegex(segment) {
+    const source = segment
+      .replace(/[.+^${}()|\\]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/\?/g, '.')
+      .replace(/\[!/g, '[^');
+    return new RegExp(`^${source}$`);
+  }
+
+  /**
+   * Count the files and bytes under a path. Directories are only walked for
+   * recursive operations, and the walk stops after maxScanEntries entries.
+   */
+  async _measure(filePath, recursive) {
+    const size = { exists: false, files: 0, bytes: 0, truncated: false };
+    let stats;
+
+    try {
+      stats = await fs.lstat(filePath);
+    } catch {
+      return size;
+    }
+
+    size.exists = true;
+    if (!stats.isDirectory() || !recursive) {
+      size.files = 1;
+      size.bytes = stats.isDirectory() ? 0 : stats.size;
+      return size;
+    }
+
+    const pending = [filePath];
+    let scanned = 0;
+    while (pending.length > 0) {
+      const dir = pending.pop();
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        this.logger.debug('Could not read directory during impact analysis', { dir, error: error.message });
+        continue;
+      }
+
+      for (const entry of entries) {
+        if (++scanned > this.maxScanEntries) {
+          size.truncated = true;
+          return size;
+        }
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          pending.push(entryPath);
+        } else {
+          size.files++;
+          try {
+            size.bytes += (await fs.lstat(entryPath)).size;
+          } catch {
+            // Removed while scanning
+          }
+        }
+      }
+    }
+
+    return size;
+  }
+
+  /**
+   * One-line summary such as "12 files (3.4 MB)".
+   */
+  static summarize(impact) {
+    const files = `${impact.totalFiles}${impact.targets.some(target => target.truncated) ? '+' : ''}`;
+    return `${files} file${impact.totalFiles === 1 ? '' : 's'} (${FileImpactAnalyzer.formatBytes(impact.totalBytes)})`;
+  }
+
+  static formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+      value /= 1024;
+      unit++;
+    }
+    return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+  }
+}
@@ -0,0 +1,77 @@
+import path from 'path';
+import { CommandAnalyzer } from './CommandAnalyzer.js';
+import { CommandVerifier } from './CommandVerifier.js';
+
+// File changes that lose or replace what was there
+const DESTRUCTIVE_KINDS = {
+  delete: 'deletes',
+  move: 'moves',
+  write: 'overwrites',
+  permissions: 'changes permissions of'
+};
+
+/**
+ * Sums up alternative plans side by side so the user can pick one: risk,
+ * whether the validator allows it, step count, the programs it needs and
+ * which of them are missing, and what it deletes, moves or overwrites.
+ */
+export class PlanComparison {
+  /**
+   * @param {Plan[]} plans
+   * @param {object[]} validations - Validator#validatePlan result per plan
+   * @returns {object[]} One summary per plan, in the same order
+   */
+  static compare(plans, validations) {
+    return plans.map((plan, index) => {
+      const validation = validations[index];
+      const stepResults = validation?.stepResults || [];
+
+      return {
+        plan,
+        intent: plan.intent,
+        riskLevel: validation?.riskLevel || plan.riskLevel,
+        allowed: validation ? validation.allowed : true,
+        stepCount: plan.steps.length,
+        highRiskSteps: stepResults.filter(result => result.riskLevel === 'high').length,
+        tools: PlanComparison.tools(plan),
+        missingTools: (plan.verification?.missing || []).map(entry => entry.program),
+        destructive: stepResults.flatMap(result => PlanComparison.destructiveActions(result.fileImpact))
+      };
+    });
+  }
+
+  /**
+   * Programs the plan runs, in order of first use, without shell builtins.
+   */
+  static tools(plan) {
+    const tools = [];
+    for (const step of plan.steps) {
+      for (const invocation of CommandAnalyzer.analyze(step.command).commands) {
+        for (const program of [...invocation.wrappers, invocation.program]) {
+          if (program && !CommandVerifier.isBuiltin(program) && !tools.includes(program)) {
+            tools.push(program);
+          }
+        }
+      }
+    }
+    return tools;
+  }
+
+  /**
+   * "deletes old/ (12 files)" for every existing file a step would delete,
+   * move, overwrite or change the permissions of.
+   */
+  static destructiveActions(fileImpact) {
+    if (!fileImpact) {
+      return [];
+    }
+    return fileImpact.targets
+      .filter(target => target.exists && target.kind in DESTRUCTIVE_KINDS)
+      .map(target => {
+        const relative = path.relative(fileImpact.workingDirectory, target.path) || '.';
+        const shown = relative.startsWith('..') ? target.path : relative;
+        const files = target.files > 1 ? ` (${target.files}${target.truncated ? '+' : ''} files)` : '';
+        return `${DESTRUCTIVE_KINDS[target.kind]} ${shown}${files}`;
+      });
+  }
+}
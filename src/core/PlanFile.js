@@ -0,0 +1,125 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import yaml from 'yaml';
+import { Plan } from '../models/Plan.js';
+import { ValidationException } from '../exceptions/ValidationException.js';
+import { StepVariables } from './StepVariables.js';
+import { PlanSchema } from './PlanSchema.js';
+
+const FORMAT_VERSION = 1;
+
+// Step fields written to plan files; everything else is rebuilt on load
+const STEP_FIELDS = ['id', 'description', 'command', 'requiresConfirmation', 'riskLevel', 'workingDirectory', 'timeout', 'dependsOn', 'outputs'];
+
+/**
+ * Reads and writes plans as YAML (.yaml/.yml) or JSON files, so a vetted
+ * plan can be checked in and run again without the planner. Working
+ * directories are stored relative to the plan file.
+ */
+export class PlanFile {
+  static isYaml(file) {
+    return ['.yaml', '.yml'].includes(path.extname(file).toLowerCase());
+  }
+
+  static async save(plan, file, meta = {}) {
+    const baseDir = path.dirname(path.resolve(file));
+    const data = {
+      version: FORMAT_VERSION,
+      ...(meta.query ? { query: meta.query } : {}),
+      intent: plan.intent,
+      riskLevel: plan.riskLevel,
+      rollback: plan.rollback,
+      estimatedDuration: plan.estimatedDuration,
+      prerequisites: plan.prerequisites,
+      steps: plan.steps.map(step => PlanFile._serializeStep(step, baseDir))
+    };
+
+    const content = PlanFile.isYaml(file) ? yaml.stringify(data) : `${JSON.stringify(data, null, 2)}\n`;
+    await fs.writeFile(file, content);
+  }
+
+  /**
+   * Load a plan file. Throws a ValidationException listing every problem
+   * when the file isn't a usable plan.
+   */
+  static async load(file) {
+    const content = await fs.readFile(file, 'utf8');
+
+    let data;
+    try {
+      data = PlanFile.isYaml(file) ? yaml.parse(content) : JSON.parse(content);
+    } catch (error) {
+      throw new ValidationException(`${file} is not valid ${PlanFile.isYaml(file) ? 'YAML' : 'JSON'}: ${error.message}`);
+    }
+
+    const plan = PlanFile.fromData(data, { baseDir: path.dirname(path.resolve(file)), source: file });
+    return { plan, query: data.query || null };
+  }
+
+  /**
+   * Build a Plan from parsed file data, resolving working directories
+   * against `baseDir`. `source` names the data in error messages.
+   */
+  static fromData(data, { baseDir, source }) {
+    const { value, errors } = PlanFile.validate(data);
+    if (errors.length > 0) {
+      throw new ValidationException(`${source} is not a valid plan`, null, null, errors);
+    }
+
+    const plan = new Plan({
+      ...value,
+      steps: value.steps.map(step => ({
+        ...step,
+        workingDirectory: path.resolve(baseDir, step.workingDirectory || '.')
+      }))
+    });
+
+    const graphErrors = [...plan.validateDependencies(), ...StepVariables.findReferenceErrors(plan)];
+    if (graphErrors.length > 0) {
+      throw new ValidationException(`${source} is not a valid plan`, null, null, graphErrors);
+    }
+
+    return plan;
+  }
+
+  /**
+   * Check file data with PlanSchema, the same rules planner responses
+   * follow, plus the file format version. Returns { value, errors }.
+   */
+  static validate(data) {
+    const errors = [];
+    if (data?.version !== undefined && data.version > FORMAT_VERSION) {
+      errors.push(`Plan file version ${data.version} is newer than this CLI supports (${FORMAT_VERSION})`);
+    }
+
+    const { value, errors: schemaErrors } = PlanSchema.validate(data);
+    return { value, errors: [...errors, ...schemaErrors] };
+  }
+
+  static findErrors(data) {
+    return PlanFile.validate(data).errors;
+  }
+
+  static _serializeStep(step, baseDir) {
+    const data = {};
+    for (const field of STEP_FIELDS) {
+      const value = step[field];
+      if (value === null || value === undefined || (field === 'outputs' && Object.keys(value).length === 0)) {
+        continue;
+      }
+      data[field] = value;
+    }
+
+    // Directories in the project or next to the file stay relative, so the
+    // plan works from another checkout; anything else stays absolute
+    const inside = dir => {
+      const relative = path.relative(dir, step.workingDirectory);
+      return !relative.startsWith('..') && !path.isAbsolute(relative);
+    };
+    data.workingDirectory = inside(baseDir) || inside(process.cwd())
+      ? path.relative(baseDir, step.workingDirectory) || '.'
+      : step.workingDirectory;
+
+    return data;
+  }
+}
@@ -0,0 +1,66 @@
+import Joi from 'joi';
+
+const RISK_LEVELS = ['none', 'low', 'medium', 'high'];
+const VARIABLE_NAME = /^[A-Za-z_][\w-]*$/;
+
+const outputSpec = Joi.alternatives().try(
+  Joi.string().valid('stdout', 'stderr'),
+  Joi.object({
+    from: Joi.string().valid('stdout', 'stderr'),
+    line: Joi.number().integer().invalid(0),
+    regex: Joi.string(),
+    group: Joi.alternatives().try(Joi.number().integer().min(0), Joi.string()),
+    flags: Joi.string().pattern(/^[dgimsuy]*$/),
+    json: Joi.string()
+  })
+);
+
+const stepSchema = Joi.object({
+  id: Joi.string().trim().min(1).required(),
+  description: Joi.string().trim().min(1).required(),
+  command: Joi.string().trim().min(1).required(),
+  requiresConfirmation: Joi.boolean().default(false),
+  riskLevel: Joi.string().lowercase().valid(...RISK_LEVELS).default('none'),
+  workingDirectory: Joi.string().allow(null),
+  timeout: Joi.number().integer().positive().allow(null),
+  dependsOn: Joi.array().items(Joi.string()).allow(null),
+  // Badly named outputs are errors rather than silently dropped
+  outputs: Joi.object().pattern(VARIABLE_NAME, outputSpec).prefs({ stripUnknown: false }).default({})
+});
+
+const planSchema = Joi.object({
+  intent: Joi.string().trim().min(1).required(),
+  steps: Joi.array().items(stepSchema).min(1).required(),
+  riskLevel: Joi.string().lowercase().valid(...RISK_LEVELS).default('low'),
+  rollback: Joi.string().allow('').default('No automatic rollback available'),
+  estimatedDuration: Joi.string().allow('').default('Unknown'),
+  prerequisites: Joi.array().items(Joi.string()).default([])
+}).label('plan');
+
+/**
+ * The shape of a plan as the planner returns it. Validation fills in
+ * defaults, lowercases risk levels and drops fields the CLI doesn't know.
+ */
+export class PlanSchema {
+  static getRiskLevels() {
+    return [...RISK_LEVELS];
+  }
+
+  /**
+   * Returns { value, errors }, where errors lists every problem as a
+   * readable message and is empty when the data is a valid plan.
+   */
+  static validate(data) {
+    const { value, error } = planSchema.validate(data, {
+      abortEarly: false,
+      stripUnknown: true,
+      convert: true,
+      errors: { wrap: { label: false } }
+    });
+
+    return {
+      value,
+      errors: error ? error.details.map(detail => detail.message) : []
+    };
+  }
+}
@@ -1,21 +1,39 @@
-import { GeminiClient } from '../api/GeminiClient.js';
+import { ProviderFactory } from '../api/ProviderFactory.js';
 import { ConfigManager } from '../utils/ConfigManager.js';
 import { LoggingUtil } from '../utils/LoggingUtil.js';
 import { PlatformUtils } from '../utils/PlatformUtils.js';
-import { Plan } from '../models/Plan.js';
+import { Plan, Step } from '../models/Plan.js';
+import { StepVariables } from './StepVariables.js';
+import { EnvironmentProbe } from './EnvironmentProbe.js';
+import { PlanSchema } from './PlanSchema.js';
+import { CommandVerifier } from './CommandVerifier.js';
 import { ApiException } from '../exceptions/ApiException.js';
+import { ValidationException } from '../exceptions/ValidationException.js';
 
 export class Planner {
   constructor() {
-    this.geminiClient = new GeminiClient();
+    this.provider = null;
     this.config = ConfigManager.getInstance();
     this.logger = LoggingUtil.getInstance();
   }
 
-  async createPlan(userQuery) {
+  async _getProvider() {
+    if (!this.provider) {
+      this.provider = await ProviderFactory.create();
+    }
+    return this.provider;
+  }
+
+  /**
+   * `options.context` describes earlier turns of a session (see
+   * Conversation#toPrompt), so follow-up requests can refer back to them.
+   * `options.attachments` is file or command output the user attached
+   * (see ContextCollector#toPrompt).
+   */
+  async createPlan(userQuery, options = {}) {
     try {
-      const systemPrompt = this._buildSystemPrompt();
-      const userPrompt = `User request: "${userQuery}"
+      const systemPrompt = this._buildSystemPrompt(await this._getEnvironment());
+      const userPrompt = `${this._buildRequestPrompt(userQuery, options)}
 
 Please analyze this request and create a structured execution plan. Consider:
 1. What the user wants to accomplish
@@ -25,20 +43,7 @@ Please analyze this request and create a structured execution plan. Consider:
 
 Respond with valid JSON only.`;
 
-      const response = await this.geminiClient.generateStructuredResponse(
-        systemPrompt,
-        userPrompt
-      );
-
-      const planData = this._parseAndValidatePlan(response);
-
-      // Normalize commands for current platform
-      planData.steps = planData.steps.map(step => ({
-        ...step,
-        command: PlatformUtils.normalizeCommand(step.command)
-      }));
-
-      const plan = new Plan(planData);
+      const plan = await this._buildPlan(await this._requestPlan(systemPrompt, userPrompt));
 
       this.logger.info('Plan created successfully', {
         userQuery,
@@ -53,7 +58,141 @@ Respond with valid JSON only.`;
     }
   }
 
-  _buildSystemPrompt() {
+  /**
+   * Up to `count` plans that take different approaches to the request, for
+   * the user to compare and pick from. Takes the same options as
+   * createPlan. Plans with the same commands are only returned once.
+   */
+  async createAlternatives(userQuery, count, options = {}) {
+    try {
+      const systemPrompt = this._buildSystemPrompt(await this._getEnvironment());
+      const userPrompt = `${this._buildRequestPrompt(userQuery, options)}
+
+Please create up to ${count} alternative execution plans for this request, each taking a genuinely different approach: different tools, a different strategy, or a safer but slower route. Don't pad the list with plans that only differ in wording; fewer plans are fine if there aren't that many sensible approaches.
+
+Each plan uses the JSON format above, and its intent names the approach (e.g. "Resize the photos with ImageMagick"). Respond with valid JSON only:
+{
+  "alternatives": [ { plan }, { plan } ]
+}`;
+
+      const planDataList = await this._requestPlan(
+        systemPrompt,
+        userPrompt,
+        response => this._parseAndValidateAlternatives(response, count)
+      );
+
+      const plans = [];
+      const seen = new Set();
+      for (const planData of planDataList) {
+        const plan = await this._buildPlan(planData);
+        const key = plan.steps.map(step => step.command).join('\n');
+        if (!seen.has(key)) {
+          seen.add(key);
+          plans.push(plan);
+        }
+      }
+
+      this.logger.info('Alternative plans created', { userQuery, requested: count, created: plans.length });
+      return plans;
+    } catch (error) {
+      this.logger.error('Failed to create alternative plans', { userQuery, error: error.message });
+      throw new ApiException(`Failed to create alternative plans: ${error.message}`);
+    }
+  }
+
+  /**
+   * One command line for the request, for the user to run themselves
+   * (`el suggest`). Resolves to a plan with a single step; a response with
+   * more steps is sent back like any other format problem.
+   */
+  async suggestCommand(userQuery, options = {}) {
+    try {
+      const systemPrompt = this._buildSystemPrompt(await this._getEnvironment());
+      const userPrompt = `${this._buildRequestPrompt(userQuery, options)}
+
+The user wants a single command line to run themselves, not a plan to execute. Respond with a plan that has exactly one step whose command does the whole job, combining commands with pipes, && or ; where needed. Prefer the simplest command that works, only use sudo when there is no other way, and don't use {{variables}}.
+
+Respond with valid JSON only.`;
+
+      const plan = await this._buildPlan(await this._requestPlan(
+        systemPrompt,
+        userPrompt,
+        response => this._parseAndValidateSuggestion(response)
+      ));
+
+      this.logger.info('Command suggested', { userQuery, command: plan.steps[0].command });
+      return plan;
+    } catch (error) {
+      this.logger.error('Failed to suggest a command', { userQuery, error: error.message });
+      throw new ApiException(`Failed to suggest a command: ${error.message}`);
+    }
+  }
+
+  /**
+   * The request with whatever session context and attachments come with it.
+   */
+  _buildRequestPrompt(userQuery, options) {
+    const context = options.context
+      ? `${options.context}
+
+The request below may refer to earlier results ("them", "those files", "the ones"). Work out what it means from the session above.
+
+`
+      : '';
+    const attachments = options.attachments ? `${options.attachments}\n\n` : '';
+    return `${context}${attachments}User request: "${userQuery}"`;
+  }
+
+  async _buildPlan(planData) {
+    // Normalize commands for current platform
+    planData.steps = planData.steps.map(step => ({
+      ...step,
+      command: PlatformUtils.normalizeCommand(step.command)
+    }));
+
+    const plan = new Plan(planData);
+    plan.verification = await this._verifyPlan(plan);
+    return plan;
+  }
+
+  /**
+   * What the planner is told about the machine, or null when
+   * `planner.environmentProbe` is off or probing fails.
+   */
+  async _getEnvironment() {
+    if (!this.config.get('planner.environmentProbe', true)) {
+      return null;
+    }
+    // Replay fixtures are keyed on the prompt, so it can't carry the cwd,
+    // directory listing or git state of the machine that recorded them
+    if ((await this._getProvider()).name === 'replay') {
+      return null;
+    }
+    try {
+      return await EnvironmentProbe.getInstance().probe();
+    } catch (error) {
+      this.logger.warn('Environment probe failed', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Which programs the plan runs are not installed (see CommandVerifier),
+   * or null when `planner.verifyCommands` is off or the check fails.
+   */
+  async _verifyPlan(plan) {
+    if (!this.config.get('planner.verifyCommands', true)) {
+      return null;
+    }
+    try {
+      return await new CommandVerifier().verify(plan);
+    } catch (error) {
+      this.logger.warn('Command verification failed', { error: error.message });
+      return null;
+    }
+  }
+
+  _buildSystemPrompt(environment = null) {
     return `You are an AI assistant that helps users control their desktop through natural language commands.
 
 Your job:
@@ -75,7 +214,12 @@ Platform-specific command guidelines:
 - Linux: Use standard Unix commands, 'xdg-open' for file opening
 
 Current platform: ${process.platform}
+${environment ? `
+Environment:
+${EnvironmentProbe.toPrompt(environment)}
 
+Only use programs from the installed tools above or ones that ship with the OS and shell. If a step needs something missing, pick an installed alternative, or add a step that installs it with one of the listed package managers.
+` : ''}
 Always generate commands appropriate for the current platform.
 
 JSON format:
@@ -88,7 +232,9 @@ JSON format:
       "command": "actual command to run",
       "requiresConfirmation": true|false,
       "riskLevel": "none|low|medium|high",
-      "workingDirectory": "/path/to/run/from"
+      "workingDirectory": "/path/to/run/from",
+      "dependsOn": ["ids of steps that must succeed first"],
+      "outputs": { "variableName": "stdout" }
     }
   ],
   "riskLevel": "none|low|medium|high",
@@ -103,63 +249,151 @@ Risk levels:
 - medium: Installing things, changing settings
 - high: Deleting stuff, system changes
 
+Dependencies:
+- Leave out "dependsOn" and a step runs after the one before it
+- Use "dependsOn": [] for steps that need nothing else, so they can run at the same time as others
+- A step only runs if every step in its "dependsOn" succeeded; never create loops
+
+Passing results between steps:
+- A step can capture its output in "outputs": "stdout" for all of it, {"line": 1} for one line (-1 is the last), {"regex": "pattern", "group": 1} for part of it, or {"json": "items[0].name"} for a field of JSON output
+- Later steps use a captured value as {{variableName}}, unquoted - values are quoted for you
+- Only use variables captured by a step that runs before (or is in "dependsOn" of) the step using them
+
 Be conservative - if something could break their system, mark it as high risk.`;
   }
 
-  _parseAndValidatePlan(response) {
-    try {
-      let jsonStr = response.trim();
-
-      // Strategy 1: Try to extract JSON from markdown code blocks
-      const codeBlockMatch = jsonStr.match(/```(?:json)?\s*(\{[\s\S]*?\})\s*```/);
-      if (codeBlockMatch) {
-        jsonStr = codeBlockMatch[1];
-      } else {
-        // Strategy 2: Extract JSON object from response (handles trailing text)
-        const jsonMatch = jsonStr.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          jsonStr = jsonMatch[0];
+  /**
+   * Ask for a plan in the provider's JSON mode. A response that isn't a
+   * valid plan is sent back with the reasons, up to
+   * `planner.maxFormatRetries` times, before giving up. `parse` turns the
+   * response into plan data or throws a ValidationException.
+   */
+  async _requestPlan(systemPrompt, userPrompt, parse = response => this._parseAndValidatePlan(response)) {
+    const provider = await this._getProvider();
+    const maxRetries = this.config.get('planner.maxFormatRetries', 2);
+    let prompt = userPrompt;
+
+    for (let attempt = 0; ; attempt++) {
+      const response = await provider.generateStructuredResponse(systemPrompt, prompt, { json: true });
+      try {
+        return parse(response);
+      } catch (error) {
+        if (attempt >= maxRetries) {
+          throw error;
         }
-      }
+        const problems = error.blockedReasons?.length > 0 ? error.blockedReasons : [error.message];
+        this.logger.warn('Plan response was invalid, asking again', { attempt: attempt + 1, problems });
+        prompt = `${userPrompt}
 
-      // Try to parse the JSON
-      const planData = JSON.parse(jsonStr);
+Your previous response was not a valid plan:
+${problems.map(problem => `- ${problem}`).join('\n')}
 
-      // Validate required fields
-      if (!planData.intent || !planData.steps || !Array.isArray(planData.steps)) {
-        throw new Error('Invalid plan structure: missing required fields (intent, steps)');
-      }
+Previous response:
+${response.substring(0, 4000)}
 
-      if (planData.steps.length === 0) {
-        throw new Error('Invalid plan: must contain at least one step');
+Fix these problems and respond with the corrected JSON only.`;
       }
+    }
+  }
 
-      // Validate each step
-      planData.steps.forEach((step, index) => {
-        if (!step.id || !step.command || !step.description) {
-          throw new Error(`Invalid step ${index + 1}: missing required fields (id, command, description)`);
-        }
+  _extractJson(response) {
+    const text = response.trim();
 
-        // Set defaults for optional fields
-        step.requiresConfirmation = step.requiresConfirmation ?? false;
-        step.riskLevel = step.riskLevel ?? 'low';
-        step.workingDirectory = step.workingDirectory ?? process.cwd();
-      });
+    // JSON mode responses parse as they are
+    try {
+      return JSON.parse(text);
+    } catch {
+      // Fall back to digging the JSON out of a chatty answer
+    }
 
-      // Set defaults for plan-level fields
-      planData.riskLevel = planData.riskLevel ?? 'low';
-      planData.rollback = planData.rollback ?? 'No automatic rollback available';
-      planData.estimatedDuration = planData.estimatedDuration ?? 'Unknown';
-      planData.prerequisites = planData.prerequisites ?? [];
+    const codeBlockMatch = text.match(/```(?:json)?\s*(\{[\s\S]*?\})\s*```/);
+    const jsonMatch = codeBlockMatch ? codeBlockMatch[1] : text.match(/\{[\s\S]*\}/)?.[0];
+    if (!jsonMatch) {
+      throw new Error('Response contains no JSON object');
+    }
+    return JSON.parse(jsonMatch);
+  }
 
-      return planData;
+  /**
+   * Parse a plan response and check it against PlanSchema and the step
+   * dependencies. Throws a ValidationException listing every problem.
+   */
+  _parseAndValidatePlan(response) {
+    const { planData, errors } = this._validatePlanData(this._parseResponse(response));
+
+    if (errors.length > 0) {
+      this.logger.error('Plan response is not a valid plan', { errors });
+      throw new ValidationException(`Plan response is not a valid plan: ${errors.join('; ')}`, null, null, errors);
+    }
+
+    return planData;
+  }
+
+  /**
+   * Like _parseAndValidatePlan, for a response of the form
+   * { "alternatives": [plan, ...] }. Returns at most `count` plans.
+   */
+  _parseAndValidateAlternatives(response, count) {
+    const data = this._parseResponse(response);
+    const candidates = Array.isArray(data) ? data : data.alternatives;
+    if (!Array.isArray(candidates) || candidates.length === 0) {
+      const problem = 'Expected {"alternatives": [...]} with at least one plan';
+      throw new ValidationException(`Plan response is not a valid plan: ${problem}`, null, null, [problem]);
+    }
+
+    const planDataList = [];
+    const errors = [];
+    candidates.slice(0, count).forEach((candidate, index) => {
+      const result = this._validatePlanData(candidate);
+      planDataList.push(result.planData);
+      errors.push(...result.errors.map(error => `alternatives[${index}]: ${error}`));
+    });
+
+    if (errors.length > 0) {
+      this.logger.error('Plan response is not a valid plan', { errors });
+      throw new ValidationException(`Plan response is not a valid plan: ${errors.join('; ')}`, null, null, errors);
+    }
+
+    return planDataList;
+  }
+
+  _parseAndValidateSuggestion(response) {
+    const planData = this._parseAndValidatePlan(response);
+    if (planData.steps.length !== 1) {
+      const problem = `steps must contain exactly one step, not ${planData.steps.length}; join the commands into one command line`;
+      throw new ValidationException(`Plan response is not a valid plan: ${problem}`, null, null, [problem]);
+    }
+    return planData;
+  }
+
+  _parseResponse(response) {
+    try {
+      return this._extractJson(response);
     } catch (error) {
       this.logger.error('Failed to parse plan response', {
         error: error.message,
         responsePreview: response.substring(0, 200)
       });
-      throw new Error(`Failed to parse plan response: ${error.message}. The AI response may be malformed.`);
+      throw new ValidationException('Plan response is not valid JSON', null, null, [`Invalid JSON: ${error.message}`]);
+    }
+  }
+
+  /**
+   * Returns { planData, errors }, with planData filled in from the schema.
+   */
+  _validatePlanData(data) {
+    const { value: planData, errors } = PlanSchema.validate(data);
+    if (errors.length === 0) {
+      planData.steps.forEach(step => {
+        step.workingDirectory = step.workingDirectory ?? process.cwd();
+      });
+
+      errors.push(...Plan.findDependencyErrors(planData.steps));
+      if (errors.length === 0) {
+        errors.push(...StepVariables.findReferenceErrors(new Plan(planData)));
+      }
     }
+    return { planData, errors };
   }
 
   async refinePlan(plan, userFeedback) {
@@ -171,15 +405,90 @@ User feedback: "${userFeedback}"
 
 Please refine the plan based on this feedback. Respond with the updated JSON plan using the same format.`;
 
-      const response = await this.geminiClient.generateStructuredResponse(
-        this._buildSystemPrompt(),
+      const refinedPlanData = await this._requestPlan(
+        this._buildSystemPrompt(await this._getEnvironment()),
         refinementPrompt
       );
-
-      const refinedPlanData = this._parseAndValidatePlan(response);
-      return new Plan(refinedPlanData);
+      return await this._buildPlan(refinedPlanData);
     } catch (error) {
       throw new ApiException(`Failed to refine plan: ${error.message}`);
     }
   }
-}
\ No newline at end of file
+
+  /**
+   * Ask for a corrected version of a step that failed. Resolves to
+   * { step, explanation }; the new step keeps the id, dependencies and
+   * outputs of the original so the rest of the plan still fits.
+   */
+  async repairStep(step, result, previousAttempts = []) {
+    try {
+      const hints = this._describeFailure(result);
+      const attempts = previousAttempts.length > 0
+        ? `\nCommands already tried for this step, which also failed:\n${previousAttempts.map(cmd => `- ${cmd}`).join('\n')}\n`
+        : '';
+
+      const repairPrompt = `A step of the plan failed.
+
+Step: ${step.description}
+Command: ${step.command}
+Working directory: ${step.workingDirectory}
+Exit code: ${result.exitCode}
+Error output:
+${(result.stderr || result.error || '').substring(0, 2000)}
+${hints.length > 0 ? `\nWhat went wrong:\n${hints.map(hint => `- ${hint}`).join('\n')}\n` : ''}${attempts}
+Propose a corrected command that achieves the same goal. Do not use sudo to get around permission errors. Respond with JSON only:
+{
+  "explanation": "what was wrong and what the fix changes",
+  "step": {
+    "description": "What this step does",
+    "command": "corrected command",
+    "riskLevel": "none|low|medium|high",
+    "requiresConfirmation": true|false
+  }
+}`;
+
+      const provider = await this._getProvider();
+      const response = await provider.generateStructuredResponse(
+        this._buildSystemPrompt(await this._getEnvironment()),
+        repairPrompt,
+        { json: true }
+      );
+
+      const repair = this._extractJson(response);
+      if (!repair.step || !repair.step.command) {
+        throw new Error('Response has no corrected command');
+      }
+
+      const repaired = new Step({
+        ...step.toJSON(),
+        description: repair.step.description || step.description,
+        command: PlatformUtils.normalizeCommand(repair.step.command),
+        riskLevel: repair.step.riskLevel || step.riskLevel,
+        requiresConfirmation: repair.step.requiresConfirmation ?? step.requiresConfirmation
+      });
+
+      this.logger.info('Step repair proposed', { stepId: step.id, command: repaired.command });
+
+      return { step: repaired, explanation: repair.explanation || '' };
+    } catch (error) {
+      throw new ApiException(`Failed to repair step: ${error.message}`);
+    }
+  }
+
+  _describeFailure(result) {
+    const hints = [];
+    if (result.isCommandNotFound()) {
+      hints.push('The program was not found. Use one that is installed, or a built-in alternative');
+    }
+    if (result.isPermissionError()) {
+      hints.push('Permission was denied. Work on paths the user can write to instead');
+    }
+    if (result.isTimeout()) {
+      hints.push('The command took too long and was stopped');
+    }
+    if (result.isResourceLimit()) {
+      hints.push(`The command hit the sandbox ${result.limitExceeded} limit. Use less of it`);
+    }
+    return hints;
+  }
+}
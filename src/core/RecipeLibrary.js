@@ -0,0 +1,265 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import yaml from 'yaml';
+import { ConfigManager } from '../utils/ConfigManager.js';
+import { ValidationException } from '../exceptions/ValidationException.js';
+import { PlanFile } from './PlanFile.js';
+import { StepVariables } from './StepVariables.js';
+
+const PARAMETER_TYPES = ['string', 'number', 'boolean', 'path'];
+const NAME_PATTERN = /^[a-z0-9][\w-]*$/i;
+const PARAMETER_PATTERN = /^[A-Za-z_][\w-]*$/;
+
+/**
+ * A local library of recipes: saved plans with declared parameters that
+ * fill `{{name}}` placeholders in step commands. Recipes are YAML files in
+ * `recipes.dir` (next to the config file by default):
+ *
+ *   name: cleanup-logs
+ *   description: Delete old log files
+ *   parameters:
+ *     days: { type: number, default: 7, description: Minimum age in days }
+ *   intent: Delete logs older than {{days}} days
+ *   steps:
+ *     - id: step-1
+ *       description: Delete old logs
+ *       command: find . -name "*.log" -mtime +{{days}} -delete
+ *
+ * Steps without a workingDirectory run in the directory `el` is run from.
+ */
+export class RecipeLibrary {
+  constructor(dir) {
+    const config = ConfigManager.getInstance();
+    this.dir = dir || config.get('recipes.dir', path.join(path.dirname(config.getConfigPath()), 'recipes'));
+  }
+
+  static getParameterTypes() {
+    return [...PARAMETER_TYPES];
+  }
+
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const recipes = [];
+    for (const file of files.filter(name => PlanFile.isYaml(name)).sort()) {
+      try {
+        recipes.push(await this._read(path.join(this.dir, file)));
+      } catch (error) {
+        recipes.push({ name: path.basename(file, path.extname(file)), file: path.join(this.dir, file), error: error.message });
+      }
+    }
+    return recipes;
+  }
+
+  async get(name) {
+    if (!NAME_PATTERN.test(name)) {
+      throw new ValidationException(`Invalid recipe name: ${name}`);
+    }
+
+    for (const extension of ['.yaml', '.yml']) {
+      const file = path.join(this.dir, `${name}${extension}`);
+      try {
+        return await this._read(file);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+    return null;
+  }
+
+  async save(recipe, options = {}) {
+    const errors = RecipeLibrary.findErrors(recipe);
+    if (errors.length > 0) {
+      throw new ValidationException(`Recipe ${recipe.name} is not valid`, null, null, errors);
+    }
+
+    const file = path.join(this.dir, `${recipe.name}.yaml`);
+    if (!options.overwrite && (await this.get(recipe.name))) {
+      throw new ValidationException(`Recipe ${recipe.name} already exists`);
+    }
+
+    await fs.mkdir(this.dir, { recursive: true });
+    const data = { version: 1, ...recipe };
+    delete data.file;
+    await fs.writeFile(file, yaml.stringify(data));
+    return file;
+  }
+
+  /**
+   * Fill in a recipe's parameters from `args` (name -> string, or true for a
+   * bare flag) and build its Plan. Throws a ValidationException listing every
+   * missing, unknown or badly typed argument.
+   */
+  instantiate(recipe, args = {}) {
+    const parameters = recipe.parameters || {};
+    const values = {};
+    const errors = [];
+
+    for (const name of Object.keys(args)) {
+      if (!parameters[name]) {
+        errors.push(`Unknown parameter --${name}`);
+      }
+    }
+
+    for (const [name, definition] of Object.entries(parameters)) {
+      const raw = args[name] ?? definition.default;
+      if (raw === undefined) {
+        errors.push(`Missing --${name}${definition.description ? ` (${definition.description})` : ''}`);
+        continue;
+      }
+      const value = coerce(raw, definition.type || 'string');
+      if (value === null) {
+        errors.push(`--${name} must be a ${definition.type}, got ${raw}`);
+        continue;
+      }
+      values[name] = value;
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationException(`Can't run recipe ${recipe.name}`, null, null, errors);
+    }
+
+    const variables = new StepVariables(values);
+    const fill = (text, options = {}) => (text ? variables.substitute(text, { keepUnknown: true, ...options }) : text);
+    const plan = PlanFile.fromData({
+      ...recipe,
+      intent: fill(recipe.intent, { raw: true }),
+      steps: (recipe.steps || []).map(step => ({
+        ...step,
+        description: fill(step.description, { raw: true }),
+        command: fill(step.command),
+        workingDirectory: fill(step.workingDirectory, { raw: true })
+      }))
+    }, { baseDir: process.cwd(), source: `Recipe ${recipe.name}` });
+
+    return { plan, values };
+  }
+
+  static findErrors(recipe) {
+    const errors = [];
+    if (!recipe || !NAME_PATTERN.test(recipe.name || '')) {
+      errors.push('Recipe name must start with a letter or digit and use only letters, digits, - and _');
+    }
+
+    const outputs = new Set((recipe?.steps || []).flatMap(step => Object.keys(step?.outputs || {})));
+    for (const [name, definition] of Object.entries(recipe?.parameters || {})) {
+      if (!PARAMETER_PATTERN.test(name)) {
+        errors.push(`Invalid parameter name ${name}`);
+      }
+      if (!definition || typeof definition !== 'object') {
+        errors.push(`Parameter ${name} needs a definition`);
+        continue;
+      }
+      if (definition.type && !PARAMETER_TYPES.includes(definition.type)) {
+        errors.push(`Parameter ${name} has unknown type ${definition.type} (use ${PARAMETER_TYPES.join(', ')})`);
+      } else if (definition.default !== undefined && coerce(definition.default, definition.type || 'string') === null) {
+        errors.push(`Default for ${name} is not a ${definition.type}`);
+      }
+      if (outputs.has(name)) {
+        errors.push(`Parameter ${name} has the same name as a step output`);
+      }
+    }
+
+    return [...errors, ...PlanFile.findErrors(recipe)];
+  }
+
+  /**
+   * Turn a logged execution into a recipe. Each `params` entry (name ->
+   * value) replaces that literal value in the step commands with
+   * `{{name}}` and becomes a parameter defaulting to it.
+   */
+  static fromExecution(execution, name, options = {}) {
+    if (!execution.plan) {
+      throw new ValidationException(`Task ${execution.taskId} has no plan to make a recipe from`);
+    }
+
+    const baseDir = execution.plan.steps[0]?.workingDirectory;
+    const steps = execution.plan.steps.map(step => {
+      const data = {
+        id: step.id,
+        description: step.description,
+        command: step.command,
+        riskLevel: step.riskLevel,
+        requiresConfirmation: step.requiresConfirmation,
+        dependsOn: step.dependsOn,
+        outputs: step.outputs
+      };
+      // Steps in the original directory run wherever the recipe is run
+      if (step.workingDirectory && step.workingDirectory !== baseDir) {
+        data.workingDirectory = step.workingDirectory;
+      }
+      return Object.fromEntries(Object.entries(data).filter(([, value]) =>
+        value !== undefined && value !== null && !(typeof value === 'object' && Object.keys(value).length === 0)
+      ));
+    });
+
+    const parameters = {};
+    for (const [param, value] of Object.entries(options.params || {})) {
+      // A quoted value loses its quotes, since substitution quotes it again
+      const escaped = escapeRegExp(value);
+      const token = new RegExp(`(?<![\\w.-])(?:'${escaped}'|"${escaped}"|${escaped})(?![\\w.-])`, 'g');
+      let found = false;
+      steps.forEach(step => {
+        step.command = step.command.replace(token, () => {
+          found = true;
+          return `{{${param}}}`;
+        });
+      });
+      if (!found) {
+        throw new ValidationException(`"${value}" does not appear in any step command, so --param ${param} has nothing to replace`);
+      }
+      const numeric = /^-?\d+(\.\d+)?$/.test(value);
+      parameters[param] = { type: numeric ? 'number' : 'string', default: numeric ? Number(value) : value };
+    }
+
+    return {
+      name,
+      description: options.description || execution.userQuery || execution.plan.intent,
+      parameters,
+      intent: execution.plan.intent,
+      rollback: execution.plan.rollback,
+      prerequisites: execution.plan.prerequisites,
+      steps
+    };
+  }
+
+  async _read(file) {
+    const recipe = yaml.parse(await fs.readFile(file, 'utf8')) || {};
+    recipe.name = recipe.name || path.basename(file, path.extname(file));
+    recipe.file = file;
+    return recipe;
+  }
+}
+
+function coerce(value, type) {
+  switch (type) {
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(value);
+      return value === '' || value === true || Number.isNaN(number) ? null : number;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') {
+        return value;
+      }
+      return ['true', 'yes', '1'].includes(String(value).toLowerCase()) ? true
+        : ['false', 'no', '0'].includes(String(value).toLowerCase()) ? false : null;
+    case 'path':
+      return value === true ? null : path.resolve(String(value));
+    default:
+      return value === true ? null : String(value);
+  }
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -1,12 +1,25 @@
 import { spawn } from 'child_process';
-import { promises as fs } from 'fs';
+import { promises as fs, readFileSync, readdirSync } from 'fs';
 import path from 'path';
 import os from 'os';
 import { ConfigManager } from '../utils/ConfigManager.js';
 import { LoggingUtil } from '../utils/LoggingUtil.js';
 import { PlatformUtils } from '../utils/PlatformUtils.js';
+import { ShellParser } from './ShellParser.js';
+import { SnapshotManager } from './SnapshotManager.js';
+import { SandboxIsolation } from './SandboxIsolation.js';
 import { ExecutionResult } from '../models/ExecutionResult.js';
 import { SandboxException } from '../exceptions/SandboxException.js';
+import { ResourceLimitException } from '../exceptions/ResourceLimitException.js';
+
+// stderr messages that mean a resource limit was hit
+const LIMIT_MESSAGES = [
+  { limit: 'memory', pattern: /cannot allocate memory|out of memory|std::bad_alloc|memoryerror|allocation failed/i },
+  { limit: 'processes', pattern: /fork: (retry|resource temporarily unavailable)|can't fork|cannot fork/i },
+  { limit: 'openFiles', pattern: /too many open files/i }
+];
+
+const MEMORY_SAMPLE_INTERVAL = 50;
 
 export class SandboxExecutor {
   constructor() {
@@ -15,6 +28,11 @@ export class SandboxExecutor {
     this.workDir = this.config.get('sandbox.workdir', path.join(os.tmpdir(), 'genesis-eleven-work'));
     this.timeout = this.config.get('sandbox.timeout', 30000);
     this.maxMemoryMB = this.config.get('sandbox.maxMemoryMB', 512);
+    this.maxCpuSeconds = this.config.get('sandbox.maxCpuSeconds', 60);
+    this.maxProcesses = this.config.get('sandbox.maxProcesses', 256);
+    this.maxOpenFiles = this.config.get('sandbox.maxOpenFiles', 1024);
+    this.maxOutputMB = this.config.get('sandbox.maxOutputMB', 10);
+    this.isolation = new SandboxIsolation(this.config.get('sandbox.isolation', 'none'));
     this.initialized = false;
   }
 
@@ -33,11 +51,22 @@ export class SandboxExecutor {
     }
   }
 
-  async executeStep(step) {
+  /**
+   * Run one plan step. When `options.validation` (the step's
+   * ValidationResult) shows the step changes files and `options.taskId` is
+   * set, those paths are snapshotted first so `el rollback` can undo it.
+   * `options.allowNetwork` keeps network access under isolation,
+   * `options.writablePaths` replaces the paths left writable under isolation
+   * (by default the working and sandbox directories), and
+   * `options.onOutput(line, stream)` receives output lines as they arrive.
+   */
+  async executeStep(step, options = {}) {
     if (!this.initialized) {
       await this.initialize();
     }
 
+    let snapshot = null;
+
     try {
       this.logger.info('Executing step', { stepId: step.id, command: step.command });
 
@@ -47,10 +76,19 @@ export class SandboxExecutor {
       // Validate working directory
       await this._validateWorkingDirectory(workingDir);
 
+      const fileImpact = options.validation?.fileImpact;
+      if (options.taskId && SnapshotManager.needsSnapshot(fileImpact)) {
+        snapshot = await this._getSnapshotManager().snapshot(options.taskId, step.id, fileImpact);
+      }
+
       // Normalize command for current platform
       const normalizedCommand = PlatformUtils.normalizeCommand(step.command);
 
-      const result = await this._runCommand(normalizedCommand, workingDir);
+      const result = await this._runCommand(normalizedCommand, workingDir, {
+        allowNetwork: !!options.allowNetwork,
+        writablePaths: options.writablePaths,
+        onOutput: options.onOutput
+      });
       const duration = Date.now() - startTime;
 
       const executionResult = new ExecutionResult({
@@ -59,9 +97,13 @@ export class SandboxExecutor {
         exitCode: result.exitCode,
         stdout: result.stdout,
         stderr: result.stderr,
+        output: result.output,
         duration,
         workingDirectory: workingDir,
-        success: result.exitCode === 0
+        success: result.exitCode === 0,
+        memoryUsage: result.memoryUsage,
+        isolation: result.isolation,
+        snapshot
       });
 
       this.logger.info('Step execution completed', {
@@ -77,31 +119,48 @@ export class SandboxExecutor {
         error: error.message 
       });
       
+      const limitError = ResourceLimitException.isResourceLimitError(error);
+
       return new ExecutionResult({
         stepId: step.id,
         command: step.command,
-        exitCode: -1,
-        stdout: '',
-        stderr: error.message,
+        exitCode: limitError ? error.exitCode ?? -1 : -1,
+        stdout: limitError ? error.stdout : '',
+        stderr: limitError && error.stderr ? error.stderr : error.message,
+        output: limitError ? error.output : '',
         duration: 0,
         workingDirectory: step.workingDirectory || this.workDir,
         success: false,
-        error: error.message
+        error: error.message,
+        memoryUsage: limitError ? error.memoryUsage : null,
+        limitExceeded: limitError ? error.limit : null,
+        snapshot
       });
     }
   }
 
-  async _runCommand(command, workingDir) {
-    return new Promise((resolve, reject) => {
-      // Parse command safely
-      const parsedCommand = this._parseCommand(command);
-      if (!parsedCommand) {
-        reject(new SandboxException('Invalid command format'));
-        return;
-      }
+  async _runCommand(command, workingDir, options = {}) {
+    // Parse command safely
+    let parsedCommand;
+    try {
+      parsedCommand = this._parseCommand(command);
+    } catch (error) {
+      throw new SandboxException(`Invalid command syntax: ${error.message}`, null, command, workingDir);
+    }
 
-      const { cmd, args } = parsedCommand;
-      
+    if (!parsedCommand) {
+      throw new SandboxException('Invalid command format');
+    }
+
+    const limits = await this._getResourceLimits();
+    const limited = limits ? this._wrapWithLimits(parsedCommand, limits) : parsedCommand;
+    const { cmd, args, isolation } = await this.isolation.wrap(limited, {
+      writablePaths: options.writablePaths || [...new Set([path.resolve(workingDir), path.resolve(this.workDir)])],
+      workingDir: path.resolve(workingDir),
+      network: !!options.allowNetwork
+    });
+
+    return new Promise((resolve, reject) => {
       const child = spawn(cmd, args, {
         cwd: workingDir,
         stdio: ['pipe', 'pipe', 'pipe'],
@@ -110,26 +169,81 @@ export class SandboxExecutor {
         shell: process.platform === 'win32' // Use shell on Windows
       });
 
+      const maxOutputBytes = this.maxOutputMB * 1024 * 1024;
       let stdout = '';
       let stderr = '';
+      let output = '';
+      let outputBytes = 0;
+      let breach = null;
+      let peakRss = 0;
 
-      child.stdout?.on('data', (data) => {
-        stdout += data.toString();
-      });
+      const sampleMemory = () => {
+        peakRss = Math.max(peakRss, this._sampleProcessTreeRss(child.pid));
+      };
+      const sampler = process.platform === 'linux' ? setInterval(sampleMemory, MEMORY_SAMPLE_INTERVAL) : null;
+      child.on('spawn', () => sampler && sampleMemory());
 
-      child.stderr?.on('data', (data) => {
-        stderr += data.toString();
-      });
+      const lines = {
+        stdout: this._createLineSplitter(line => options.onOutput?.(line, 'stdout')),
+        stderr: this._createLineSplitter(line => options.onOutput?.(line, 'stderr'))
+      };
+
+      const collect = (data, stream) => {
+        outputBytes += data.length;
+        if (outputBytes > maxOutputBytes) {
+          if (!breach) {
+            breach = { limit: 'output', message: `Output exceeded ${this.maxOutputMB}MB`, value: this.maxOutputMB };
+            child.kill('SIGKILL');
+          }
+          return;
+        }
+        const text = data.toString();
+        if (stream === 'stdout') {
+          stdout += text;
+        } else {
+          stderr += text;
+        }
+        output += text;
+        lines[stream].push(text);
+      };
+
+      child.stdout?.on('data', (data) => collect(data, 'stdout'));
+      child.stderr?.on('data', (data) => collect(data, 'stderr'));
+
+      child.on('close', (exitCode, signal) => {
+        clearInterval(sampler);
+        lines.stdout.flush();
+        lines.stderr.flush();
+        const memoryUsage = peakRss > 0 ? { peakRss, limit: limits ? limits.memoryKB * 1024 : null } : null;
+        const code = exitCode ?? (signal ? 128 + (os.constants.signals[signal] || 0) : 0);
+
+        breach = breach || (limits && this._detectLimitBreach(code, signal, stderr));
+        if (breach) {
+          reject(new ResourceLimitException(breach.message, breach.limit, {
+            exitCode: code,
+            command,
+            workingDirectory: workingDir,
+            limitValue: breach.value,
+            stdout: stdout.trim(),
+            stderr: stderr.trim(),
+            output: output.trim(),
+            memoryUsage
+          }));
+          return;
+        }
 
-      child.on('close', (exitCode) => {
         resolve({
-          exitCode: exitCode || 0,
+          exitCode: code,
           stdout: stdout.trim(),
-          stderr: stderr.trim()
+          stderr: stderr.trim(),
+          output: output.trim(),
+          memoryUsage,
+          isolation
         });
       });
 
       child.on('error', (error) => {
+        clearInterval(sampler);
         reject(new SandboxException(`Command execution failed: ${error.message}`));
       });
 
@@ -147,6 +261,142 @@ export class SandboxExecutor {
     });
   }
 
+  /**
+   * Turns chunks of output into whole lines for `onLine`. Carriage returns
+   * end a line too, so progress bars show up as they redraw.
+   */
+  _createLineSplitter(onLine) {
+    let pending = '';
+    return {
+      push(text) {
+        // A trailing \r waits for the next chunk in case it starts with \n
+        const parts = (pending + text).split(/\r\n|\n|\r(?!$)/);
+        pending = parts.pop();
+        parts.forEach(line => onLine(line));
+      },
+      flush() {
+        if (pending) {
+          onLine(pending.replace(/\r$/, ''));
+          pending = '';
+        }
+      }
+    };
+  }
+
+  /**
+   * Limits to apply with ulimit, or null where they can't be (non-Linux).
+   * The process limit counts every process of the user, so it is set above
+   * what the user already runs.
+   */
+  async _getResourceLimits() {
+    if (process.platform !== 'linux') {
+      return null;
+    }
+
+    return {
+      memoryKB: this.maxMemoryMB * 1024,
+      cpu: this.maxCpuSeconds,
+      processes: this.maxProcesses + await this._countUserProcesses(),
+      openFiles: this.maxOpenFiles
+    };
+  }
+
+  _wrapWithLimits({ cmd, args }, limits) {
+    const script = [
+      // The data limit covers heap and anonymous mappings; an address-space
+      // limit (-v) would stop V8 and the JVM, which reserve huge ranges
+      `ulimit -d ${limits.memoryKB}`,
+      // A hard CPU limit above the soft one lets SIGXCPU arrive before SIGKILL
+      `ulimit -S -t ${limits.cpu}`,
+      `ulimit -H -t ${limits.cpu + 1}`,
+      // bash calls the process limit -u, dash calls it -p
+      `{ ulimit -u ${limits.processes} || ulimit -p ${limits.processes}; } 2>/dev/null`,
+      `ulimit -n ${limits.openFiles}`,
+      'exec "$@"'
+    ].join('; ');
+
+    return { cmd: '/bin/sh', args: ['-c', script, 'sh', cmd, ...args] };
+  }
+
+  _detectLimitBreach(exitCode, signal, stderr) {
+    if (signal === 'SIGXCPU' || exitCode === 128 + os.constants.signals.SIGXCPU) {
+      return { limit: 'cpu', message: `CPU time limit of ${this.maxCpuSeconds}s exceeded`, value: this.maxCpuSeconds };
+    }
+    if (exitCode === 0) {
+      return null;
+    }
+
+    const match = LIMIT_MESSAGES.find(({ pattern }) => pattern.test(stderr));
+    if (!match) {
+      return null;
+    }
+
+    const breaches = {
+      memory: { message: `Memory limit of ${this.maxMemoryMB}MB exceeded`, value: this.maxMemoryMB },
+      processes: { message: `Process limit of ${this.maxProcesses} exceeded`, value: this.maxProcesses },
+      openFiles: { message: `Open file limit of ${this.maxOpenFiles} exceeded`, value: this.maxOpenFiles }
+    };
+    return { limit: match.limit, ...breaches[match.limit] };
+  }
+
+  async _countUserProcesses() {
+    const uid = process.getuid();
+    let count = 0;
+
+    try {
+      for (const entry of await fs.readdir('/proc')) {
+        if (!/^\d+$/.test(entry)) {
+          continue;
+        }
+        try {
+          const stats = await fs.stat(`/proc/${entry}`);
+          if (stats.uid === uid) {
+            // RLIMIT_NPROC counts threads
+            count += (await fs.readdir(`/proc/${entry}/task`)).length;
+          }
+        } catch {
+          // Process exited while counting
+        }
+      }
+    } catch (error) {
+      this.logger.debug('Could not count user processes', { error: error.message });
+    }
+
+    return count;
+  }
+
+  /**
+   * Resident memory of a process and all its descendants, in bytes.
+   */
+  _sampleProcessTreeRss(pid) {
+    let total = 0;
+    const pending = [pid];
+
+    while (pending.length > 0) {
+      const current = pending.pop();
+      try {
+        const status = readFileSync(`/proc/${current}/status`, 'utf8');
+        const rss = status.match(/^VmRSS:\s+(\d+) kB/m);
+        total += rss ? parseInt(rss[1], 10) * 1024 : 0;
+
+        for (const task of readdirSync(`/proc/${current}/task`)) {
+          const children = readFileSync(`/proc/${current}/task/${task}/children`, 'utf8').trim();
+          if (children) {
+            pending.push(...children.split(/\s+/).map(Number));
+          }
+        }
+      } catch {
+        // Process already exited
+      }
+    }
+
+    return total;
+  }
+
+  _getSnapshotManager() {
+    return new SnapshotManager(path.join(this.workDir, 'backup'));
+  }
+
   _parseCommand(command) {
     if (!command || typeof command !== 'string') {
       return null;
@@ -157,10 +407,9 @@ export class SandboxExecutor {
       return null;
     }
 
-    // Cross-platform command parsing
-    let cmd, args;
-    
     if (process.platform === 'win32') {
+      let cmd, args;
+
       // Windows command handling
       if (trimmed.startsWith('cmd /c ') || trimmed.startsWith('powershell ')) {
         const parts = trimmed.split(/\s+/);
@@ -171,14 +420,21 @@ export class SandboxExecutor {
         cmd = 'cmd';
         args = ['/c', trimmed];
       }
-    } else {
-      // Unix-like systems (Linux, macOS)
-      const parts = trimmed.split(/\s+/);
-      cmd = parts[0];
-      args = parts.slice(1);
+      return { cmd, args, ast: null };
+    }
+
+    // Unix-like systems (Linux, macOS): plain commands are spawned directly
+    // with properly unquoted arguments; anything that needs shell features
+    // (pipes, lists, redirections, globs, expansions) goes through /bin/sh
+    // with the sandbox environment.
+    const ast = ShellParser.parse(trimmed);
+    const plainCommand = ShellParser.getPlainCommand(ast);
+
+    if (plainCommand) {
+      return { cmd: plainCommand.name, args: plainCommand.args, ast };
     }
 
-    return { cmd, args };
+    return { cmd: '/bin/sh', args: ['-c', trimmed], ast };
   }
 
   _getSandboxEnvironment() {
@@ -328,6 +584,11 @@ alias la='ls -A'
       workDir: this.workDir,
       timeout: this.timeout,
       maxMemoryMB: this.maxMemoryMB,
+      maxCpuSeconds: this.maxCpuSeconds,
+      maxProcesses: this.maxProcesses,
+      maxOpenFiles: this.maxOpenFiles,
+      maxOutputMB: this.maxOutputMB,
+      isolation: this.isolation.preference,
       initialized: this.initialized
     };
   }
@@ -0,0 +1,161 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { LoggingUtil } from '../utils/LoggingUtil.js';
+import { SandboxException } from '../exceptions/SandboxException.js';
+
+const execFileAsync = promisify(execFile);
+
+const BACKENDS = ['bubblewrap', 'unshare'];
+
+// Mounts that stay as they are inside the unshare backend
+const KEEP_WRITABLE = ['/proc', '/dev', '/sys'];
+
+/**
+ * Optional Linux isolation for sandboxed steps. Each step sees the whole
+ * filesystem read-only except for its working directory and the sandbox
+ * directory, and has no network unless the step was approved for it.
+ *
+ * Backends: `bubblewrap` (bwrap) and `unshare` (util-linux, mount + network
+ * namespaces). `sandbox.isolation` picks one, `auto` takes the first that
+ * works, and `none` turns isolation off.
+ */
+export class SandboxIsolation {
+  static availability = new Map();
+
+  constructor(preference = 'none') {
+    this.preference = preference;
+    this.logger = LoggingUtil.getInstance();
+    this.backend = null;
+    this.resolved = false;
+  }
+
+  static getBackends() {
+    return [...BACKENDS];
+  }
+
+  /**
+   * Work out which backend to use. Returns null when isolation is off or
+   * nothing usable is installed; a warning is logged in the latter case.
+   */
+  async resolve() {
+    if (this.resolved) {
+      return this.backend;
+    }
+    this.resolved = true;
+
+    if (this.preference === 'none' || !this.preference || process.platform !== 'linux') {
+      return null;
+    }
+
+    const candidates = this.preference === 'auto' ? BACKENDS : [this.preference];
+    for (const candidate of candidates) {
+      if (!BACKENDS.includes(candidate)) {
+        this.logger.warn('Unknown sandbox isolation backend', { backend: candidate });
+        continue;
+      }
+      if (await SandboxIsolation.isAvailable(candidate)) {
+        this.backend = candidate;
+        return candidate;
+      }
+    }
+
+    this.logger.warn('Sandbox isolation unavailable, running without it', { requested: this.preference });
+    return null;
+  }
+
+  /**
+   * Isolation for commands that must never run unconfined. Uses the
+   * configured backend, or the first one that works when isolation is
+   * turned off, and throws a SandboxException naming `purpose` when there
+   * is none.
+   */
+  static async mandatory(preference, purpose) {
+    const isolation = new SandboxIsolation(!preference || preference === 'none' ? 'auto' : preference);
+    if (!(await isolation.resolve())) {
+      throw new SandboxException(process.platform === 'linux'
+        ? `${purpose} needs sandbox isolation, but neither bubblewrap (bwrap) nor unshare works here`
+        : `${purpose} needs sandbox isolation (bubblewrap or unshare), which is only available on Linux`);
+    }
+    return isolation;
+  }
+
+  static async isAvailable(backend) {
+    if (!SandboxIsolation.availability.has(backend)) {
+      const probe = new SandboxIsolation(backend)._wrap(backend, { cmd: 'true', args: [] }, {
+        writablePaths: [],
+        network: false
+      });
+      const available = await execFileAsync(probe.cmd, probe.args, { timeout: 5000 })
+        .then(() => true, () => false);
+      SandboxIsolation.availability.set(backend, available);
+    }
+    return SandboxIsolation.availability.get(backend);
+  }
+
+  /**
+   * Wrap a { cmd, args } pair so it runs isolated in `options.workingDir`.
+   * `options.writablePaths` stay writable; `options.network` keeps the host
+   * network.
+   */
+  async wrap(command, options) {
+    const backend = await this.resolve();
+    if (!backend) {
+      return { ...command, isolation: null };
+    }
+    return { ...this._wrap(backend, command, options), isolation: backend };
+  }
+
+  _wrap(backend, { cmd, args }, { writablePaths, workingDir = '/', network }) {
+    if (backend === 'bubblewrap') {
+      const binds = writablePaths.flatMap(dir => ['--bind', dir, dir]);
+      return {
+        cmd: 'bwrap',
+        args: [
+          '--ro-bind', '/', '/',
+          '--dev', '/dev',
+          '--proc', '/proc',
+          '--tmpfs', '/tmp',
+          ...binds,
+          '--unshare-all',
+          ...(network ? ['--share-net'] : []),
+          '--die-with-parent',
+          '--new-session',
+          '--chdir', workingDir,
+          '--',
+          cmd,
+          ...args
+        ]
+      };
+    }
+
+    // unshare: bind the writable paths onto themselves, then remount every
+    // other mount read-only inside a private mount namespace
+    const quote = value => `'${value.replace(/'/g, '\'\\\'\'')}'`;
+    const keep = [...writablePaths, ...KEEP_WRITABLE];
+    const script = [
+      'set -e',
+      'mount --make-rprivate /',
+      ...writablePaths.map(dir => `mount --bind ${quote(dir)} ${quote(dir)}`),
+      'for m in $(awk \'{print $2}\' /proc/self/mounts | sort -u); do',
+      `  case "$m" in ${keep.map(dir => `${quote(dir)}|${quote(dir)}/*`).join('|')}) continue;; esac`,
+      '  mount -o remount,bind,ro "$m" 2>/dev/null || true',
+      'done',
+      // Re-enter the working directory so it resolves to the writable bind
+      `cd ${quote(workingDir)}`,
+      'set +e',
+      'exec "$@"'
+    ].join('\n');
+
+    return {
+      cmd: 'unshare',
+      args: [
+        '--mount',
+        ...(network ? [] : ['--net']),
+        '--map-root-user',
+        '/bin/sh', '-c', script, 'sh',
+        cmd,
+        ...args
+      ]
+    };
+  }
+}
@@ -0,0 +1,122 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { ConfigManager } from '../utils/ConfigManager.js';
+import { ValidationException } from '../exceptions/ValidationException.js';
+
+const NAME_PATTERN = /^[a-z0-9][\w-]*$/i;
+
+/**
+ * Saved `el ask` conversations, one JSON file per session in
+ * `ask.sessionsDir` (next to the config file by default):
+ *
+ *   { name, createdAt, updatedAt, turns: [{ role: 'user'|'assistant', content, timestamp }] }
+ */
+export class SessionStore {
+  constructor(dir) {
+    const config = ConfigManager.getInstance();
+    this.dir = dir || config.get('ask.sessionsDir', path.join(path.dirname(config.getConfigPath()), 'sessions'));
+  }
+
+  static isValidName(name) {
+    return NAME_PATTERN.test(name || '');
+  }
+
+  create(name) {
+    if (!SessionStore.isValidName(name)) {
+      throw new ValidationException(`Invalid session name: ${name}. Use letters, digits, - and _`);
+    }
+    const now = new Date().toISOString();
+    return { name, createdAt: now, updatedAt: now, turns: [] };
+  }
+
+  async get(name) {
+    if (!SessionStore.isValidName(name)) {
+      throw new ValidationException(`Invalid session name: ${name}`);
+    }
+
+    try {
+      return JSON.parse(await fs.readFile(this._file(name), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw new ValidationException(`Session ${name} could not be read: ${error.message}`);
+    }
+  }
+
+  /**
+   * Sessions sorted by last use, newest first. Unreadable files are skipped.
+   */
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const sessions = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      try {
+        sessions.push(JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf8')));
+      } catch {
+        // Not a session we can show
+      }
+    }
+    return sessions.sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+  }
+
+  async latest() {
+    return (await this.list())[0] || null;
+  }
+
+  async addTurn(session, question, answer) {
+    const timestamp = new Date().toISOString();
+    session.turns.push(
+      { role: 'user', content: question, timestamp },
+      { role: 'assistant', content: answer, timestamp }
+    );
+    session.updatedAt = timestamp;
+
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(this._file(session.name), JSON.stringify(session, null, 2));
+    return session;
+  }
+
+  async delete(name) {
+    if (!SessionStore.isValidName(name)) {
+      throw new ValidationException(`Invalid session name: ${name}`);
+    }
+
+    try {
+      await fs.unlink(this._file(name));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * The last `maxTurns` question/answer pairs as provider history.
+   */
+  static toHistory(session, maxTurns) {
+    return session.turns.slice(-maxTurns * 2).map(({ role, content }) => ({ role, content }));
+  }
+
+  static toMarkdown(session) {
+    const turns = session.turns.map(turn =>
+      `## ${turn.role === 'user' ? 'You' : 'Assistant'}\n\n${turn.content.trim()}\n`
+    );
+    return `# ${session.name}\n\n_Started ${session.createdAt}, last used ${session.updatedAt}_\n\n${turns.join('\n')}`;
+  }
+
+  _file(name) {
+    return path.join(this.dir, `${name}.json`);
+  }
+}
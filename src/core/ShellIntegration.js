@@ -0,0 +1,83 @@
+import path from 'path';
+import { ValidationException } from '../exceptions/ValidationException.js';
+
+const FUNCTION_NAME = /^[A-Za-z_][\w-]*$/;
+
+// Each script defines a function that asks `el suggest --raw` for a command
+// and puts it where the user can edit it before running it
+const SCRIPTS = {
+  bash: `# Genesis Eleven shell integration for bash
+# Add to ~/.bashrc:  eval "$(el shell-init bash)"
+{{name}}() {
+  if [ $# -eq 0 ]; then
+    echo "usage: {{name}} <what you want to do>" >&2
+    return 2
+  fi
+  local suggestion line
+  suggestion="$(command el suggest --raw -- "$*")" || return $?
+  read -r -e -i "$suggestion" -p "$ " line || return $?
+  [ -n "$line" ] || return 0
+  history -s "$line"
+  eval "$line"
+}
+`,
+
+  zsh: `# Genesis Eleven shell integration for zsh
+# Add to ~/.zshrc:  eval "$(el shell-init zsh)"
+{{name}}() {
+  if (( $# == 0 )); then
+    print -u2 "usage: {{name}} <what you want to do>"
+    return 2
+  fi
+  local suggestion
+  suggestion="$(command el suggest --raw -- "$*")" || return $?
+  # Shows up on the next prompt, ready to edit
+  print -z -- "$suggestion"
+}
+`,
+
+  fish: `# Genesis Eleven shell integration for fish
+# Add to ~/.config/fish/config.fish:  el shell-init fish | source
+function {{name}} --description 'Suggest a command with el and edit it before running'
+    if test (count $argv) -eq 0
+        echo "usage: {{name}} <what you want to do>" >&2
+        return 2
+    end
+    set -l suggestion (command el suggest --raw -- "$argv")
+    or return $status
+    read --command "$suggestion" --prompt-str '$ ' line
+    or return $status
+    test -n "$line"; or return 0
+    eval $line
+end
+`
+};
+
+/**
+ * Shell functions for `el shell-init` that turn a request into a command on
+ * the user's own command line: `els find big files` asks `el suggest` and
+ * leaves the answer ready to edit and run.
+ */
+export class ShellIntegration {
+  static getShells() {
+    return Object.keys(SCRIPTS);
+  }
+
+  /**
+   * The supported shell a path such as $SHELL points to, or null.
+   */
+  static detect(shellPath = process.env.SHELL || '') {
+    const name = path.basename(shellPath).replace(/\.exe$/i, '');
+    return SCRIPTS[name] ? name : null;
+  }
+
+  static script(shell, name = 'els') {
+    if (!SCRIPTS[shell]) {
+      throw new ValidationException(`Unsupported shell: ${shell}. Use one of: ${ShellIntegration.getShells().join(', ')}`);
+    }
+    if (!FUNCTION_NAME.test(name)) {
+      throw new ValidationException(`Invalid function name: ${name}. Use letters, digits, - and _`);
+    }
+    return SCRIPTS[shell].replace(/\{\{name\}\}/g, name);
+  }
+}
@@ -0,0 +1,916 @@
+import { ShellParseException } from '../exceptions/ShellParseException.js';
+
+// Longest operators first so that e.g. "&&" wins over "&"
+const OPERATORS = [
+  '&>>', '<<<', '<<-',
+  '&&', '||', ';;', '|&', '&>', '<<', '>>', '<&', '>&', '<>', '>|',
+  '|', '&', ';', '(', ')', '<', '>'
+];
+
+const REDIRECT_OPERATORS = new Set([
+  '<', '>', '>>', '>|', '<>', '<&', '>&', '&>', '&>>', '<<', '<<-', '<<<'
+]);
+
+// Reserved words that end a list when they appear in command position
+const LIST_TERMINATORS = new Set(['then', 'elif', 'else', 'fi', 'do', 'done', 'esac', '}']);
+
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const ASSIGNMENT_PATTERN = /^([A-Za-z_][A-Za-z0-9_]*)\+?=/;
+
+/**
+ * Parser for POSIX shell syntax (plus the common bash extensions the planner
+ * tends to emit: `&>`, `|&`, here-strings and process substitution).
+ *
+ * `ShellParser.parse(command)` returns a tree of plain objects:
+ *
+ *   list      { type: 'list', items: [{ node, operator }] }
+ *   pipeline  { type: 'pipeline', negated, commands: [...] }
+ *   command   { type: 'command', name, args, words, assignments, redirects }
+ *   subshell  { type: 'subshell', body, redirects }
+ *   group     { type: 'group', body, redirects }
+ *   if / while / until / for / case / function
+ *
+ * Every word keeps its source text (`raw`), its value after quote removal
+ * (`value`) and what the shell would still expand at run time (parameters,
+ * globs, tilde, and command substitutions parsed into nested trees).
+ */
+export class ShellParser {
+  constructor(input) {
+    this.input = input;
+    this.pos = 0;
+    this.tokens = [];
+    this.index = 0;
+    this.pendingHeredocs = [];
+  }
+
+  static parse(command) {
+    if (typeof command !== 'string') {
+      throw new ShellParseException('Command must be a string', command);
+    }
+
+    const parser = new ShellParser(command);
+    parser._tokenize();
+    return parser._parseProgram();
+  }
+
+  /**
+   * Visit every node in the tree, including commands nested inside command
+   * and process substitutions.
+   */
+  static walk(node, visitor, parent = null) {
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+
+    visitor(node, parent);
+
+    const visitWord = word => {
+      for (const substitution of word?.substitutions || []) {
+        ShellParser.walk(substitution, visitor, node);
+      }
+    };
+
+    switch (node.type) {
+      case 'list':
+        node.items.forEach(item => ShellParser.walk(item.node, visitor, node));
+        break;
+      case 'pipeline':
+        node.commands.forEach(command => ShellParser.walk(command, visitor, node));
+        break;
+      case 'command':
+        node.words.forEach(visitWord);
+        node.assignments.forEach(assignment => visitWord(assignment.value));
+        break;
+      case 'subshell':
+      case 'group':
+        ShellParser.walk(node.body, visitor, node);
+        break;
+      case 'if':
+        node.clauses.forEach(clause => {
+          ShellParser.walk(clause.condition, visitor, node);
+          ShellParser.walk(clause.body, visitor, node);
+        });
+        ShellParser.walk(node.elseBody, visitor, node);
+        break;
+      case 'while':
+      case 'until':
+        ShellParser.walk(node.condition, visitor, node);
+        ShellParser.walk(node.body, visitor, node);
+        break;
+      case 'for':
+        node.words.forEach(visitWord);
+        ShellParser.walk(node.body, visitor, node);
+        break;
+      case 'case':
+        visitWord(node.word);
+        node.items.forEach(item => ShellParser.walk(item.body, visitor, node));
+        break;
+      case 'function':
+        ShellParser.walk(node.body, visitor, node);
+        break;
+      default:
+        break;
+    }
+
+    for (const redirect of node.redirects || []) {
+      visitWord(redirect.target);
+    }
+  }
+
+  /**
+   * Flatten a tree into every simple command it contains, in source order.
+   */
+  static getSimpleCommands(ast) {
+    const commands = [];
+    ShellParser.walk(ast, node => {
+      if (node.type === 'command') {
+        commands.push(node);
+      }
+    });
+    return commands;
+  }
+
+  /**
+   * Return the single command node when the tree is one plain command that
+   * needs no shell to run: no pipes, lists, redirections, assignments or
+   * anything the shell would expand. Returns null otherwise.
+   */
+  static getPlainCommand(ast) {
+    if (ast?.type !== 'list' || ast.items.length !== 1 || ast.items[0].operator) {
+      return null;
+    }
+
+    const pipeline = ast.items[0].node;
+    if (pipeline.type !== 'pipeline' || pipeline.negated || pipeline.commands.length !== 1) {
+      return null;
+    }
+
+    const command = pipeline.commands[0];
+    if (command.type !== 'command' || !command.name ||
+        command.redirects.length > 0 || command.assignments.length > 0) {
+      return null;
+    }
+
+    return command.words.every(word => !ShellParser.isDynamicWord(word)) ? command : null;
+  }
+
+  /**
+   * True when the shell would change the word at run time.
+   */
+  static isDynamicWord(word) {
+    return word.expansions.length > 0 || word.substitutions.length > 0 ||
+      word.glob || word.tilde || word.arithmetic;
+  }
+
+  // ---------------------------------------------------------------------
+  // Lexer
+  // ---------------------------------------------------------------------
+
+  _tokenize() {
+    const input = this.input;
+
+    while (this.pos < input.length) {
+      const c = input[this.pos];
+
+      if (c === ' ' || c === '\t' || c === '\r') {
+        this.pos++;
+        continue;
+      }
+
+      if (c === '\\' && input[this.pos + 1] === '\n') {
+        this.pos += 2;
+        continue;
+      }
+
+      if (c === '\n') {
+        this.tokens.push({ type: 'op', value: '\n', position: this.pos });
+        this.pos++;
+        this._readPendingHeredocs();
+        continue;
+      }
+
+      if (c === '#') {
+        while (this.pos < input.length && input[this.pos] !== '\n') {
+          this.pos++;
+        }
+        continue;
+      }
+
+      // Process substitution is a word, not a redirection
+      const isProcessSubstitution = (c === '<' || c === '>') && input[this.pos + 1] === '(';
+      const operator = isProcessSubstitution ? null : this._matchOperator();
+
+      if (operator) {
+        const token = { type: 'op', value: operator, position: this.pos };
+        this.tokens.push(token);
+        this.pos += operator.length;
+
+        if (operator === '<<' || operator === '<<-') {
+          this.pendingHeredocs.push(token);
+        }
+        continue;
+      }
+
+      const start = this.pos;
+      const word = this._readWord();
+      const next = input[this.pos];
+
+      if (/^\d+$/.test(word.raw) && (next === '<' || next === '>') && input[this.pos + 1] !== '(') {
+        this.tokens.push({ type: 'io_number', value: parseInt(word.raw, 10), position: start });
+      } else {
+        this.tokens.push({ type: 'word', word, position: start });
+      }
+    }
+
+    if (this.pendingHeredocs.length > 0) {
+      this._readPendingHeredocs();
+    }
+
+    this.tokens.push({ type: 'eof', position: this.pos });
+  }
+
+  _matchOperator() {
+    for (const operator of OPERATORS) {
+      if (this.input.startsWith(operator, this.pos)) {
+        return operator;
+      }
+    }
+    return null;
+  }
+
+  _isWordBoundary(c) {
+    return c === undefined || c === ' ' || c === '\t' || c === '\r' || c === '\n' ||
+      c === '|' || c === '&' || c === ';' || c === '(' || c === ')' || c === '<' || c === '>';
+  }
+
+  _newWord() {
+    return {
+      raw: '',
+      value: '',
+      quoted: false,
+      expansions: [],
+      substitutions: [],
+      glob: false,
+      tilde: false,
+      arithmetic: false
+    };
+  }
+
+  _readWord() {
+    const input = this.input;
+    const start = this.pos;
+    const word = this._newWord();
+
+    if (input[this.pos] === '~') {
+      word.tilde = true;
+    }
+
+    while (this.pos < input.length) {
+      const c = input[this.pos];
+
+      if ((c === '<' || c === '>') && input[this.pos + 1] === '(' && this.pos === start) {
+        const end = this._findClosing(this.pos + 2, '(', ')');
+        const inner = input.slice(this.pos + 2, end);
+        word.substitutions.push(this._parseNested(inner, this.pos + 2));
+        word.value += input.slice(this.pos, end + 1);
+        this.pos = end + 1;
+        continue;
+      }
+
+      if (this._isWordBoundary(c)) {
+        break;
+      }
+
+      if (c === '\\') {
+        if (input[this.pos + 1] === '\n') {
+          this.pos += 2;
+          continue;
+        }
+        if (this.pos + 1 < input.length) {
+          word.value += input[this.pos + 1];
+        }
+        word.quoted = true;
+        this.pos += 2;
+        continue;
+      }
+
+      if (c === "'") {
+        const end = input.indexOf("'", this.pos + 1);
+        if (end === -1) {
+          throw new ShellParseException('Unterminated single quote', input, this.pos);
+        }
+        word.value += input.slice(this.pos + 1, end);
+        word.quoted = true;
+        this.pos = end + 1;
+        continue;
+      }
+
+      if (c === '"') {
+        this._readDoubleQuoted(word);
+        continue;
+      }
+
+      if (c === '`') {
+        this._readBackquote(word);
+        continue;
+      }
+
+      if (c === '$') {
+        this._readDollar(word);
+        continue;
+      }
+
+      if (c === '*' || c === '?') {
+        word.glob = true;
+      } else if (c === '[' && input.indexOf(']', this.pos + 1) !== -1) {
+        word.glob = true;
+      } else if (c === '{' && /^\{[^\s{}]*,[^\s{}]*\}/.test(input.slice(this.pos))) {
+        // Brace expansion turns one word into several
+        word.glob = true;
+      }
+
+      word.value += c;
+      this.pos++;
+    }
+
+    word.raw = input.slice(start, this.pos);
+    return word;
+  }
+
+  _readDoubleQuoted(word) {
+    const input = this.input;
+    const start = this.pos;
+    word.quoted = true;
+    this.pos++;
+
+    while (this.pos < input.length && input[this.pos] !== '"') {
+      const c = input[this.pos];
+
+      if (c === '\\') {
+        const next = input[this.pos + 1];
+        if (next === '\n') {
+          this.pos += 2;
+          continue;
+        }
+        if (next === '$' || next === '`' || next === '"' || next === '\\') {
+          word.value += next;
+          this.pos += 2;
+          continue;
+        }
+        word.value += c;
+        this.pos++;
+        continue;
+      }
+
+      if (c === '`') {
+        this._readBackquote(word);
+        continue;
+      }
+
+      if (c === '$') {
+        this._readDollar(word);
+        continue;
+      }
+
+      word.value += c;
+      this.pos++;
+    }
+
+    if (this.pos >= input.length) {
+      throw new ShellParseException('Unterminated double quote', input, start);
+    }
+
+    this.pos++;
+  }
+
+  _readBackquote(word) {
+    const input = this.input;
+    const start = this.pos;
+    let inner = '';
+    this.pos++;
+
+    while (this.pos < input.length && input[this.pos] !== '`') {
+      if (input[this.pos] === '\\' && this.pos + 1 < input.length) {
+        const next = input[this.pos + 1];
+        inner += (next === '`' || next === '\\' || next === '$') ? next : `\\${next}`;
+        this.pos += 2;
+        continue;
+      }
+      inner += input[this.pos];
+      this.pos++;
+    }
+
+    if (this.pos >= input.length) {
+      throw new ShellParseException('Unterminated backquote', input, start);
+    }
+
+    this.pos++;
+    word.substitutions.push(this._parseNested(inner, start + 1));
+    word.value += input.slice(start, this.pos);
+  }
+
+  _readDollar(word) {
+    const input = this.input;
+    const start = this.pos;
+    const next = input[this.pos + 1];
+
+    if (next === '(' && input[this.pos + 2] === '(') {
+      const end = this._findClosing(this.pos + 3, '(', ')');
+      if (input[end + 1] !== ')') {
+        throw new ShellParseException('Unterminated arithmetic expansion', input, start);
+      }
+      word.arithmetic = true;
+      this.pos = end + 2;
+    } else if (next === '(') {
+      const end = this._findClosing(this.pos + 2, '(', ')');
+      word.substitutions.push(this._parseNested(input.slice(this.pos + 2, end), this.pos + 2));
+      this.pos = end + 1;
+    } else if (next === '{') {
+      const end = this._findClosing(this.pos + 2, '{', '}');
+      const name = input.slice(this.pos + 2, end).match(/^[#!]?([A-Za-z_][A-Za-z0-9_]*|\d+|[@*#?$!-])/);
+      word.expansions.push(name ? name[1] : input.slice(this.pos + 2, end));
+      this.pos = end + 1;
+    } else if (next && /[A-Za-z_]/.test(next)) {
+      const name = input.slice(this.pos + 1).match(/^[A-Za-z_][A-Za-z0-9_]*/)[0];
+      word.expansions.push(name);
+      this.pos += 1 + name.length;
+    } else if (next && /[0-9@*#?$!-]/.test(next)) {
+      word.expansions.push(next);
+      this.pos += 2;
+    } else {
+      // A lone "$" is literal
+      this.pos++;
+    }
+
+    word.value += input.slice(start, this.pos);
+  }
+
+  /**
+   * Find the index of the bracket closing the one just before `from`,
+   * skipping over quoted text and nested brackets.
+   */
+  _findClosing(from, open, close) {
+    const input = this.input;
+    let depth = 1;
+    let i = from;
+
+    while (i < input.length) {
+      const c = input[i];
+
+      if (c === '\\') {
+        i += 2;
+        continue;
+      }
+
+      if (c === "'") {
+        const end = input.indexOf("'", i + 1);
+        if (end === -1) {
+          break;
+        }
+        i = end + 1;
+        continue;
+      }
+
+      if (c === '"') {
+        i++;
+        while (i < input.length && input[i] !== '"') {
+          i += input[i] === '\\' ? 2 : 1;
+        }
+        i++;
+        continue;
+      }
+
+      if (c === open) {
+        depth++;
+      } else if (c === close) {
+        depth--;
+        if (depth === 0) {
+          return i;
+        }
+      }
+      i++;
+    }
+
+    throw new ShellParseException(`Unterminated "${open}" - missing "${close}"`, input, from - 1);
+  }
+
+  _parseNested(inner, offset) {
+    try {
+      return ShellParser.parse(inner);
+    } catch (error) {
+      if (error instanceof ShellParseException) {
+        throw new ShellParseException(error.message, this.input, offset + (error.position ?? 0));
+      }
+      throw error;
+    }
+  }
+
+  _readPendingHeredocs() {
+    const heredocs = this.pendingHeredocs;
+    this.pendingHeredocs = [];
+
+    for (const token of heredocs) {
+      const delimiterToken = this.tokens[this.tokens.indexOf(token) + 1];
+      if (!delimiterToken || delimiterToken.type !== 'word') {
+        continue;
+      }
+
+      const delimiter = delimiterToken.word.value;
+      const lines = [];
+      let terminated = false;
+
+      while (this.pos < this.input.length) {
+        let end = this.input.indexOf('\n', this.pos);
+        if (end === -1) {
+          end = this.input.length;
+        }
+
+        let line = this.input.slice(this.pos, end);
+        this.pos = end + 1;
+
+        if (token.value === '<<-') {
+          line = line.replace(/^\t+/, '');
+        }
+        if (line === delimiter) {
+          terminated = true;
+          break;
+        }
+        lines.push(line);
+      }
+
+      token.heredoc = lines.join('\n');
+      token.heredocTerminated = terminated;
+    }
+  }
+
+  // ---------------------------------------------------------------------
+  // Parser
+  // ---------------------------------------------------------------------
+
+  _peek(offset = 0) {
+    return this.tokens[this.index + offset];
+  }
+
+  _advance() {
+    return this.tokens[this.index++];
+  }
+
+  _isOp(token, ...values) {
+    return token?.type === 'op' && values.includes(token.value);
+  }
+
+  _isReserved(token, ...values) {
+    return token?.type === 'word' && !token.word.quoted && values.includes(token.word.raw);
+  }
+
+  _skipNewlines() {
+    while (this._isOp(this._peek(), '\n')) {
+      this.index++;
+    }
+  }
+
+  _error(message, token = this._peek()) {
+    return new ShellParseException(message, this.input, token?.position ?? this.input.length);
+  }
+
+  _describe(token) {
+    if (!token || token.type === 'eof') {
+      return 'end of input';
+    }
+    if (token.type === 'op') {
+      return token.value === '\n' ? 'newline' : `"${token.value}"`;
+    }
+    if (token.type === 'io_number') {
+      return `"${token.value}"`;
+    }
+    return `"${token.word.raw}"`;
+  }
+
+  _expectReserved(value) {
+    const token = this._peek();
+    if (!this._isReserved(token, value)) {
+      throw this._error(`Expected "${value}" but found ${this._describe(token)}`);
+    }
+    this._advance();
+  }
+
+  _expectOp(value) {
+    const token = this._peek();
+    if (!this._isOp(token, value)) {
+      throw this._error(`Expected "${value}" but found ${this._describe(token)}`);
+    }
+    this._advance();
+  }
+
+  _parseProgram() {
+    this._skipNewlines();
+    const list = this._parseList();
+    const token = this._peek();
+
+    if (token.type !== 'eof') {
+      throw this._error(`Unexpected ${this._describe(token)}`);
+    }
+
+    return list;
+  }
+
+  _atListEnd() {
+    const token = this._peek();
+    return token.type === 'eof' ||
+      this._isOp(token, ')', ';;') ||
+      (token.type === 'word' && !token.word.quoted && LIST_TERMINATORS.has(token.word.raw));
+  }
+
+  _parseList() {
+    const items = [];
+    this._skipNewlines();
+
+    while (!this._atListEnd()) {
+      const item = { node: this._parsePipeline(), operator: null };
+      items.push(item);
+
+      const token = this._peek();
+      if (this._isOp(token, '&&', '||')) {
+        item.operator = token.value;
+        this._advance();
+        this._skipNewlines();
+        if (this._atListEnd()) {
+          throw this._error(`Expected a command after "${item.operator}"`);
+        }
+        continue;
+      }
+
+      if (this._isOp(token, ';', '&', '\n')) {
+        item.operator = token.value === '\n' ? ';' : token.value;
+        this._advance();
+        this._skipNewlines();
+        continue;
+      }
+
+      break;
+    }
+
+    return { type: 'list', items };
+  }
+
+  _parsePipeline() {
+    let negated = false;
+    if (this._isReserved(this._peek(), '!')) {
+      negated = true;
+      this._advance();
+    }
+
+    const commands = [this._parseCommand()];
+    const operators = [];
+
+    while (this._isOp(this._peek(), '|', '|&')) {
+      operators.push(this._advance().value);
+      this._skipNewlines();
+      commands.push(this._parseCommand());
+    }
+
+    return { type: 'pipeline', negated, commands, operators };
+  }
+
+  _parseCommand() {
+    const token = this._peek();
+
+    if (this._isOp(token, '(')) {
+      this._advance();
+      const body = this._parseList();
+      this._expectOp(')');
+      return { type: 'subshell', body, redirects: this._parseRedirects() };
+    }
+
+    if (this._isReserved(token, '{')) {
+      this._advance();
+      const body = this._parseList();
+      this._expectReserved('}');
+      return { type: 'group', body, redirects: this._parseRedirects() };
+    }
+
+    if (this._isReserved(token, 'if')) {
+      return this._parseIf();
+    }
+
+    if (this._isReserved(token, 'while', 'until')) {
+      return this._parseLoop();
+    }
+
+    if (this._isReserved(token, 'for')) {
+      return this._parseFor();
+    }
+
+    if (this._isReserved(token, 'case')) {
+      return this._parseCase();
+    }
+
+    if (this._isReserved(token, 'function')) {
+      this._advance();
+      const nameToken = this._advance();
+      if (nameToken?.type !== 'word') {
+        throw this._error('Expected a function name', nameToken);
+      }
+      if (this._isOp(this._peek(), '(') && this._isOp(this._peek(1), ')')) {
+        this.index += 2;
+      }
+      this._skipNewlines();
+      return { type: 'function', name: nameToken.word.value, body: this._parseCommand() };
+    }
+
+    if (token.type === 'word' && this._isOp(this._peek(1), '(') && this._isOp(this._peek(2), ')')) {
+      this.index += 3;
+      this._skipNewlines();
+      return { type: 'function', name: token.word.value, body: this._parseCommand() };
+    }
+
+    return this._parseSimpleCommand();
+  }
+
+  _parseSimpleCommand() {
+    const words = [];
+    const assignments = [];
+    const redirects = [];
+
+    for (;;) {
+      const token = this._peek();
+
+      if (token.type === 'io_number' || (token.type === 'op' && REDIRECT_OPERATORS.has(token.value))) {
+        redirects.push(this._parseRedirect());
+        continue;
+      }
+
+      if (token.type !== 'word') {
+        break;
+      }
+
+      const assignment = words.length === 0 ? token.word.raw.match(ASSIGNMENT_PATTERN) : null;
+      if (assignment) {
+        const value = { ...token.word, raw: token.word.raw.slice(token.word.raw.indexOf('=') + 1) };
+        value.value = token.word.value.slice(token.word.value.indexOf('=') + 1);
+        assignments.push({ name: assignment[1], value });
+      } else {
+        words.push(token.word);
+      }
+      this._advance();
+    }
+
+    if (words.length === 0 && assignments.length === 0 && redirects.length === 0) {
+      throw this._error(`Unexpected ${this._describe(this._peek())}`);
+    }
+
+    return {
+      type: 'command',
+      name: words[0]?.value ?? null,
+      args: words.slice(1).map(word => word.value),
+      words,
+      assignments,
+      redirects
+    };
+  }
+
+  _parseRedirect() {
+    let fd = null;
+    if (this._peek().type === 'io_number') {
+      fd = this._advance().value;
+    }
+
+    const operatorToken = this._advance();
+    if (operatorToken?.type !== 'op' || !REDIRECT_OPERATORS.has(operatorToken.value)) {
+      throw this._error('Expected a redirection operator', operatorToken);
+    }
+
+    const targetToken = this._advance();
+    if (targetToken?.type !== 'word') {
+      throw this._error(`Expected a file name after "${operatorToken.value}"`, targetToken);
+    }
+
+    const redirect = { type: 'redirect', fd, op: operatorToken.value, target: targetToken.word };
+
+    if (operatorToken.value === '<<' || operatorToken.value === '<<-') {
+      redirect.heredoc = operatorToken.heredoc ?? '';
+    }
+
+    return redirect;
+  }
+
+  _parseRedirects() {
+    const redirects = [];
+    while (this._peek().type === 'io_number' ||
+      (this._peek().type === 'op' && REDIRECT_OPERATORS.has(this._peek().value))) {
+      redirects.push(this._parseRedirect());
+    }
+    return redirects;
+  }
+
+  _parseIf() {
+    this._expectReserved('if');
+    const clauses = [];
+    let elseBody = null;
+
+    const condition = this._parseList();
+    this._expectReserved('then');
+    clauses.push({ condition, body: this._parseList() });
+
+    while (this._isReserved(this._peek(), 'elif')) {
+      this._advance();
+      const elifCondition = this._parseList();
+      this._expectReserved('then');
+      clauses.push({ condition: elifCondition, body: this._parseList() });
+    }
+
+    if (this._isReserved(this._peek(), 'else')) {
+      this._advance();
+      elseBody = this._parseList();
+    }
+
+    this._expectReserved('fi');
+    return { type: 'if', clauses, elseBody, redirects: this._parseRedirects() };
+  }
+
+  _parseLoop() {
+    const kind = this._advance().word.raw;
+    const condition = this._parseList();
+    this._expectReserved('do');
+    const body = this._parseList();
+    this._expectReserved('done');
+    return { type: kind, condition, body, redirects: this._parseRedirects() };
+  }
+
+  _parseFor() {
+    this._expectReserved('for');
+    const nameToken = this._advance();
+    if (nameToken?.type !== 'word' || !NAME_PATTERN.test(nameToken.word.raw)) {
+      throw this._error('Expected a variable name after "for"', nameToken);
+    }
+
+    const words = [];
+    this._skipNewlines();
+
+    if (this._isReserved(this._peek(), 'in')) {
+      this._advance();
+      while (this._peek().type === 'word') {
+        words.push(this._advance().word);
+      }
+    }
+
+    if (this._isOp(this._peek(), ';', '\n')) {
+      this._advance();
+    }
+    this._skipNewlines();
+
+    this._expectReserved('do');
+    const body = this._parseList();
+    this._expectReserved('done');
+    return { type: 'for', variable: nameToken.word.raw, words, body, redirects: this._parseRedirects() };
+  }
+
+  _parseCase() {
+    this._expectReserved('case');
+    const wordToken = this._advance();
+    if (wordToken?.type !== 'word') {
+      throw this._error('Expected a word after "case"', wordToken);
+    }
+
+    this._skipNewlines();
+    this._expectReserved('in');
+    this._skipNewlines();
+
+    const items = [];
+    while (!this._isReserved(this._peek(), 'esac')) {
+      if (this._isOp(this._peek(), '(')) {
+        this._advance();
+      }
+
+      const patterns = [this._parseCasePattern()];
+      while (this._isOp(this._peek(), '|')) {
+        this._advance();
+        patterns.push(this._parseCasePattern());
+      }
+
+      this._expectOp(')');
+      const body = this._parseList();
+      items.push({ patterns, body });
+
+      if (this._isOp(this._peek(), ';;')) {
+        this._advance();
+      }
+      this._skipNewlines();
+
+      if (this._peek().type === 'eof') {
+        throw this._error('Expected "esac"');
+      }
+    }
+
+    this._expectReserved('esac');
+    return { type: 'case', word: wordToken.word, items, redirects: this._parseRedirects() };
+  }
+
+  _parseCasePattern() {
+    const token = this._advance();
+    if (token?.type !== 'word') {
+      throw this._error('Expected a case pattern', token);
+    }
+    return token.word;
+  }
+}
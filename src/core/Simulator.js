@@ -0,0 +1,282 @@
+import { promises as fs } from 'fs';
+import { createHash } from 'crypto';
+import path from 'path';
+import os from 'os';
+import { ConfigManager } from '../utils/ConfigManager.js';
+import { LoggingUtil } from '../utils/LoggingUtil.js';
+import { SandboxException } from '../exceptions/SandboxException.js';
+import { Step } from '../models/Plan.js';
+import { SandboxExecutor } from './SandboxExecutor.js';
+import { SandboxIsolation } from './SandboxIsolation.js';
+import { Validator } from './Validator.js';
+import { StepVariables } from './StepVariables.js';
+
+// Modified text files up to this size get a line count in the diff
+const MAX_DIFF_BYTES = 256 * 1024;
+
+// Programs that act on other processes, services or the desktop, which a
+// read-only filesystem doesn't stop
+const UNCONFINED_PROGRAMS = new Set([
+  'kill', 'pkill', 'killall', 'systemctl', 'service', 'launchctl', 'docker', 'podman', 'sudo', 'su', 'doas',
+  'osascript', 'open', 'xdg-open', 'gsettings', 'dconf', 'defaults', 'crontab', 'shutdown', 'reboot',
+  'wmctrl', 'xdotool', 'xrandr', 'pactl', 'amixer', 'nmcli', 'dbus-send', 'loginctl'
+]);
+
+/**
+ * Runs a plan against a throwaway copy of its working directories and
+ * reports what changed. Every step runs isolated, with only the copy
+ * writable and no network; simulation is refused where no isolation backend
+ * works. Steps are re-validated against the copy, and ones that would touch
+ * files outside it, need the network or act on other processes are skipped.
+ */
+export class Simulator {
+  constructor() {
+    this.config = ConfigManager.getInstance();
+    this.logger = LoggingUtil.getInstance();
+    this.maxSimulationMB = this.config.get('sandbox.maxSimulationMB', 200);
+    this.tempDir = null;
+  }
+
+  async run(plan, options = {}) {
+    const onStep = options.onStep || (() => {});
+    const roots = this._collectRoots(plan);
+    const isolation = await SandboxIsolation.mandatory(this.config.get('sandbox.isolation', 'none'), 'Simulating a plan');
+
+    this.tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'genesis-simulate-'));
+    const copies = new Map();
+
+    for (const [index, root] of roots.entries()) {
+      const size = await this._measure(root);
+      if (size > this.maxSimulationMB * 1024 * 1024) {
+        throw new SandboxException(
+          `${root} is too large to simulate (${Math.round(size / 1024 / 1024)}MB > ${this.maxSimulationMB}MB); raise sandbox.maxSimulationMB`,
+          null, null, root
+        );
+      }
+      const copy = path.join(this.tempDir, 'fs', String(index));
+      await fs.cp(root, copy, { recursive: true, preserveTimestamps: true, verbatimSymlinks: true });
+      copies.set(root, copy);
+    }
+
+    const executor = new SandboxExecutor();
+    executor.workDir = path.join(this.tempDir, 'sandbox');
+    executor.isolation = isolation;
+    const validator = new Validator();
+
+    const simulation = { roots: [...copies.entries()].map(([root, copy]) => ({ root, copy })), steps: [], changes: [] };
+
+    const variables = new StepVariables();
+
+    for (const step of plan.getExecutionOrder()) {
+      let command;
+      try {
+        command = variables.substitute(step.command);
+      } catch (error) {
+        const entry = { step, skipped: error.message };
+        simulation.steps.push(entry);
+        onStep(entry);
+        continue;
+      }
+
+      const simulatedStep = new Step({ ...step.toJSON(), command, workingDirectory: this._mapPath(step.workingDirectory, copies) });
+      const validation = await validator.validateStep(simulatedStep);
+      const escapes = this._escapingPaths(validation.fileImpact, copies);
+      const unconfined = this._unconfinedPrograms(validation);
+
+      let entry;
+      if (!validation.allowed) {
+        entry = { step, skipped: `Blocked: ${validation.blockedReasons.join(', ')}` };
+      } else if (escapes.length > 0) {
+        entry = { step, skipped: `Would touch paths outside the simulation: ${escapes.join(', ')}` };
+      } else if (unconfined.length > 0) {
+        entry = { step, skipped: `Can't be confined to the copy: ${unconfined.join(', ')}` };
+      } else if (validation.requiresNetwork) {
+        entry = { step, skipped: 'Needs network access, which simulations don\'t have' };
+      } else {
+        entry = { step, result: await executor.executeStep(simulatedStep, { writablePaths: [this.tempDir] }) };
+        if (entry.result.success) {
+          try {
+            variables.capture(step, entry.result);
+          } catch (error) {
+            this.logger.debug('Could not capture simulated step output', { stepId: step.id, error: error.message });
+          }
+        }
+      }
+
+      simulation.steps.push(entry);
+      onStep(entry);
+    }
+
+    for (const [root, copy] of copies) {
+      simulation.changes.push(...(await this._diff(root, copy)));
+    }
+
+    return simulation;
+  }
+
+  async cleanup() {
+    if (this.tempDir) {
+      await fs.rm(this.tempDir, { recursive: true, force: true });
+      this.tempDir = null;
+    }
+  }
+
+  /**
+   * The distinct working directories of a plan, without ones nested in
+   * another.
+   */
+  _collectRoots(plan) {
+    const dirs = [...new Set(plan.steps.map(step => path.resolve(step.workingDirectory || process.cwd())))];
+    return dirs.filter(dir => !dirs.some(other => other !== dir && this._isInside(dir, other)));
+  }
+
+  _mapPath(filePath, copies) {
+    const resolved = path.resolve(filePath || process.cwd());
+    for (const [root, copy] of copies) {
+      if (this._isInside(resolved, root)) {
+        return path.join(copy, path.relative(root, resolved));
+      }
+    }
+    return resolved;
+  }
+
+  _escapingPaths(fileImpact, copies) {
+    if (!fileImpact) {
+      return [];
+    }
+
+    const inside = target => [...copies.values()].some(copy => this._isInside(target.path, copy));
+    return [
+      ...fileImpact.targets.filter(target => !inside(target)).map(target => target.path),
+      ...fileImpact.unresolved
+    ];
+  }
+
+  _unconfinedPrograms(validation) {
+    const programs = validation.subCommands.flatMap(command => {
+      if (command.dynamic || !command.program) {
+        return ['a command computed at run time'];
+      }
+      return [...command.wrappers, command.program].filter(program => UNCONFINED_PROGRAMS.has(program));
+    });
+    return [...new Set(programs)];
+  }
+
+  _isInside(filePath, dir) {
+    const relative = path.relative(dir, filePath);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+  }
+
+  async _measure(dir) {
+    let total = 0;
+    for (const entry of (await this._listFiles(dir)).values()) {
+      total += entry.size;
+    }
+    return total;
+  }
+
+  /**
+   * Map of relative path -> { size, type } for everything under a directory.
+   */
+  async _listFiles(root) {
+    const files = new Map();
+    const pending = [''];
+
+    while (pending.length > 0) {
+      const relative = pending.pop();
+      let entries;
+      try {
+        entries = await fs.readdir(path.join(root, relative), { withFileTypes: true });
+      } catch (error) {
+        this.logger.debug('Could not read directory during simulation', { dir: relative, error: error.message });
+        continue;
+      }
+
+      for (const entry of entries) {
+        const entryPath = path.join(relative, entry.name);
+        if (entry.isDirectory()) {
+          files.set(entryPath, { type: 'directory', size: 0 });
+          pending.push(entryPath);
+        } else {
+          const stats = await fs.lstat(path.join(root, entryPath));
+          files.set(entryPath, { type: entry.isSymbolicLink() ? 'symlink' : 'file', size: stats.size, mode: stats.mode });
+        }
+      }
+    }
+
+    return files;
+  }
+
+  async _diff(root, copy) {
+    const before = await this._listFiles(root);
+    const after = await this._listFiles(copy);
+    const changes = [];
+
+    for (const [relative, entry] of after) {
+      const original = before.get(relative);
+      const filePath = path.join(root, relative);
+
+      if (!original) {
+        changes.push({ type: 'created', path: filePath, kind: entry.type, size: entry.size });
+      } else if (entry.type === 'file' && original.type === 'file') {
+        const change = await this._compareFiles(path.join(root, relative), path.join(copy, relative), original, entry);
+        if (change) {
+          changes.push({ type: 'modified', path: filePath, kind: 'file', ...change });
+        }
+      }
+    }
+
+    for (const [relative, entry] of before) {
+      if (!after.has(relative)) {
+        changes.push({ type: 'deleted', path: path.join(root, relative), kind: entry.type, size: entry.size });
+      }
+    }
+
+    return changes.sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  async _compareFiles(originalPath, copyPath, original, entry) {
+    const modeChanged = original.mode !== entry.mode;
+    if (original.size === entry.size) {
+      const [a, b] = await Promise.all([this._hash(originalPath), this._hash(copyPath)]);
+      if (a === b) {
+        return modeChanged ? { size: entry.size, modeChanged } : null;
+      }
+    }
+
+    const change = { size: entry.size, previousSize: original.size, modeChanged };
+    if (original.size <= MAX_DIFF_BYTES && entry.size <= MAX_DIFF_BYTES) {
+      Object.assign(change, await this._countLineChanges(originalPath, copyPath));
+    }
+    return change;
+  }
+
+  /**
+   * Lines added/removed, counted as a multiset difference.
+   */
+  async _countLineChanges(originalPath, copyPath) {
+    const [a, b] = await Promise.all([fs.readFile(originalPath), fs.readFile(copyPath)]);
+    if (a.includes(0) || b.includes(0)) {
+      return { binary: true };
+    }
+
+    const counts = new Map();
+    a.toString('utf8').split('\n').forEach(line => counts.set(line, (counts.get(line) || 0) + 1));
+
+    let added = 0;
+    for (const line of b.toString('utf8').split('\n')) {
+      if (counts.get(line) > 0) {
+        counts.set(line, counts.get(line) - 1);
+      } else {
+        added++;
+      }
+    }
+    const removed = [...counts.values()].reduce((sum, count) => sum + count, 0);
+
+    return { linesAdded: added, linesRemoved: removed };
+  }
+
+  async _hash(filePath) {
+    return createHash('sha1').update(await fs.readFile(filePath)).digest('hex');
+  }
+}
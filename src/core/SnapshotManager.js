@@ -0,0 +1,170 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { ConfigManager } from '../utils/ConfigManager.js';
+import { LoggingUtil } from '../utils/LoggingUtil.js';
+import { SandboxException } from '../exceptions/SandboxException.js';
+
+// File impact kinds that change what is on disk
+const MUTATING_KINDS = new Set(['delete', 'move', 'write', 'append', 'permissions']);
+
+/**
+ * Copies the paths a step is about to change into the sandbox backup area
+ * and restores them later. A snapshot's manifest is stored with the step's
+ * ExecutionResult, so the execution log is all `el rollback` needs.
+ */
+export class SnapshotManager {
+  constructor(backupDir) {
+    this.config = ConfigManager.getInstance();
+    this.logger = LoggingUtil.getInstance();
+    this.backupDir = backupDir;
+    this.maxSnapshotMB = this.config.get('sandbox.maxSnapshotMB', 500);
+  }
+
+  static needsSnapshot(fileImpact) {
+    return !!fileImpact && fileImpact.targets.some(target => MUTATING_KINDS.has(target.kind));
+  }
+
+  /**
+   * Back up every path the file impact says will change. Paths that do not
+   * exist yet are recorded so rollback can remove them again.
+   */
+  async snapshot(taskId, stepId, fileImpact) {
+    const dir = path.join(this.backupDir, taskId, String(stepId));
+    const targets = this._uniqueTargets(fileImpact);
+    const manifest = {
+      taskId,
+      stepId,
+      dir,
+      createdAt: new Date().toISOString(),
+      complete: true,
+      entries: []
+    };
+
+    const totalBytes = targets.reduce((sum, target) => sum + target.bytes, 0);
+    if (totalBytes > this.maxSnapshotMB * 1024 * 1024 || targets.some(target => target.truncated)) {
+      manifest.complete = false;
+      manifest.reason = `Affected files exceed the ${this.maxSnapshotMB}MB snapshot limit`;
+      this.logger.warn('Skipping snapshot', { taskId, stepId, totalBytes });
+      return manifest;
+    }
+
+    await fs.mkdir(dir, { recursive: true });
+
+    for (const [index, target] of targets.entries()) {
+      const entry = { path: target.path, existed: false };
+
+      let stats;
+      try {
+        stats = await fs.lstat(target.path);
+      } catch {
+        manifest.entries.push(entry);
+        continue;
+      }
+
+      entry.existed = true;
+      entry.type = stats.isDirectory() ? 'directory' : stats.isSymbolicLink() ? 'symlink' : 'file';
+      entry.mode = stats.mode;
+      entry.uid = stats.uid;
+      entry.gid = stats.gid;
+
+      // A plain chmod/chown only needs the metadata above
+      if (target.kind === 'permissions' && !target.recursive) {
+        manifest.entries.push(entry);
+        continue;
+      }
+
+      entry.backup = path.join(dir, `${index}-${path.basename(target.path) || 'root'}`);
+
+      try {
+        await fs.cp(target.path, entry.backup, { recursive: true, preserveTimestamps: true, verbatimSymlinks: true });
+      } catch (error) {
+        manifest.complete = false;
+        entry.error = error.message;
+        this.logger.warn('Failed to back up path', { path: target.path, error: error.message });
+      }
+
+      manifest.entries.push(entry);
+    }
+
+    this.logger.info('Snapshot created', { taskId, stepId, entries: manifest.entries.length });
+    return manifest;
+  }
+
+  /**
+   * Put every path in a snapshot back the way it was: backed-up paths are
+   * copied back and paths that did not exist are removed.
+   */
+  async restore(manifest) {
+    const result = { restored: [], removed: [], failed: [] };
+
+    for (const entry of [...manifest.entries].reverse()) {
+      try {
+        if (!entry.existed) {
+          if (await this._exists(entry.path)) {
+            await fs.rm(entry.path, { recursive: true, force: true });
+            result.removed.push(entry.path);
+          }
+          continue;
+        }
+
+        if (entry.backup) {
+          if (entry.error || !(await this._exists(entry.backup))) {
+            throw new SandboxException('Backup copy is missing', null, null, manifest.dir);
+          }
+
+          await fs.rm(entry.path, { recursive: true, force: true });
+          await fs.mkdir(path.dirname(entry.path), { recursive: true });
+          await fs.cp(entry.backup, entry.path, { recursive: true, preserveTimestamps: true, verbatimSymlinks: true });
+        }
+
+        if (entry.type !== 'symlink') {
+          await fs.chmod(entry.path, entry.mode & 0o7777);
+          // Ownership can only be restored with enough privileges
+          await fs.lchown(entry.path, entry.uid, entry.gid).catch(() => {});
+        }
+
+        result.restored.push(entry.path);
+      } catch (error) {
+        result.failed.push({ path: entry.path, error: error.message });
+      }
+    }
+
+    this.logger.info('Snapshot restored', {
+      taskId: manifest.taskId,
+      stepId: manifest.stepId,
+      restored: result.restored.length,
+      removed: result.removed.length,
+      failed: result.failed.length
+    });
+
+    return result;
+  }
+
+  async discard(manifest) {
+    await fs.rm(manifest.dir, { recursive: true, force: true });
+  }
+
+  _uniqueTargets(fileImpact) {
+    const byPath = new Map();
+    for (const target of fileImpact.targets) {
+      if (MUTATING_KINDS.has(target.kind) && !byPath.has(target.path)) {
+        byPath.set(target.path, target);
+      }
+    }
+
+    // Backing up (or removing) a directory already covers paths inside it
+    const paths = [...byPath.keys()];
+    return [...byPath.values()].filter(target =>
+      !paths.some(other => target.path.startsWith(other.endsWith(path.sep) ? other : other + path.sep))
+    );
+  }
+
+  async _exists(filePath) {
+    try {
+      await fs.lstat(filePath);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
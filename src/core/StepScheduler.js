@@ -0,0 +1,106 @@
+import { LoggingUtil } from '../utils/LoggingUtil.js';
+
+/**
+ * Runs the steps of a plan in dependency order, starting independent steps
+ * side by side up to `concurrency` at a time. A failed step skips every step
+ * that requires it; whether the rest still runs is up to `onFailure`.
+ */
+export class StepScheduler {
+  constructor(plan, options = {}) {
+    this.plan = plan;
+    this.concurrency = Math.max(1, Number(options.concurrency) || 1);
+    this.logger = LoggingUtil.getInstance();
+  }
+
+  /**
+   * `runStep(step)` resolves to an ExecutionResult. Callbacks:
+   * `onFailure(step, result)` resolves to false to stop starting new steps,
+   * `onSkip(step, reason)` reports steps that will not run.
+   *
+   * Resolves to one outcome per step in plan order:
+   * { step, status: 'success'|'failed'|'skipped', result, reason }
+   */
+  async run(runStep, options = {}) {
+    const onFailure = options.onFailure || (() => true);
+    const onSkip = options.onSkip || (() => {});
+
+    const errors = this.plan.validateDependencies();
+    if (errors.length > 0) {
+      throw new Error(`Invalid step dependencies: ${errors.join('; ')}`);
+    }
+
+    const outcomes = new Map();
+    const running = new Map();
+    let stopReason = null;
+
+    const skip = (step, reason) => {
+      outcomes.set(step.id, { step, status: 'skipped', reason });
+      onSkip(step, reason);
+    };
+
+    for (;;) {
+      let changed = true;
+      while (changed) {
+        changed = false;
+        for (const step of this.plan.steps) {
+          if (outcomes.has(step.id) || running.has(step.id)) {
+            continue;
+          }
+          if (stopReason) {
+            skip(step, stopReason);
+            changed = true;
+            continue;
+          }
+
+          const dependencies = this.plan.getDependencies(step);
+          if (!dependencies.every(dep => outcomes.has(dep.stepId))) {
+            continue;
+          }
+
+          const blocker = dependencies.find(dep => dep.required && outcomes.get(dep.stepId).status !== 'success');
+          if (blocker) {
+            skip(step, `Needs ${blocker.stepId}, which ${outcomes.get(blocker.stepId).status === 'failed' ? 'failed' : 'did not run'}`);
+            changed = true;
+            continue;
+          }
+
+          if (running.size < this.concurrency) {
+            running.set(step.id, Promise.resolve()
+              .then(() => runStep(step))
+              .then(result => ({ step, result }), error => ({ step, error })));
+          }
+        }
+      }
+
+      if (running.size === 0) {
+        break;
+      }
+
+      const { step, result, error } = await Promise.race(running.values());
+      running.delete(step.id);
+
+      if (error) {
+        this.logger.error('Step could not be run', { stepId: step.id, error: error.message });
+        outcomes.set(step.id, { step, status: 'failed', reason: error.message });
+        stopReason = stopReason || `Stopped after ${step.id} could not be run`;
+        continue;
+      }
+
+      if (result.success) {
+        outcomes.set(step.id, { step, status: 'success', result });
+        continue;
+      }
+
+      outcomes.set(step.id, { step, status: 'failed', result });
+      const blocked = new Set(this.plan.getRequiredDependents(step.id));
+      const remaining = this.plan.steps.some(other =>
+        !outcomes.has(other.id) && !running.has(other.id) && !blocked.has(other.id)
+      );
+      if (remaining && !stopReason && !(await onFailure(step, result))) {
+        stopReason = `Stopped after ${step.id} failed`;
+      }
+    }
+
+    return this.plan.steps.map(step => outcomes.get(step.id));
+  }
+}
@@ -0,0 +1,164 @@
+import { ValidationException } from '../exceptions/ValidationException.js';
+
+const REFERENCE_PATTERN = /\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g;
+
+// Values made only of these characters are substituted without quotes
+const SAFE_VALUE = /^[\w./:=@%+,-]+$/;
+
+/**
+ * Values captured from step output and substituted into later commands as
+ * `{{name}}`. A step declares what it captures in `outputs`:
+ *
+ *   outputs: {
+ *     all: 'stdout',                          // whole stdout, trimmed
+ *     first: { line: 1 },                     // 1-based, -1 is the last line
+ *     version: { regex: 'v(\\d+)', group: 1 }, // a regex match or group
+ *     name: { json: 'items[0].name' },        // a field of JSON output
+ *     warnings: { from: 'stderr' }            // any of the above on stderr
+ *   }
+ *
+ * Values are shell-quoted when substituted, so write `{{name}}` unquoted.
+ */
+export class StepVariables {
+  constructor(values = {}) {
+    this.values = new Map(Object.entries(values));
+  }
+
+  static references(command) {
+    return [...new Set([...(command || '').matchAll(REFERENCE_PATTERN)].map(match => match[1]))];
+  }
+
+  /**
+   * Variables used by steps that no step before them (by dependency) captures.
+   */
+  static findReferenceErrors(plan) {
+    const errors = [];
+
+    for (const step of plan.steps) {
+      const missing = StepVariables.references(step.command);
+      if (missing.length === 0) {
+        continue;
+      }
+
+      const available = new Set();
+      const seen = new Set();
+      const pending = plan.getDependencies(step).map(dep => dep.stepId);
+      while (pending.length > 0) {
+        const ancestor = plan.steps.find(other => other.id === pending.pop());
+        if (!ancestor || seen.has(ancestor.id)) {
+          continue;
+        }
+        seen.add(ancestor.id);
+        Object.keys(ancestor.outputs || {}).forEach(name => available.add(name));
+        pending.push(...plan.getDependencies(ancestor).map(dep => dep.stepId));
+      }
+
+      missing.filter(name => !available.has(name)).forEach(name => {
+        errors.push(`${step.id} uses {{${name}}}, which no earlier step captures`);
+      });
+    }
+
+    return errors;
+  }
+
+  has(name) {
+    return this.values.has(name);
+  }
+
+  get(name) {
+    return this.values.get(name);
+  }
+
+  set(name, value) {
+    this.values.set(name, value);
+  }
+
+  /**
+   * Replace every `{{name}}` in a command. Unknown names throw, unless
+   * `options.keepUnknown` leaves them for a later pass; `options.raw`
+   * inserts values without shell quoting.
+   */
+  substitute(command, options = {}) {
+    return command.replace(REFERENCE_PATTERN, (match, name) => {
+      if (!this.values.has(name)) {
+        if (options.keepUnknown) {
+          return match;
+        }
+        throw new ValidationException(`Variable {{${name}}} has no value`, command);
+      }
+      return options.raw ? String(this.values.get(name)) : quote(this.values.get(name));
+    });
+  }
+
+  /**
+   * Store the values a finished step declares in `outputs`. Returns the
+   * captured values; throws when the output doesn't have what was asked for.
+   */
+  capture(step, result) {
+    const captured = {};
+
+    for (const [name, spec] of Object.entries(step.outputs || {})) {
+      const options = typeof spec === 'string' ? { from: spec } : spec;
+      const source = options.from === 'stderr' ? result.stderr : result.stdout;
+      const value = extract(source || '', options);
+
+      if (value === null) {
+        throw new ValidationException(`Could not capture {{${name}}} from the output of ${step.id}`, step.command);
+      }
+      this.values.set(name, value);
+      captured[name] = value;
+    }
+
+    return captured;
+  }
+
+  toJSON() {
+    return Object.fromEntries(this.values);
+  }
+}
+
+function extract(text, options) {
+  if (options.line !== undefined) {
+    const lines = text.split('\n');
+    const index = options.line < 0 ? lines.length + options.line : options.line - 1;
+    text = lines[index];
+    if (text === undefined) {
+      return null;
+    }
+  }
+
+  if (options.regex !== undefined) {
+    const match = text.match(new RegExp(options.regex, options.flags || ''));
+    if (!match) {
+      return null;
+    }
+    const group = options.group ?? 0;
+    text = typeof group === 'string' ? match.groups?.[group] : match[group];
+    if (text === undefined) {
+      return null;
+    }
+  }
+
+  if (options.json !== undefined) {
+    let value;
+    try {
+      value = JSON.parse(text);
+    } catch {
+      return null;
+    }
+    for (const key of options.json.match(/[^.[\]]+/g) || []) {
+      if (value === null || typeof value !== 'object' || !(key in value)) {
+        return null;
+      }
+      value = value[key];
+    }
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+
+  return text.trim();
+}
+
+function quote(value) {
+  const text = String(value);
+  return SAFE_VALUE.test(text) ? text : `'${text.replace(/'/g, '\'\\\'\'')}'`;
+}
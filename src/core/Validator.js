@@ -1,5 +1,6 @@
 import { promises as fs } from 'fs';
 import path from 'path';
+import os from 'os';
 import yaml from 'yaml';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
@@ -7,15 +8,38 @@ import { ConfigManager } from '../utils/ConfigManager.js';
 import { LoggingUtil } from '../utils/LoggingUtil.js';
 import { ValidationResult } from '../models/ValidationResult.js';
 import { ValidationException } from '../exceptions/ValidationException.js';
+import { CommandAnalyzer } from './CommandAnalyzer.js';
+import { FileImpactAnalyzer } from './FileImpactAnalyzer.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+const DELETE_PROGRAMS = new Set(['rm', 'rmdir', 'del', 'erase', 'rd', 'mv', 'move', 'unlink']);
+const PRIVILEGE_PROGRAMS = new Set(['sudo', 'su', 'doas']);
+const SYSTEM_PROGRAMS = new Set(['chmod', 'chown', 'systemctl', 'service']);
+const NETWORK_PROGRAMS = new Set(['curl', 'wget', 'ssh', 'scp', 'rsync']);
+const PACKAGE_MANAGERS = new Set(['apt', 'apt-get', 'yum', 'dnf', 'pacman', 'brew', 'npm', 'pip', 'pip3', 'gem', 'yarn', 'pnpm']);
+// Programs that always talk to the network, and subcommands that do for others
+const NETWORK_CLIENTS = new Set([...NETWORK_PROGRAMS, 'sftp', 'ftp', 'nc', 'ncat', 'telnet', 'ping', 'dig', 'nslookup', 'host']);
+const NETWORK_SUBCOMMANDS = {
+  git: ['clone', 'fetch', 'pull', 'push', 'ls-remote', 'submodule'],
+  docker: ['pull', 'push', 'build', 'login'],
+  podman: ['pull', 'push', 'build', 'login']
+};
+const PACKAGE_NETWORK_SUBCOMMANDS = ['install', 'i', 'add', 'update', 'upgrade', 'ci', 'download'];
+// find arguments that delete what it walks: -delete, or -exec rm and friends
+const FIND_DELETE = '(^|\\s)-(delete|(exec|execdir|ok|okdir)\\s+(\\S*/)?(rm|rmdir|unlink|shred))(\\s|$)';
+// Top-level directories, and anything inside the ones the system needs
+const SYSTEM_DIRECTORIES = ['/?*', '/bin/**', '/boot/**', '/dev/**', '/etc/**', '/lib*/**', '/proc/**', '/root/**', '/sbin/**', '/sys/**', '/usr/**', '/var/**', '/System/**', '/Library/**'];
+const SHELLS = new Set(['sh', 'bash', 'zsh', 'fish', 'dash', 'ksh', 'powershell', 'pwsh']);
+
 export class Validator {
   constructor() {
     this.config = ConfigManager.getInstance();
     this.logger = LoggingUtil.getInstance();
     this.denylist = null;
+    this.rules = null;
+    this.impactAnalyzer = new FileImpactAnalyzer();
     this.initialized = false;
   }
 
@@ -35,37 +59,61 @@ export class Validator {
     }
 
     try {
+      const analysis = CommandAnalyzer.analyze(step.command);
+
       const result = new ValidationResult({
         stepId: step.id,
         command: step.command,
         allowed: true,
-        riskLevel: step.riskLevel || 'low',
+        riskLevel: step.riskLevel || 'none',
         warnings: [],
-        blockedReasons: []
+        blockedReasons: [],
+        subCommands: analysis.commands.map(invocation => CommandAnalyzer.describe(invocation))
       });
 
+      if (analysis.error) {
+        this._handleParseError(step.command, analysis.error, result);
+      }
+
       // Check against denylist
-      const denylistCheck = this._checkDenylist(step.command);
+      const denylistCheck = this._checkDenylist(analysis);
       if (!denylistCheck.allowed) {
         result.allowed = false;
         result.blockedReasons.push(...denylistCheck.reasons);
       }
 
       // Analyze risk level
-      const riskAnalysis = this._analyzeRiskLevel(step.command);
+      const riskAnalysis = this._analyzeRiskLevel(analysis);
       result.riskLevel = this._getHigherRiskLevel(result.riskLevel, riskAnalysis.level);
       result.warnings.push(...riskAnalysis.warnings);
 
       // Check for high-risk operations
-      const highRiskCheck = this._checkHighRiskOperations(step.command);
+      const highRiskCheck = this._checkHighRiskOperations(analysis);
       if (highRiskCheck.isHighRisk) {
         result.riskLevel = this._getHigherRiskLevel(result.riskLevel, 'high');
         result.warnings.push(...highRiskCheck.warnings);
         result.requiresConfirmation = true;
       }
 
+      // A blocked step never runs, so don't walk its targets
+      if (!result.allowed) {
+        result.suggestions.push(...this._generateSuggestions(analysis, result.riskLevel));
+        this.logger.debug('Step blocked', { stepId: step.id, reasons: result.blockedReasons });
+        return result;
+      }
+
+      // Check which files the step would touch
+      if (!analysis.error) {
+        const workingDirectory = step.workingDirectory ||
+          this.config.get('sandbox.workdir', path.join(os.tmpdir(), 'genesis-eleven-work'));
+        result.fileImpact = await this.impactAnalyzer.analyze(analysis, workingDirectory);
+        this._assessFileImpact(result.fileImpact, result);
+      }
+
+      result.requiresNetwork = this._requiresNetwork(analysis);
+
       // Add suggestions for safer alternatives
-      const suggestions = this._generateSuggestions(step.command, result.riskLevel);
+      const suggestions = this._generateSuggestions(analysis, result.riskLevel);
       result.suggestions.push(...suggestions);
 
       this.logger.debug('Step validation completed', {
@@ -119,157 +167,375 @@ export class Validator {
       this.denylist = this._getDefaultDenylist();
       this.logger.warn('Using default denylist rules', { error: error.message });
     }
+
+    this.rules = this._compileRules(this.denylist);
   }
 
-  _checkDenylist(command) {
-    const result = { allowed: true, reasons: [] };
-    
-    if (!this.denylist) {
-      return result;
+  /**
+   * Turn the denylist sections into rules that match parsed invocations.
+   * `commands`, `highRisk` and `packageManagers` entries are written as shell
+   * commands and compiled with CommandAnalyzer; `rules` entries are already
+   * structured; legacy `patterns` regexes are tested per sub-command.
+   */
+  _compileRules(denylist) {
+    const rules = [];
+
+    const addCommands = (entries, action, message) => {
+      for (const text of entries || []) {
+        const pattern = CommandAnalyzer.compilePattern(text);
+        if (pattern) {
+          rules.push({ pattern, action, message: message(text) });
+        } else {
+          this.logger.warn(`Bad denylist command: ${text}`);
+        }
+      }
+    };
+
+    addCommands(denylist.commands, 'block', text => `That command is blocked: ${text}`);
+    addCommands(denylist.highRisk, 'high', text => `High-risk operation: ${text}`);
+    addCommands(denylist.packageManagers, 'medium', () => 'Package installation detected');
+
+    for (const rule of denylist.rules || []) {
+      try {
+        rules.push({
+          program: rule.program ? [].concat(rule.program) : null,
+          flags: [].concat(rule.flags || []),
+          args: [].concat(rule.args || []).map(String),
+          targets: [].concat(rule.targets || []),
+          argPattern: rule.argPattern ? new RegExp(rule.argPattern, 'i') : null,
+          from: rule.from ? [].concat(rule.from) : null,
+          context: rule.context || null,
+          redirectTo: rule.redirectTo ? [].concat(rule.redirectTo) : null,
+          structure: rule.structure || null,
+          action: rule.action || 'block',
+          message: rule.message || 'Matches a dangerous pattern'
+        });
+      } catch (error) {
+        this.logger.warn(`Bad denylist rule: ${JSON.stringify(rule)}`, { error: error.message });
+      }
     }
 
-    // Check for exact matches first
-    if (this.denylist.commands) {
-      for (const blockedCmd of this.denylist.commands) {
-        if (command.includes(blockedCmd)) {
-          result.allowed = false;
-          result.reasons.push(`That command is blocked: ${blockedCmd}`);
-        }
+    for (const pattern of denylist.patterns || []) {
+      try {
+        rules.push({ regex: new RegExp(pattern, 'i'), action: 'block', message: 'Matches a dangerous pattern' });
+      } catch (error) {
+        this.logger.warn(`Bad regex pattern: ${pattern}`);
       }
     }
 
-    // Then check patterns
-    if (this.denylist.patterns) {
-      for (const pattern of this.denylist.patterns) {
-        try {
-          const regex = new RegExp(pattern, 'i');
-          if (regex.test(command)) {
-            result.allowed = false;
-            result.reasons.push(`Matches a dangerous pattern`);
-          }
-        } catch (error) {
-          this.logger.warn(`Bad regex pattern: ${pattern}`);
+    return rules;
+  }
+
+  _handleParseError(command, error, result) {
+    if (process.platform !== 'win32') {
+      result.allowed = false;
+      result.blockedReasons.push(`Could not parse command: ${error.message}`);
+      return;
+    }
+
+    // cmd.exe syntax is not POSIX; fall back to plain text matching
+    result.warnings.push('Command could not be parsed; using text matching');
+    for (const rule of this.rules) {
+      const text = rule.pattern?.text;
+      if (text && command.toLowerCase().includes(text.toLowerCase())) {
+        this._applyRule(rule, result);
+      }
+    }
+  }
+
+  _applyRule(rule, result) {
+    if (rule.action === 'block') {
+      result.addBlockedReason(rule.message);
+    } else {
+      result.riskLevel = this._getHigherRiskLevel(result.riskLevel, rule.action);
+      result.addWarning(rule.message);
+      if (rule.action === 'high') {
+        result.requiresConfirmation = true;
+      }
+    }
+  }
+
+  /**
+   * Collect the rules that match the analysed command, in denylist order.
+   */
+  _matchRules(analysis) {
+    return this.rules.filter(rule => {
+      if (rule.pattern) {
+        return analysis.commands.some(invocation => CommandAnalyzer.matchesPattern(invocation, rule.pattern));
+      }
+      if (rule.regex) {
+        return analysis.commands.some(invocation => rule.regex.test(invocation.text));
+      }
+      if (rule.structure) {
+        return rule.structure === 'fork-bomb'
+          ? analysis.findings.forkBomb
+          : rule.structure === 'infinite-loop' && analysis.findings.infiniteLoop;
+      }
+      if (!rule.program && rule.redirectTo) {
+        return this._redirectsMatch(analysis.redirects, rule.redirectTo);
+      }
+      return analysis.commands.some(invocation => this._ruleMatches(rule, invocation));
+    });
+  }
+
+  _ruleMatches(rule, invocation) {
+    let flags = invocation.flags;
+
+    if (rule.program) {
+      if (invocation.program === null) {
+        // A computed program name still has to clear the argument checks
+        if (rule.flags.length === 0 && rule.targets.length === 0) {
+          return false;
         }
+        flags = CommandAnalyzer.normalizeArgs(rule.program[0], invocation.args).flags;
+      } else if (!rule.program.some(glob => CommandAnalyzer.globMatches(invocation.program, glob))) {
+        return false;
+      }
+    }
+
+    return rule.flags.every(flag => flags.has(flag)) &&
+      rule.args.every(arg => invocation.operands.includes(arg)) &&
+      (rule.targets.length === 0 || invocation.operands.some(operand =>
+        rule.targets.some(glob => CommandAnalyzer.globMatches(operand, glob)))) &&
+      (!rule.argPattern || rule.argPattern.test(invocation.args.join(' '))) &&
+      (!rule.from || invocation.from.some(upstream =>
+        rule.from.includes('*') || rule.from.includes(upstream.program))) &&
+      (!rule.context || invocation.context === rule.context) &&
+      (!rule.redirectTo || this._redirectsMatch(invocation.redirects, rule.redirectTo));
+  }
+
+  _redirectsMatch(redirects, globs) {
+    return redirects.some(redirect =>
+      redirect.output && globs.some(glob => CommandAnalyzer.globMatches(redirect.target, glob)));
+  }
+
+  _checkDenylist(analysis) {
+    const result = { allowed: true, reasons: [] };
+
+    if (!this.rules) {
+      return result;
+    }
+
+    for (const rule of this._matchRules(analysis)) {
+      if (rule.action === 'block' && !result.reasons.includes(rule.message)) {
+        result.allowed = false;
+        result.reasons.push(rule.message);
       }
     }
 
     return result;
   }
 
-  _analyzeRiskLevel(command) {
+  _analyzeRiskLevel(analysis) {
     const warnings = [];
     let level = 'none';
 
-    // File operations
-    if (/\b(rm|del|delete|mv|move)\b/i.test(command)) {
-      level = 'low';
-      if (/\b(rm\s+-rf|del\s+\/[qsf])\b/i.test(command)) {
-        level = 'high';
-        warnings.push('Destructive file operation detected');
+    const raise = (newLevel, warning = null) => {
+      level = this._getHigherRiskLevel(level, newLevel);
+      if (warning && !warnings.includes(warning)) {
+        warnings.push(warning);
       }
-    }
+    };
 
-    // Copy operations
-    if (/\b(cp|copy)\b/i.test(command)) {
-      level = 'low';
-    }
+    for (const invocation of analysis.commands) {
+      const { program, flags, operands, wrappers } = invocation;
+      const feedsFromNetwork = invocation.from.some(upstream => NETWORK_PROGRAMS.has(upstream.program));
 
-    // System operations
-    if (/\b(sudo|su|chmod|chown|systemctl|service)\b/i.test(command)) {
-      level = 'high';
-      warnings.push('System-level operation detected');
-    }
+      // File operations
+      if (DELETE_PROGRAMS.has(program)) {
+        raise('low');
+        if ((flags.has('recursive') && flags.has('force')) ||
+            (program === 'del' && operands.some(operand => /^\/[qsf]$/i.test(operand)))) {
+          raise('high', 'Destructive file operation detected');
+        }
+      }
+      // find -delete removes whatever it walks without asking, like rm -rf;
+      // -exec rm shows up as its own nested rm invocation
+      if (program === 'find' && flags.has('delete')) {
+        raise('high', 'Destructive file operation detected');
+      }
 
-    // Network operations
-    if (/\b(curl|wget|ssh|scp|rsync)\b/i.test(command)) {
-      level = 'medium';
-      if (/\|\s*(bash|sh|zsh|fish)\b/i.test(command)) {
-        level = 'high';
-        warnings.push('Network download with shell execution detected');
+      // Copy operations
+      if (program === 'cp' || program === 'copy') {
+        raise('low');
       }
-    }
 
-    // Package managers
-    if (/\b(apt|yum|dnf|pacman|brew|npm|pip|gem)\s+(install|add)\b/i.test(command)) {
-      level = 'medium';
-      warnings.push('Package installation detected');
-    }
+      // System operations
+      if (wrappers.some(wrapper => PRIVILEGE_PROGRAMS.has(wrapper)) ||
+          PRIVILEGE_PROGRAMS.has(program) || SYSTEM_PROGRAMS.has(program)) {
+        raise('high', 'System-level operation detected');
+      }
+
+      // Network operations
+      if (NETWORK_PROGRAMS.has(program)) {
+        raise('medium');
+      }
+      if (SHELLS.has(program) && feedsFromNetwork) {
+        raise('high', 'Network download with shell execution detected');
+      }
+
+      // Package managers
+      if (PACKAGE_MANAGERS.has(program) && ['install', 'add'].includes(operands[0])) {
+        raise('medium', 'Package installation detected');
+      }
+
+      // Process operations
+      if (['kill', 'killall', 'pkill'].includes(program)) {
+        raise('medium');
+        if (program === 'kill' && flags.has('9') && flags.has('1')) {
+          raise('high', 'System-wide process termination detected');
+        }
+      }
 
-    // Process operations
-    if (/\b(kill|killall|pkill)\b/i.test(command)) {
-      level = 'medium';
-      if (/kill\s+-9\s+-1/i.test(command)) {
-        level = 'high';
-        warnings.push('System-wide process termination detected');
+      // Git operations
+      if (program === 'git' && ['reset', 'clean'].includes(operands[0])) {
+        raise('medium');
+        if (flags.has('hard') || (operands[0] === 'clean' && flags.has('force') && flags.has('d'))) {
+          raise('high', 'Destructive git operation detected');
+        }
       }
     }
 
-    // Git operations
-    if (/\bgit\s+(reset|clean)\b/i.test(command)) {
-      level = 'medium';
-      if (/git\s+(reset\s+--hard|clean\s+-fd)/i.test(command)) {
-        level = 'high';
-        warnings.push('Destructive git operation detected');
+    // Medium and low denylist rules (e.g. package managers) only raise the level
+    for (const rule of this._matchRules(analysis)) {
+      if (rule.action === 'medium' || rule.action === 'low') {
+        raise(rule.action, rule.message);
       }
     }
 
     return { level, warnings };
   }
 
-  _checkHighRiskOperations(command) {
-    const highRiskPatterns = [
-      { pattern: /\bformat\s+[A-Z]:/i, warning: 'Disk formatting operation' },
-      { pattern: /\bfdisk\b/i, warning: 'Disk partitioning operation' },
-      { pattern: /\bmkfs\b/i, warning: 'Filesystem creation operation' },
-      { pattern: /\bdd\s+if=.*of=\/dev\//i, warning: 'Direct disk write operation' },
-      { pattern: /\bchmod\s+777\b/i, warning: 'Overly permissive file permissions' },
-      { pattern: /\brm\s+-rf\s+\/\b/i, warning: 'Root filesystem deletion attempt' },
-      { pattern: /\bshred\b/i, warning: 'Secure file deletion operation' },
-      { pattern: /\bwipe\b/i, warning: 'Disk wiping operation' },
-      { pattern: /:\(\)\{\s*:\|\:&\s*\};:/i, warning: 'Fork bomb detected' },
-      { pattern: /while\s+true.*do/i, warning: 'Infinite loop detected' }
+  /**
+   * Whether any command in the step needs network access. Isolated steps
+   * only get the network when this is true and the user approved it.
+   */
+  _requiresNetwork(analysis) {
+    return analysis.commands.some(({ program, operands }) => {
+      if (!program) {
+        return false;
+      }
+      if (NETWORK_CLIENTS.has(program)) {
+        return true;
+      }
+      if (PACKAGE_MANAGERS.has(program)) {
+        return PACKAGE_NETWORK_SUBCOMMANDS.includes(operands[0]);
+      }
+      return (NETWORK_SUBCOMMANDS[program] || []).includes(operands[0]);
+    });
+  }
+
+  _checkHighRiskOperations(analysis) {
+    const highRiskChecks = [
+      {
+        test: inv => inv.program === 'format' && inv.operands.some(operand => /^[a-z]:/i.test(operand)),
+        warning: 'Disk formatting operation'
+      },
+      { test: inv => ['fdisk', 'parted'].includes(inv.program), warning: 'Disk partitioning operation' },
+      { test: inv => /^mkfs(\.|$)/.test(inv.program || ''), warning: 'Filesystem creation operation' },
+      {
+        test: inv => inv.program === 'dd' && inv.operands.some(operand => operand.startsWith('of=/dev/')),
+        warning: 'Direct disk write operation'
+      },
+      { test: inv => inv.program === 'chmod' && inv.operands.includes('777'), warning: 'Overly permissive file permissions' },
+      {
+        test: inv => inv.program === 'rm' && inv.flags.has('recursive') &&
+          inv.operands.some(operand => operand === '/' || operand === '/*'),
+        warning: 'Root filesystem deletion attempt'
+      },
+      { test: inv => inv.program === 'shred', warning: 'Secure file deletion operation' },
+      { test: inv => inv.program === 'wipe', warning: 'Disk wiping operation' },
+      { test: inv => inv.dynamic || inv.obfuscated, warning: 'Command name is computed at run time' }
     ];
 
     const warnings = [];
     let isHighRisk = false;
 
-    for (const { pattern, warning } of highRiskPatterns) {
-      if (pattern.test(command)) {
-        isHighRisk = true;
+    const flag = warning => {
+      isHighRisk = true;
+      if (!warnings.includes(warning)) {
         warnings.push(warning);
       }
+    };
+
+    for (const { test, warning } of highRiskChecks) {
+      if (analysis.commands.some(test)) {
+        flag(warning);
+      }
+    }
+
+    if (analysis.findings.forkBomb) {
+      flag('Fork bomb detected');
+    }
+    if (analysis.findings.infiniteLoop) {
+      flag('Infinite loop detected');
     }
 
     // Check if command is in high-risk list from denylist
-    if (this.denylist?.highRisk) {
-      for (const riskCmd of this.denylist.highRisk) {
-        if (command.includes(riskCmd)) {
-          isHighRisk = true;
-          warnings.push(`High-risk operation: ${riskCmd}`);
-        }
+    for (const rule of this._matchRules(analysis)) {
+      if (rule.action === 'high') {
+        flag(rule.message);
       }
     }
 
     return { isHighRisk, warnings };
   }
 
-  _generateSuggestions(command, riskLevel) {
+  /**
+   * Raise the risk level from the files a step touches. Paths outside both
+   * the project and home directory, or more files than
+   * `security.maxFilesWithoutConfirmation`, need confirmation; paths
+   * elsewhere in home are medium risk.
+   */
+  _assessFileImpact(impact, result) {
+    const listPaths = paths => paths.slice(0, 3).join(', ') + (paths.length > 3 ? ', ...' : '');
+    const outsideBoth = impact.targets.filter(target => target.outsideProject && target.outsideHome);
+    const outsideProject = impact.targets.filter(target => target.outsideProject && !target.outsideHome);
+    const maxFiles = this.config.get('security.maxFilesWithoutConfirmation', 100);
+
+    if (impact.targets.some(target => target.exists)) {
+      result.riskLevel = this._getHigherRiskLevel(result.riskLevel, 'low');
+    }
+
+    if (outsideBoth.length > 0) {
+      result.riskLevel = this._getHigherRiskLevel(result.riskLevel, 'high');
+      result.addWarning(`Affects paths outside the project and home directory: ${listPaths(outsideBoth.map(t => t.path))}`);
+      result.requiresConfirmation = true;
+    } else if (outsideProject.length > 0) {
+      result.riskLevel = this._getHigherRiskLevel(result.riskLevel, 'medium');
+      result.addWarning(`Affects paths outside the project directory: ${listPaths(outsideProject.map(t => t.path))}`);
+    }
+
+    if (impact.totalFiles > maxFiles) {
+      result.riskLevel = this._getHigherRiskLevel(result.riskLevel, 'high');
+      result.addWarning(`Affects ${FileImpactAnalyzer.summarize(impact)}`);
+      result.requiresConfirmation = true;
+    }
+
+    if (impact.unresolved.length > 0) {
+      result.riskLevel = this._getHigherRiskLevel(result.riskLevel, 'low');
+      result.addWarning(`Target paths only known at run time: ${listPaths(impact.unresolved)}`);
+    }
+  }
+
+  _generateSuggestions(analysis, riskLevel) {
     const suggestions = [];
+    const has = test => analysis.commands.some(test);
 
     if (riskLevel === 'high') {
-      if (command.includes('rm -rf')) {
+      if (has(inv => inv.program === 'rm' && inv.flags.has('recursive'))) {
         suggestions.push('Consider using a safer deletion method or backup first');
       }
-      if (command.includes('sudo')) {
+      if (has(inv => PRIVILEGE_PROGRAMS.has(inv.program) || inv.wrappers.some(w => PRIVILEGE_PROGRAMS.has(w)))) {
         suggestions.push('Verify this system operation is necessary');
       }
     }
 
-    if (command.includes('curl') && command.includes('|')) {
+    if (has(inv => SHELLS.has(inv.program) && inv.from.some(upstream => NETWORK_PROGRAMS.has(upstream.program)))) {
       suggestions.push('Download and inspect scripts before executing');
     }
 
-    if (command.includes('chmod 777')) {
+    if (has(inv => inv.program === 'chmod' && inv.operands.includes('777'))) {
       suggestions.push('Use more restrictive permissions like 755 or 644');
     }
 
@@ -278,8 +544,8 @@ export class Validator {
 
   _getHigherRiskLevel(level1, level2) {
     const levels = { none: 0, low: 1, medium: 2, high: 3 };
-    const value1 = levels[level1] || 1;
-    const value2 = levels[level2] || 1;
+    const value1 = levels[level1] ?? 1;
+    const value2 = levels[level2] ?? 1;
     const maxValue = Math.max(value1, value2);
     return Object.keys(levels).find(key => levels[key] === maxValue) || 'low';
   }
@@ -308,7 +574,6 @@ export class Validator {
         'rm -rf ~',
         'rm -rf $HOME',
         'dd if=/dev/zero',
-        'mkfs',
         'fdisk',
         'parted',
         'sudo rm',
@@ -318,14 +583,14 @@ export class Validator {
         'format',
         'del /q /s'
       ],
-      patterns: [
-        'rm\\s+-rf\\s+/',
-        'chmod\\s+777\\s+',
-        '\\|\\s*bash',
-        '\\|\\s*sh',
-        '>/dev/sd[a-z]',
-        'format\\s+[A-Z]:',
-        'del\\s+/[qsf]'
+      rules: [
+        { program: 'rm', flags: ['recursive'], targets: ['/', '~*'], message: 'Recursive deletion of the root or home directory' },
+        { program: 'rm', flags: ['recursive'], targets: SYSTEM_DIRECTORIES, message: 'Recursive deletion of a system directory' },
+        { program: 'find', argPattern: FIND_DELETE, targets: ['/', '~*'], message: 'Recursive deletion of the root or home directory' },
+        { program: 'find', argPattern: FIND_DELETE, targets: SYSTEM_DIRECTORIES, message: 'Recursive deletion of a system directory' },
+        { program: 'mkfs*', message: 'Filesystem creation is blocked' },
+        { program: ['sh', 'bash', 'zsh'], from: '*', context: 'pipeline', message: 'Piping into a shell is blocked' },
+        { redirectTo: ['/dev/sd*'], message: 'Writing directly to a disk device is blocked' }
       ],
       highRisk: [
         'git reset --hard',
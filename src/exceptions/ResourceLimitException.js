@@ -0,0 +1,36 @@
+import { SandboxException } from './SandboxException.js';
+
+export class ResourceLimitException extends SandboxException {
+  constructor(message, limit, details = {}) {
+    super(message, details.exitCode ?? null, details.command ?? null, details.workingDirectory ?? null);
+    this.name = 'ResourceLimitException';
+    this.limit = limit;
+    this.limitValue = details.limitValue ?? null;
+    this.stdout = details.stdout || '';
+    this.stderr = details.stderr || '';
+    this.output = details.output || '';
+    this.memoryUsage = details.memoryUsage || null;
+
+    // Maintain proper stack trace
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, ResourceLimitException);
+    }
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      limit: this.limit,
+      limitValue: this.limitValue,
+      memoryUsage: this.memoryUsage
+    };
+  }
+
+  toString() {
+    return `${super.toString()} (Limit: ${this.limit})`;
+  }
+
+  static isResourceLimitError(error) {
+    return error instanceof ResourceLimitException;
+  }
+}
@@ -0,0 +1,36 @@
+export class ShellParseException extends Error {
+  constructor(message, command = null, position = null) {
+    super(message);
+    this.name = 'ShellParseException';
+    this.command = command;
+    this.position = position;
+    this.timestamp = new Date().toISOString();
+
+    // Maintain proper stack trace
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, ShellParseException);
+    }
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      message: this.message,
+      command: this.command,
+      position: this.position,
+      timestamp: this.timestamp,
+      stack: this.stack
+    };
+  }
+
+  toString() {
+    let result = `${this.name}: ${this.message}`;
+    if (this.position !== null) {
+      result += ` (Position: ${this.position})`;
+    }
+    if (this.command) {
+      result += ` (Command: ${this.command})`;
+    }
+    return result;
+  }
+}
@@ -5,12 +5,17 @@ export class ExecutionResult {
     this.exitCode = data.exitCode;
     this.stdout = data.stdout || '';
     this.stderr = data.stderr || '';
+    // stdout and stderr interleaved in the order they were written
+    this.output = data.output || '';
     this.duration = data.duration || 0;
     this.workingDirectory = data.workingDirectory;
     this.success = data.success || false;
     this.error = data.error || null;
     this.timestamp = new Date();
     this.memoryUsage = data.memoryUsage || null;
+    this.limitExceeded = data.limitExceeded || null;
+    this.isolation = data.isolation || null;
+    this.snapshot = data.snapshot || null;
   }
 
   toJSON() {
@@ -20,11 +25,15 @@ export class ExecutionResult {
       exitCode: this.exitCode,
       stdout: this.stdout,
       stderr: this.stderr,
+      output: this.output,
       duration: this.duration,
       workingDirectory: this.workingDirectory,
       success: this.success,
       error: this.error,
       memoryUsage: this.memoryUsage,
+      limitExceeded: this.limitExceeded,
+      isolation: this.isolation,
+      snapshot: this.snapshot,
       timestamp: this.timestamp.toISOString()
     };
   }
@@ -83,6 +92,10 @@ export class ExecutionResult {
     return this.error && this.error.includes('timeout');
   }
 
+  isResourceLimit() {
+    return !!this.limitExceeded;
+  }
+
   isPermissionError() {
     return this.exitCode === 126 || 
            (this.stderr && this.stderr.toLowerCase().includes('permission'));
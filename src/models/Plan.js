@@ -6,6 +6,8 @@ export class Plan {
     this.rollback = data.rollback || 'No automatic rollback available';
     this.estimatedDuration = data.estimatedDuration || 'Unknown';
     this.prerequisites = data.prerequisites || [];
+    // Programs that aren't installed, set by the planner (see CommandVerifier)
+    this.verification = data.verification || null;
     this.createdAt = new Date();
     this.id = this._generateId();
   }
@@ -22,6 +24,129 @@ export class Plan {
     return this.steps.filter(step => step.requiresConfirmation);
   }
 
+  /**
+   * What a step waits for. Steps that declare `dependsOn` require those
+   * steps to succeed; steps that don't simply run after the previous step,
+   * which keeps plain plans in their written order.
+   */
+  getDependencies(step) {
+    if (step.dependsOn) {
+      return step.dependsOn.map(stepId => ({ stepId, required: true }));
+    }
+
+    const index = this.steps.indexOf(step);
+    return index > 0 ? [{ stepId: this.steps[index - 1].id, required: false }] : [];
+  }
+
+  /**
+   * Steps that cannot run once `stepId` fails, directly or transitively.
+   */
+  getRequiredDependents(stepId) {
+    const dependents = new Set();
+    const pending = [stepId];
+
+    while (pending.length > 0) {
+      const current = pending.pop();
+      for (const step of this.steps) {
+        if (!dependents.has(step.id) && step.dependsOn?.includes(current)) {
+          dependents.add(step.id);
+          pending.push(step.id);
+        }
+      }
+    }
+
+    return [...dependents];
+  }
+
+  /**
+   * Steps in an order that respects their dependencies, keeping the written
+   * order where possible.
+   */
+  getExecutionOrder() {
+    const done = new Set();
+    const order = [];
+
+    while (order.length < this.steps.length) {
+      const next = this.steps.find(step =>
+        !done.has(step.id) && this.getDependencies(step).every(dep => done.has(dep.stepId))
+      );
+      if (!next) {
+        throw new Error('Plan steps have circular dependencies');
+      }
+      done.add(next.id);
+      order.push(next);
+    }
+
+    return order;
+  }
+
+  validateDependencies() {
+    return Plan.findDependencyErrors(this.steps);
+  }
+
+  /**
+   * Problems with the dependency graph of raw or model steps: duplicate ids,
+   * dependencies on unknown steps, cycles and clashing output names.
+   */
+  static findDependencyErrors(steps) {
+    const errors = [];
+    const ids = new Set();
+    const outputs = new Map();
+
+    for (const step of steps) {
+      if (ids.has(step.id)) {
+        errors.push(`Duplicate step id ${step.id}`);
+      }
+      ids.add(step.id);
+
+      for (const name of Object.keys(step.outputs || {})) {
+        if (outputs.has(name)) {
+          errors.push(`Output ${name} is defined by both ${outputs.get(name)} and ${step.id}`);
+        } else {
+          outputs.set(name, step.id);
+        }
+      }
+    }
+
+    for (const step of steps) {
+      if (step.dependsOn !== undefined && step.dependsOn !== null && !Array.isArray(step.dependsOn)) {
+        errors.push(`${step.id}: dependsOn must be a list of step ids`);
+        continue;
+      }
+      for (const dependency of step.dependsOn || []) {
+        if (dependency === step.id) {
+          errors.push(`${step.id} depends on itself`);
+        } else if (!ids.has(dependency)) {
+          errors.push(`${step.id} depends on unknown step ${dependency}`);
+        }
+      }
+    }
+
+    const cycle = errors.length === 0 ? findCycle(steps) : null;
+    if (cycle) {
+      errors.push(`Circular dependency: ${cycle.join(' -> ')}`);
+    }
+
+    return errors;
+  }
+
+  getStep(stepId) {
+    return this.steps.find(step => step.id === stepId);
+  }
+
+  removeStep(stepId) {
+    this.steps = this.steps.filter(step => step.id !== stepId);
+  }
+
+  moveStep(stepId, index) {
+    const step = this.getStep(stepId);
+    if (!step) {
+      return;
+    }
+    this.steps = this.steps.filter(other => other !== step);
+    this.steps.splice(Math.max(0, Math.min(index, this.steps.length)), 0, step);
+  }
+
   getTotalEstimatedDuration() {
     const stepDurations = this.steps
       .map(step => step.estimatedDuration || 0)
@@ -51,7 +176,11 @@ export class Plan {
     output += `⏱️  Estimated Duration: ${this.estimatedDuration}\n`;
 
     if (this.prerequisites.length > 0) {
-      output += `📋 Prerequisites: ${this.prerequisites.join(', ')}\n`;
+      const checked = this.verification?.prerequisites || [];
+      const prerequisites = this.prerequisites.map(text =>
+        (checked.some(entry => entry.text === text && entry.found === false) ? `${text} (not installed)` : text)
+      );
+      output += `📋 Prerequisites: ${prerequisites.join(', ')}\n`;
     }
 
     output += '\n📝 Steps:\n';
@@ -59,6 +188,18 @@ export class Plan {
       output += `  ${index + 1}. ${step.toString()}\n`;
     });
 
+    const missing = this.verification?.missing || [];
+    if (missing.length > 0) {
+      output += '\n⚠️  Not installed:\n';
+      missing.forEach(entry => {
+        const alternative = entry.alternative ? `, ${entry.alternative} is installed instead` : '';
+        output += `  ${entry.program} (used by ${entry.stepIds.join(', ')}${alternative})\n`;
+        entry.installHints.forEach(hint => {
+          output += `     ${hint}\n`;
+        });
+      });
+    }
+
     if (this.rollback !== 'No automatic rollback available') {
       output += `\n🔄 Rollback: ${this.rollback}\n`;
     }
@@ -78,6 +219,9 @@ export class Step {
     this.timeout = data.timeout || 30000;
     this.retryCount = data.retryCount || 0;
     this.estimatedDuration = data.estimatedDuration || 0;
+    // null means "after the previous step"; [] means no dependencies
+    this.dependsOn = Array.isArray(data.dependsOn) ? [...data.dependsOn] : null;
+    this.outputs = data.outputs || {};
   }
 
   toJSON() {
@@ -90,7 +234,9 @@ export class Step {
       workingDirectory: this.workingDirectory,
       timeout: this.timeout,
       retryCount: this.retryCount,
-      estimatedDuration: this.estimatedDuration
+      estimatedDuration: this.estimatedDuration,
+      dependsOn: this.dependsOn,
+      outputs: this.outputs
     };
   }
 
@@ -121,6 +267,53 @@ export class Step {
       output += `\n     ⏱️  Estimated Duration: ${this.estimatedDuration}ms`;
     }
 
+    if (this.dependsOn?.length > 0) {
+      output += `\n     🔗 After: ${this.dependsOn.join(', ')}`;
+    }
+
     return output;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * The first dependency cycle, as a list of step ids that starts and ends
+ * with the same id, or null. Steps without `dependsOn` follow the previous
+ * step, as in Plan#getDependencies.
+ */
+function findCycle(steps) {
+  const dependencies = new Map(steps.map((step, index) => [
+    step.id,
+    step.dependsOn || (index > 0 ? [steps[index - 1].id] : [])
+  ]));
+  const state = new Map();
+  const trail = [];
+
+  const visit = id => {
+    state.set(id, 'visiting');
+    trail.push(id);
+    for (const dependency of dependencies.get(id)) {
+      if (state.get(dependency) === 'visiting') {
+        return [...trail.slice(trail.indexOf(dependency)), dependency];
+      }
+      if (!state.has(dependency)) {
+        const cycle = visit(dependency);
+        if (cycle) {
+          return cycle;
+        }
+      }
+    }
+    trail.pop();
+    state.set(id, 'done');
+    return null;
+  };
+
+  for (const step of steps) {
+    if (!state.has(step.id)) {
+      const cycle = visit(step.id);
+      if (cycle) {
+        return cycle;
+      }
+    }
+  }
+  return null;
+}
@@ -8,6 +8,9 @@ export class ValidationResult {
     this.blockedReasons = data.blockedReasons || [];
     this.requiresConfirmation = data.requiresConfirmation || false;
     this.suggestions = data.suggestions || [];
+    this.subCommands = data.subCommands || [];
+    this.fileImpact = data.fileImpact || null;
+    this.requiresNetwork = data.requiresNetwork || false;
     this.timestamp = new Date();
     this.confidence = data.confidence || 0.8; // AI confidence in assessment
   }
@@ -22,6 +25,9 @@ export class ValidationResult {
       blockedReasons: this.blockedReasons,
       requiresConfirmation: this.requiresConfirmation,
       suggestions: this.suggestions,
+      subCommands: this.subCommands,
+      fileImpact: this.fileImpact,
+      requiresNetwork: this.requiresNetwork,
       confidence: this.confidence,
       timestamp: this.timestamp.toISOString()
     };
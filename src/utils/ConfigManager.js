@@ -172,6 +172,7 @@ export class ConfigManager {
 
   _getDefaultConfig() {
     return {
+      provider: 'gemini',
       gemini: {
         model: 'gemini-1.5-flash',
         apiKeys: '',
@@ -179,14 +180,63 @@ export class ConfigManager {
         maxRetries: 3,
         enableRotation: false
       },
+      openai: {
+        baseUrl: 'https://api.openai.com/v1',
+        apiKey: '',
+        model: 'gpt-4o-mini',
+        timeout: 30000,
+        maxRetries: 3
+      },
+      ollama: {
+        baseUrl: 'http://localhost:11434',
+        model: 'llama3.1',
+        timeout: 120000,
+        maxRetries: 1
+      },
+      replay: {
+        mode: 'replay',
+        upstream: 'gemini',
+        fixturesDir: path.join(os.homedir(), '.genesis-eleven', 'fixtures')
+      },
       sandbox: {
         workdir: path.join(os.tmpdir(), 'genesis-eleven-work'),
         timeout: 30000,
-        maxMemoryMB: 512
+        maxMemoryMB: 512,
+        maxCpuSeconds: 60,
+        maxProcesses: 256,
+        maxOpenFiles: 1024,
+        maxOutputMB: 10,
+        maxSnapshotMB: 500,
+        maxSimulationMB: 200,
+        isolation: 'none'
+      },
+      planner: {
+        environmentProbe: true,
+        verifyCommands: true,
+        maxFormatRetries: 2
+      },
+      execution: {
+        maxParallelSteps: 4,
+        maxRepairAttempts: 2
       },
       security: {
         requireConfirmation: true,
-        allowHighRisk: false
+        allowHighRisk: false,
+        maxFilesWithoutConfirmation: 100
+      },
+      shell: {
+        contextTurns: 10
+      },
+      ask: {
+        sessionsDir: path.join(os.homedir(), '.genesis-eleven', 'sessions'),
+        maxHistoryTurns: 20
+      },
+      context: {
+        maxBytes: 64 * 1024,
+        maxTotalBytes: 192 * 1024
+      },
+      recipes: {
+        dir: path.join(os.homedir(), '.genesis-eleven', 'recipes')
       },
       logging: {
         level: 'info',
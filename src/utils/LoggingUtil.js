@@ -167,6 +167,22 @@ export class LoggingUtil {
     }
   }
 
+  async getExecution(taskId) {
+    await this._ensureInitialized();
+
+    const auditDir = this.config.get('logging.auditDir', 'logs');
+    const taskFile = path.join(auditDir, `${path.basename(taskId)}.json`);
+
+    try {
+      return JSON.parse(await fs.readFile(taskFile, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
   async clearOldLogs(daysToKeep = 30) {
     await this._ensureInitialized();
 
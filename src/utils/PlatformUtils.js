@@ -1,3 +1,4 @@
+import fs from 'fs';
 import os from 'os';
 import path from 'path';
 
@@ -145,6 +146,30 @@ export class PlatformUtils {
     return path.resolve(filePath);
   }
 
+  /**
+   * Full path of a program on PATH, or null when it isn't installed.
+   */
+  static findExecutable(name, searchPath = process.env.PATH || '') {
+    const extensions = this.isWindows()
+      ? ['', ...(process.env.PATHEXT || '.EXE;.CMD;.BAT;.COM').toLowerCase().split(';')]
+      : [''];
+
+    for (const dir of searchPath.split(path.delimiter).filter(Boolean)) {
+      for (const extension of extensions) {
+        const candidate = path.join(dir, `${name}${extension}`);
+        try {
+          fs.accessSync(candidate, fs.constants.X_OK);
+          if (fs.statSync(candidate).isFile()) {
+            return candidate;
+          }
+        } catch {
+          // Not in this directory
+        }
+      }
+    }
+    return null;
+  }
+
   static getExecutableExtension() {
     return this.isWindows() ? '.exe' : '';
   }